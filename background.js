@@ -1,5 +1,18 @@
+importScripts('modules/Utils.js', 'modules/TableAnalyzer.js', 'modules/JobScheduler.js', 'modules/HistoryStore.js');
+
 class CognitoTableBackground {
     constructor() {
+        this.multiPageJobs = new Map();
+        // When each tab's frame scan deadline was last pushed back (see extendFrameScan).
+        this.frameScanExtended = new Map();
+        this.frameScanTimeoutMs = 120000;
+        // Tables found by each frame's last badge scan, by tab and frame.
+        this.frameBadgeCounts = new Map();
+        // Pending read-modify-writes of session storage entries, by key (see updateSessionEntry).
+        this.sessionUpdates = new Map();
+        this.tableAnalyzer = new TableAnalyzer(null);
+        this.historyStore = new HistoryStore();
+        this.jobScheduler = new JobScheduler(this.historyStore);
         this.init();
     }
 
@@ -8,6 +21,8 @@ class CognitoTableBackground {
         this.setupMessageListener();
         this.setupTabUpdateListener();
         this.setupActionListener();
+        this.setupAlarmListener();
+        this.jobScheduler.init();
     }
 
     setupInstallListener() {
@@ -27,14 +42,149 @@ class CognitoTableBackground {
 
             switch (request.action) {
                 case 'updateBadge':
-                    this.updateBadgeCount(tabId, request.count);
+                    this.updateFrameBadgeCount(tabId, sender.frameId || 0, request.count);
+                    break;
+                case 'scanFrames':
+                    this.scanFrames(tabId).then(sendResponse);
+                    return true; // Indicates async response
+                case 'tableFound':
+                    if (sender.tab) {
+                        this.extendFrameScan(tabId);
+                        this.sendToPopup({ action: 'tableFound', table: this.tagFrameItem(request.table, sender) });
+                    }
+                    break;
+                case 'harvestProgress':
+                    // Also goes to the popup directly; a long harvest keeps the frame scan alive.
+                    if (sender.tab) this.extendFrameScan(tabId);
+                    break;
+                case 'scanComplete':
+                    if (sender.tab) this.completeFrameScan(tabId, sender, request);
                     break;
+                case 'getScanReport':
+                    this.getScanReport(tabId).then(sendResponse);
+                    return true; // Indicates async response
+                case 'removeNearMiss':
+                    this.removeNearMiss(tabId, request.nearMissId).then(sendResponse);
+                    return true; // Indicates async response
                 case 'cacheTableData':
-                    this.cacheTableData(tabId, request.tables);
+                    this.cacheTableData(tabId, request.tables.map(table => this.tagFrameItem(table, sender)), sender.tab, sender.frameId || 0);
                     break;
                 case 'getCachedTableData':
                     this.getCachedTableData(tabId).then(sendResponse);
                     return true; // Indicates async response
+                case 'manualTableSelected':
+                    this.storeManualTable(tabId, this.tagFrameItem(request.table, sender), sender.tab);
+                    break;
+                case 'getManualTables':
+                    this.getManualTables(tabId).then(sendResponse);
+                    return true; // Indicates async response
+                case 'updateTable':
+                    this.updateStoredTable(tabId, request.table).then(sendResponse);
+                    return true; // Indicates async response
+                case 'macroRecorded':
+                    this.saveMacro(request.macro);
+                    break;
+                case 'getMacros':
+                    this.getMacros(request.url).then(sendResponse);
+                    return true; // Indicates async response
+                case 'deleteMacro':
+                    this.deleteMacro(request.macroId).then(sendResponse);
+                    return true; // Indicates async response
+                case 'saveRecipe':
+                    this.saveRecipe(request.recipe).then(sendResponse);
+                    return true; // Indicates async response
+                case 'extractLocatedTable':
+                    this.jobScheduler.extractLocatedTable(tabId, request.locator, request.frameUrl)
+                        .then(data => sendResponse({ data }));
+                    return true; // Indicates async response
+                case 'getRecipes':
+                    this.getRecipes(request.url).then(sendResponse);
+                    return true; // Indicates async response
+                case 'deleteRecipe':
+                    this.deleteRecipe(request.recipeId).then(sendResponse);
+                    return true; // Indicates async response
+                case 'importRecipes':
+                    this.importRecipes(request.recipes).then(sendResponse);
+                    return true; // Indicates async response
+                case 'createScheduledJob':
+                    this.jobScheduler.createJob(request.job).then(sendResponse);
+                    return true; // Indicates async response
+                case 'getScheduledJobs':
+                    this.jobScheduler.loadJobs().then(sendResponse);
+                    return true; // Indicates async response
+                case 'updateScheduledJob':
+                    this.jobScheduler.updateJob(request.jobId, request.changes).then(sendResponse);
+                    return true; // Indicates async response
+                case 'deleteScheduledJob':
+                    this.jobScheduler.deleteJob(request.jobId).then(sendResponse);
+                    return true; // Indicates async response
+                case 'runScheduledJob':
+                    this.jobScheduler.runJob(request.jobId).then(() => sendResponse({ success: true }));
+                    return true; // Indicates async response
+                case 'getJobSnapshots':
+                    this.jobScheduler.getSnapshots(request.jobId).then(sendResponse);
+                    return true; // Indicates async response
+                case 'startMultiPageJob':
+                    this.startMultiPageJob(tabId, request.job).then(sendResponse);
+                    return true; // Indicates async response
+                case 'stopMultiPageJob':
+                    this.stopMultiPageJob(tabId).then(sendResponse);
+                    return true; // Indicates async response
+                case 'getMultiPageJob':
+                    this.loadMultiPageJob(tabId).then(sendResponse);
+                    return true; // Indicates async response
+                case 'saveCustomSelection':
+                    this.saveCustomSelection(request.selection).then(sendResponse);
+                    return true; // Indicates async response
+                case 'getCustomSelections':
+                    this.getCustomSelections(request.url).then(sendResponse);
+                    return true; // Indicates async response
+                case 'deleteCustomSelection':
+                    this.deleteCustomSelection(request.selectionId).then(sendResponse);
+                    return true; // Indicates async response
+                case 'saveLayout':
+                    this.saveLayout(request.entry).then(sendResponse);
+                    return true; // Indicates async response
+                case 'getLayouts':
+                    this.getLayouts(request.url).then(sendResponse);
+                    return true; // Indicates async response
+                case 'deleteLayout':
+                    this.deleteLayout(request.domain, request.selector).then(sendResponse);
+                    return true; // Indicates async response
+                case 'saveSchema':
+                    this.saveSchema(request.entry).then(sendResponse);
+                    return true; // Indicates async response
+                case 'getSchemas':
+                    this.getSchemas(request.url).then(sendResponse);
+                    return true; // Indicates async response
+                case 'deleteSchema':
+                    this.deleteSchema(request.domain, request.selector).then(sendResponse);
+                    return true; // Indicates async response
+                case 'openWorkspace':
+                    this.openWorkspace(request.table, request.source).then(sendResponse);
+                    return true; // Indicates async response
+                case 'getWorkspace':
+                    this.getWorkspace(request.workspaceId).then(sendResponse);
+                    return true; // Indicates async response
+                case 'getHistory':
+                    this.historyStore.list(request.filter).then(sendResponse);
+                    return true; // Indicates async response
+                case 'getHistoryEntry':
+                    this.historyStore.get(request.entryId).then(sendResponse);
+                    return true; // Indicates async response
+                case 'deleteHistoryEntry':
+                    this.historyStore.deleteEntries([request.entryId]).then(() => sendResponse({ success: true }));
+                    return true; // Indicates async response
+                case 'clearSiteHistory':
+                    this.historyStore.clearSite(request.origin).then(removed => sendResponse({ success: true, removed }));
+                    return true; // Indicates async response
+                case 'getHistoryUsage':
+                    Promise.all([this.historyStore.getUsage(), this.historyStore.getSettings()])
+                        .then(([usage, settings]) => sendResponse({ usage, settings }));
+                    return true; // Indicates async response
+                case 'saveHistorySettings':
+                    this.historyStore.saveSettings(request.settings).then(sendResponse);
+                    return true; // Indicates async response
                 default:
                     // Default case for unknown actions
                     break;
@@ -50,11 +200,23 @@ class CognitoTableBackground {
             }
             if (changeInfo.status === 'complete' && tab.url && !tab.url.startsWith('chrome://')) {
                 this.triggerBadgeScan(tabId);
+                this.resumeMultiPageJob(tabId);
             }
         });
 
         chrome.tabs.onRemoved.addListener((tabId) => {
             this.cleanupTabData(tabId);
+            this.cleanupWorkspaces(tabId);
+            this.multiPageJobs.delete(tabId);
+            chrome.storage.session.remove([`multiPageJob_${tabId}`]);
+        });
+    }
+
+    setupAlarmListener() {
+        chrome.alarms.onAlarm.addListener((alarm) => {
+            if (alarm.name.startsWith('frameScan_')) {
+                this.expireFrameScan(parseInt(alarm.name.substring('frameScan_'.length), 10));
+            }
         });
     }
 
@@ -92,19 +254,69 @@ class CognitoTableBackground {
         }
     }
 
-    async cacheTableData(tabId, tables) {
+    /**
+     * Applies `update` to a chrome.storage.session entry once earlier updates of
+     * the same key have finished, so that frames caching their tables at the same
+     * time do not overwrite each other. `update` gets the stored value and returns
+     * the new one, null to remove the entry, or undefined to leave it unchanged.
+     */
+    updateSessionEntry(key, update) {
+        const previous = this.sessionUpdates.get(key) || Promise.resolve();
+        const next = previous.then(async () => {
+            const value = await update((await chrome.storage.session.get([key]))[key]);
+            if (value === null) await chrome.storage.session.remove([key]);
+            else if (value !== undefined) await chrome.storage.session.set({ [key]: value });
+            return value;
+        });
+        const settled = next.catch(() => {});
+        this.sessionUpdates.set(key, settled);
+        settled.then(() => {
+            if (this.sessionUpdates.get(key) === settled) this.sessionUpdates.delete(key);
+        });
+        return next;
+    }
+
+    /**
+     * Caches one frame's tables, replacing what that frame cached before. The
+     * cache holds the tables of all frames of the tab. History is recorded once
+     * the tables are cached, and the history ids are added to the cached copies.
+     */
+    async cacheTableData(tabId, tables, tab, frameId = 0) {
+        const cacheKey = `tables_${tabId}`;
         try {
-            const cacheKey = `tables_${tabId}`;
-            const cacheData = {
-                tables,
+            await this.updateSessionEntry(cacheKey, cached => ({
+                tables: [...(cached ? cached.tables.filter(table => (table.frameId || 0) !== frameId) : []), ...tables],
                 timestamp: Date.now()
-            };
-            await chrome.storage.session.set({ [cacheKey]: cacheData });
+            }));
+            for (const table of tables) await this.recordHistory(table, tab);
+            await this.addHistoryIds(cacheKey, tables);
         } catch (error) {
             console.error('Error caching table data:', error);
         }
     }
 
+    /**
+     * Notes the history ids of just recorded tables on their stored copies, unless
+     * those were replaced meanwhile (by a new scan or an edit that has its own).
+     */
+    addHistoryIds(key, tables) {
+        const recorded = tables.filter(table => table.historyId);
+        if (recorded.length === 0) return Promise.resolve();
+        return this.updateSessionEntry(key, stored => {
+            const list = stored && (Array.isArray(stored) ? stored : stored.tables);
+            if (!list) return undefined;
+            let changed = false;
+            list.forEach(table => {
+                const match = recorded.find(t => t.id === table.id && (t.frameId || 0) === (table.frameId || 0));
+                if (match && !table.historyId) {
+                    table.historyId = match.historyId;
+                    changed = true;
+                }
+            });
+            return changed ? stored : undefined;
+        });
+    }
+
     async getCachedTableData(tabId) {
         try {
             const cacheKey = `tables_${tabId}`;
@@ -126,23 +338,723 @@ class CognitoTableBackground {
         }
     }
 
+    async storeManualTable(tabId, table, tab) {
+        try {
+            const cacheKey = `manualTables_${tabId}`;
+            await this.updateSessionEntry(cacheKey, tables => [...(tables || []), table]);
+            await this.recordHistory(table, tab);
+            await this.addHistoryIds(cacheKey, [table]);
+        } catch (error) {
+            console.error('Error storing manual table:', error);
+        }
+    }
+
+    async getManualTables(tabId) {
+        try {
+            const cacheKey = `manualTables_${tabId}`;
+            const result = await chrome.storage.session.get([cacheKey]);
+            return result[cacheKey] || [];
+        } catch (error) {
+            console.error('Error getting manual tables:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Replaces a stored table with an edited copy, in whichever store it came from.
+     */
+    async updateStoredTable(tabId, table) {
+        try {
+            if (table.type === 'multipage') {
+                const job = await this.loadMultiPageJob(tabId);
+                if (job && job.table && job.table.id === table.id) {
+                    job.table = table;
+                    // Stored directly: saveMultiPageJob would broadcast a progress update.
+                    await chrome.storage.session.set({ [`multiPageJob_${tabId}`]: job });
+                }
+            } else if (table.type === 'manual' || table.type === 'custom') {
+                await this.updateSessionEntry(`manualTables_${tabId}`, tables => (tables || []).map(t => t.id === table.id ? table : t));
+            } else {
+                await this.updateSessionEntry(`tables_${tabId}`, cached => {
+                    if (!cached) return undefined;
+                    cached.tables = cached.tables.map(t => t.id === table.id ? table : t);
+                    return cached;
+                });
+            }
+            const historyId = table.historyId || await this.findHistoryId(tabId, table);
+            if (historyId) await this.historyStore.updateData(historyId, table.data);
+            return { success: true };
+        } catch (error) {
+            console.error('Error updating stored table:', error);
+            return { success: false };
+        }
+    }
+
+    // --- Extraction history (IndexedDB, see HistoryStore) ---
+
+    /**
+     * Keeps the table in the persistent history and notes the entry's id on
+     * the table, so later edits update the same entry.
+     */
+    async recordHistory(table, tab, locator) {
+        if (!tab || !table || !table.data) return;
+        try {
+            table.historyId = await this.historyStore.record(table, { url: tab.url, title: tab.title, locator });
+        } catch (error) {
+            console.error('Error recording table history:', error);
+        }
+    }
+
+    /**
+     * Tables reach the popup before their history id is cached, so an edited
+     * table may arrive without one; the cached copy has it.
+     */
+    async findHistoryId(tabId, table) {
+        const stored = table.type === 'manual' || table.type === 'custom'
+            ? await this.getManualTables(tabId)
+            : ((await chrome.storage.session.get([`tables_${tabId}`]))[`tables_${tabId}`] || {}).tables || [];
+        const match = stored.find(t => t.id === table.id);
+        return match ? match.historyId : null;
+    }
+
+    // --- Workspace tabs (chrome.storage.session, one entry per open workspace) ---
+
+    async openWorkspace(table, source = {}) {
+        const workspaceId = `ws_${Date.now()}`;
+        const key = `workspace_${workspaceId}`;
+        const workspace = { id: workspaceId, table, sourceUrl: source.url || '', sourceTitle: source.title || '', tabId: null };
+        await chrome.storage.session.set({ [key]: workspace });
+
+        const tab = await chrome.tabs.create({ url: chrome.runtime.getURL(`workspace.html?id=${workspaceId}`) });
+        workspace.tabId = tab.id;
+        await chrome.storage.session.set({ [key]: workspace });
+        return { success: true, workspaceId };
+    }
+
+    async getWorkspace(workspaceId) {
+        const key = `workspace_${workspaceId}`;
+        const result = await chrome.storage.session.get([key]);
+        return result[key] || null;
+    }
+
+    async cleanupWorkspaces(tabId) {
+        const all = await chrome.storage.session.get(null);
+        const keys = Object.keys(all).filter(key => key.startsWith('workspace_') && all[key].tabId === tabId);
+        if (keys.length > 0) chrome.storage.session.remove(keys);
+    }
+
+    // --- Taught table layouts (chrome.storage.local, one per domain and table locator) ---
+
+    async loadLayouts() {
+        const result = await chrome.storage.local.get(['layouts']);
+        return result.layouts || [];
+    }
+
+    async saveLayout(entry) {
+        const layouts = (await this.loadLayouts()).filter(l => !(l.domain === entry.domain && l.selector === entry.selector));
+        layouts.push({ ...entry, updatedAt: Date.now() });
+        await chrome.storage.local.set({ layouts });
+        return { success: true };
+    }
+
+    async getLayouts(url) {
+        try {
+            const domain = new URL(url).hostname;
+            return (await this.loadLayouts()).filter(layout => layout.domain === domain);
+        } catch (error) {
+            return [];
+        }
+    }
+
+    async deleteLayout(domain, selector) {
+        const layouts = await this.loadLayouts();
+        await chrome.storage.local.set({ layouts: layouts.filter(l => !(l.domain === domain && l.selector === selector)) });
+        return { success: true };
+    }
+
+    // --- Locked schemas (chrome.storage.local, one per domain and table locator) ---
+
+    async loadSchemas() {
+        const result = await chrome.storage.local.get(['schemas']);
+        return result.schemas || [];
+    }
+
+    async saveSchema(entry) {
+        const schemas = (await this.loadSchemas()).filter(s => !(s.domain === entry.domain && s.selector === entry.selector));
+        schemas.push({ ...entry, updatedAt: Date.now() });
+        await chrome.storage.local.set({ schemas });
+        return { success: true };
+    }
+
+    async getSchemas(url) {
+        try {
+            const domain = new URL(url).hostname;
+            return (await this.loadSchemas()).filter(schema => schema.domain === domain);
+        } catch (error) {
+            return [];
+        }
+    }
+
+    async deleteSchema(domain, selector) {
+        const schemas = await this.loadSchemas();
+        await chrome.storage.local.set({ schemas: schemas.filter(s => !(s.domain === domain && s.selector === selector)) });
+        return { success: true };
+    }
+
+    // --- Interaction macros (chrome.storage.local, matched to pages by origin) ---
+
+    async loadMacros() {
+        const result = await chrome.storage.local.get(['macros']);
+        return result.macros || [];
+    }
+
+    async saveMacro(macro) {
+        try {
+            const macros = await this.loadMacros();
+            macros.push({ ...macro, id: `macro_${Date.now()}`, createdAt: Date.now() });
+            await chrome.storage.local.set({ macros });
+        } catch (error) {
+            console.error('Error saving macro:', error);
+        }
+    }
+
+    async getMacros(url) {
+        try {
+            const origin = new URL(url).origin;
+            return (await this.loadMacros()).filter(macro => macro.origin === origin);
+        } catch (error) {
+            return [];
+        }
+    }
+
+    async deleteMacro(macroId) {
+        const macros = await this.loadMacros();
+        await chrome.storage.local.set({ macros: macros.filter(macro => macro.id !== macroId) });
+        return { success: true };
+    }
+
+    // --- Cognitive selections (chrome.storage.local, matched to pages by origin) ---
+
+    async loadCustomSelections() {
+        const result = await chrome.storage.local.get(['customSelections']);
+        return result.customSelections || [];
+    }
+
+    async saveCustomSelection(selection) {
+        try {
+            const selections = await this.loadCustomSelections();
+            const saved = { ...selection, id: `selection_${Date.now()}`, createdAt: Date.now() };
+            selections.push(saved);
+            await chrome.storage.local.set({ customSelections: selections });
+            return saved;
+        } catch (error) {
+            console.error('Error saving custom selection:', error);
+            return null;
+        }
+    }
+
+    async getCustomSelections(url) {
+        try {
+            const origin = new URL(url).origin;
+            return (await this.loadCustomSelections()).filter(selection => selection.origin === origin);
+        } catch (error) {
+            return [];
+        }
+    }
+
+    async deleteCustomSelection(selectionId) {
+        const selections = await this.loadCustomSelections();
+        await chrome.storage.local.set({ customSelections: selections.filter(selection => selection.id !== selectionId) });
+        return { success: true };
+    }
+
+    // --- Extraction recipes (chrome.storage.local, matched to pages by URL pattern) ---
+
+    async loadRecipes() {
+        const result = await chrome.storage.local.get(['recipes']);
+        return result.recipes || [];
+    }
+
+    async saveRecipe(recipe) {
+        const recipes = await this.loadRecipes();
+        const saved = { ...recipe, id: recipe.id || `recipe_${Date.now()}`, updatedAt: Date.now() };
+        const index = recipes.findIndex(r => r.id === saved.id);
+        if (index === -1) {
+            recipes.push(saved);
+        } else {
+            recipes[index] = saved;
+        }
+        await chrome.storage.local.set({ recipes });
+        return saved;
+    }
+
+    /**
+     * Returns the recipes whose pattern matches the URL, or every recipe when no
+     * URL is given (used for exporting).
+     */
+    async getRecipes(url) {
+        const recipes = await this.loadRecipes();
+        return url ? recipes.filter(recipe => Utils.matchesUrlPattern(recipe.urlPattern, url)) : recipes;
+    }
+
+    async deleteRecipe(recipeId) {
+        const recipes = await this.loadRecipes();
+        await chrome.storage.local.set({ recipes: recipes.filter(recipe => recipe.id !== recipeId) });
+        return { success: true };
+    }
+
+    /**
+     * Merges shared recipes into the local ones. Entries without a URL pattern or
+     * locator are skipped; an imported recipe replaces a local one with the same id.
+     */
+    async importRecipes(imported) {
+        if (!Array.isArray(imported)) return { success: false, error: 'Expected a list of recipes.' };
+
+        const recipes = await this.loadRecipes();
+        let count = 0;
+        imported.forEach((recipe, index) => {
+            if (!recipe || typeof recipe.urlPattern !== 'string' || !recipe.locator) return;
+            const entry = { ...recipe, id: recipe.id || `recipe_${Date.now()}_${index}` };
+            const existing = recipes.findIndex(r => r.id === entry.id);
+            if (existing === -1) {
+                recipes.push(entry);
+            } else {
+                recipes[existing] = entry;
+            }
+            count++;
+        });
+        await chrome.storage.local.set({ recipes });
+        return { success: true, count, skipped: imported.length - count };
+    }
+
+    // --- Multi-page extraction ---
+    // A job walks the pages of one table. The state lives in session storage so it
+    // survives full page navigations; status is 'running', 'navigating' (waiting for
+    // the tab to finish loading), or one of the final states 'done' / 'stopped' / 'error'.
+
+    async startMultiPageJob(tabId, options) {
+        const job = {
+            tabId,
+            frameId: options.frameId || 0,
+            locator: options.locator,
+            strategy: options.strategy,
+            maxPages: Math.max(1, parseInt(options.maxPages, 10) || 10),
+            delay: Math.max(0, parseInt(options.delay, 10) || 0),
+            pagesDone: 0,
+            headers: [],
+            rows: [],
+            lastSignature: null,
+            status: 'running',
+            message: 'Starting...',
+            table: null
+        };
+        await this.saveMultiPageJob(job);
+        this.runMultiPageStep(tabId);
+        return { success: true };
+    }
+
+    async stopMultiPageJob(tabId) {
+        const job = await this.loadMultiPageJob(tabId);
+        if (job && (job.status === 'running' || job.status === 'navigating')) {
+            await this.finishMultiPageJob(job, 'stopped', 'Stopped by user.');
+        }
+        return { success: true };
+    }
+
+    async loadMultiPageJob(tabId) {
+        if (this.multiPageJobs.has(tabId)) return this.multiPageJobs.get(tabId);
+        const key = `multiPageJob_${tabId}`;
+        const result = await chrome.storage.session.get([key]);
+        const job = result[key] || null;
+        if (job) this.multiPageJobs.set(tabId, job);
+        return job;
+    }
+
+    async saveMultiPageJob(job) {
+        this.multiPageJobs.set(job.tabId, job);
+        await chrome.storage.session.set({ [`multiPageJob_${job.tabId}`]: job });
+        chrome.runtime.sendMessage({
+            action: 'multiPageProgress',
+            tabId: job.tabId,
+            status: job.status,
+            message: job.message,
+            pagesDone: job.pagesDone,
+            rowCount: job.rows.length,
+            table: job.table
+        }).catch(() => {});
+    }
+
+    async resumeMultiPageJob(tabId) {
+        const job = await this.loadMultiPageJob(tabId);
+        if (!job || job.status !== 'navigating') return;
+        job.status = 'running';
+        job.message = `Page ${job.pagesDone + 1} loaded, waiting ${job.delay} ms...`;
+        await this.saveMultiPageJob(job);
+        await Utils.sleep(job.delay);
+        this.runMultiPageStep(tabId);
+    }
+
+    async runMultiPageStep(tabId) {
+        const job = await this.loadMultiPageJob(tabId);
+        if (!job || job.status !== 'running') return;
+
+        let response;
+        try {
+            response = await chrome.tabs.sendMessage(tabId, { action: 'extractLocatedTable', locator: job.locator }, { frameId: job.frameId });
+        } catch (error) {
+            response = { error: error.message };
+        }
+        if (job.status !== 'running') return; // Stopped while the page was being read.
+        if (!response || !response.data) {
+            const reason = response && response.error ? ` (${response.error})` : '';
+            await this.finishMultiPageJob(job, job.pagesDone > 0 ? 'done' : 'error', `Could not find the table on page ${job.pagesDone + 1}${reason}.`);
+            return;
+        }
+
+        const signature = Utils.createTableContentSignature(response.data);
+        if (signature === job.lastSignature) {
+            await this.finishMultiPageJob(job, 'done', 'The page content did not change, so the last page was reached.');
+            return;
+        }
+
+        this.mergeMultiPageData(job, response.data);
+        job.pagesDone++;
+        job.lastSignature = signature;
+        if (job.pagesDone >= job.maxPages) {
+            await this.finishMultiPageJob(job, 'done', `Reached the limit of ${job.maxPages} page(s).`);
+            return;
+        }
+
+        // Mark the job as navigating before advancing: the tab may finish
+        // reloading before the content script's reply arrives.
+        job.status = 'navigating';
+        job.message = `Collected ${job.pagesDone} page(s), moving to the next one...`;
+        await this.saveMultiPageJob(job);
+
+        let advance;
+        try {
+            advance = await chrome.tabs.sendMessage(tabId, { action: 'multiPageAdvance', strategy: job.strategy }, { frameId: job.frameId });
+        } catch (error) {
+            // The page unloaded before replying, so a navigation is under way.
+            this.scheduleNavigationFallback(tabId, job);
+            return;
+        }
+
+        const current = await this.loadMultiPageJob(tabId);
+        if (!current || current.status !== 'navigating') return; // Stopped, or already resumed by the reload.
+
+        if (!advance || !advance.advanced) {
+            await this.finishMultiPageJob(current, 'done', 'No further pages were found.');
+        } else if (advance.navigation) {
+            this.scheduleNavigationFallback(tabId, current);
+        } else {
+            current.status = 'running';
+            await this.saveMultiPageJob(current);
+            await Utils.sleep(current.delay);
+            this.runMultiPageStep(tabId);
+        }
+    }
+
+    /**
+     * Links handled by client-side routers change the URL without a full load,
+     * so no 'complete' event arrives. Resume anyway after a grace period.
+     */
+    scheduleNavigationFallback(tabId, job) {
+        const pagesDone = job.pagesDone;
+        setTimeout(async () => {
+            const current = await this.loadMultiPageJob(tabId);
+            if (current && current.status === 'navigating' && current.pagesDone === pagesDone) {
+                this.resumeMultiPageJob(tabId);
+            }
+        }, job.delay + 10000);
+    }
+
+    /**
+     * Appends one page of rows to the job. Columns are matched by header name so
+     * a page with reordered or extra columns still lines up, and header rows
+     * repeated inside the data are dropped.
+     */
+    mergeMultiPageData(job, data) {
+        const pageHeaders = data.headers || [];
+        if (job.headers.length === 0) job.headers = [...pageHeaders];
+
+        const columnMap = pageHeaders.map(header => {
+            let index = job.headers.indexOf(header);
+            if (index === -1) {
+                job.headers.push(header);
+                index = job.headers.length - 1;
+            }
+            return index;
+        });
+
+        const isHeaderRow = row => [pageHeaders, job.headers].some(headers =>
+            row.length > 0 && row.length <= headers.length && row.every((cell, i) => cell === headers[i]));
+
+        const pageRows = data.rows.filter(row => !isHeaderRow(row)).map(row => {
+            const merged = new Array(job.headers.length).fill('');
+            row.forEach((cell, i) => {
+                merged[i < columnMap.length ? columnMap[i] : i] = cell;
+            });
+            return merged;
+        });
+
+        if (job.strategy === 'loadMore') {
+            // "Load more" keeps earlier rows on the page, so only the rows past the
+            // ones already collected are appended. Columns added by this page leave
+            // trailing empty cells that do not count.
+            Utils.appendWindow(job.rows, pageRows, row => row.join('|').replace(/\|+$/, ''));
+        } else {
+            pageRows.forEach(row => job.rows.push(row));
+        }
+
+        job.rows = job.rows.map(row => row.length < job.headers.length
+            ? [...row, ...new Array(job.headers.length - row.length).fill('')]
+            : row);
+    }
+
+    async finishMultiPageJob(job, status, message) {
+        job.status = status;
+        job.message = message;
+        if (job.rows.length > 0) {
+            const data = { headers: job.headers, rows: job.rows, columnTypes: this.tableAnalyzer.inferColumnTypes(job.rows) };
+            job.table = {
+                id: 'P1',
+                type: 'multipage',
+                confidence: 1,
+                element: job.locator.selector,
+                frameId: job.frameId,
+                data,
+                preview: Utils.generatePreview(data)
+            };
+            const tab = await chrome.tabs.get(job.tabId).catch(() => null);
+            await this.recordHistory(job.table, tab, job.locator);
+        }
+        await this.saveMultiPageJob(job);
+    }
+
     async triggerBadgeScan(tabId) {
         try {
-            const [results] = await chrome.scripting.executeScript({
-                target: { tabId },
-                func: () => window.cognitoTable.scanForBadgeUpdate(),
+            const results = await chrome.scripting.executeScript({
+                target: { tabId, allFrames: true },
+                func: async () => {
+                    if (!window.cognitoTable) return null;
+                    const tables = await window.cognitoTable.scanForBadgeUpdate();
+                    return tables ? tables.length : null;
+                },
+            });
+            results.forEach(result => {
+                if (typeof result.result === 'number') this.updateFrameBadgeCount(tabId, result.frameId, result.result);
             });
-            if (results && results.result) {
-                this.updateBadgeCount(tabId, results.result.length);
-            }
         } catch (error) {
             // Error is expected on pages where content script can't run (e.g., chrome web store)
         }
     }
 
+    /**
+     * The badge shows the tables of all frames together.
+     */
+    updateFrameBadgeCount(tabId, frameId, count) {
+        if (!this.frameBadgeCounts.has(tabId)) this.frameBadgeCounts.set(tabId, new Map());
+        const counts = this.frameBadgeCounts.get(tabId);
+        counts.set(frameId, count);
+        this.updateBadgeCount(tabId, Array.from(counts.values()).reduce((sum, value) => sum + value, 0));
+    }
+
+    // --- Frames ---
+    // The content script runs in every frame. A scan for the popup goes through
+    // scanFrames, which starts each frame's scan and merges what the frames report.
+
+    sendToPopup(message) {
+        chrome.runtime.sendMessage(message).catch(() => {});
+    }
+
+    /**
+     * Notes which frame a table or near miss came from. Every frame numbers its
+     * tables from 1, so ids from subframes get the frame id in front ("7.2").
+     */
+    tagFrameItem(item, sender) {
+        if (!item || item.frameId !== undefined) return item;
+        item.frameId = sender.frameId || 0;
+        item.frameUrl = sender.url || (sender.tab ? sender.tab.url : '');
+        if (item.frameId !== 0) item.id = `${item.frameId}.${item.id}`;
+        return item;
+    }
+
+    getContentScriptFiles() {
+        return chrome.runtime.getManifest().content_scripts[0].js;
+    }
+
+    /**
+     * Frames of the tab, injecting the content script first into frames that
+     * lack it (frames added after the page loaded, or pages opened before the
+     * extension was installed or updated). `ready` is false for frames the
+     * script could not be injected into.
+     */
+    async prepareFrames(tabId) {
+        const probe = () => chrome.scripting.executeScript({
+            target: { tabId, allFrames: true },
+            func: () => ({ url: location.href, ready: typeof window.cognitoTable !== 'undefined' })
+        });
+        let results = await probe();
+        const missing = results.filter(result => result.result && !result.result.ready);
+        if (missing.length > 0) {
+            const files = this.getContentScriptFiles();
+            await Promise.all(missing.map(result => chrome.scripting.executeScript({ target: { tabId, frameIds: [result.frameId] }, files })
+                .catch(error => console.warn(`CognitoTable: Could not inject into frame ${result.frameId}:`, error.message))));
+            results = await probe();
+        }
+        return results
+            .filter(result => result.result)
+            .map(result => ({ frameId: result.frameId, url: result.result.url, ready: result.result.ready }));
+    }
+
+    /**
+     * Starts a scan in every frame. Frames send their tables as they find them and
+     * report scanComplete when done, also when their scan failed; the popup gets
+     * one scanComplete once all frames have reported. The scan's state is kept in
+     * session storage (frameScan_<tab>) so it survives a restart of the service
+     * worker, and an alarm ends the scan when frames stop reporting.
+     */
+    async scanFrames(tabId) {
+        let frames;
+        try {
+            frames = await this.prepareFrames(tabId);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+        const ready = frames.filter(frame => frame.ready);
+        if (ready.length === 0) return { success: false, error: 'No frame of the page can be scanned.' };
+
+        const scan = {
+            started: Date.now(),
+            pending: ready.map(frame => frame.frameId),
+            frameUrls: Object.fromEntries(ready.map(frame => [frame.frameId, frame.url])),
+            reports: frames.filter(frame => !frame.ready).map(frame => ({
+                frameId: frame.frameId,
+                frameUrl: frame.url,
+                failed: 'The extension could not run in this frame.',
+                nearMisses: []
+            })),
+            done: false
+        };
+        await this.updateSessionEntry(`frameScan_${tabId}`, () => scan);
+        this.extendFrameScan(tabId, true);
+        await this.updateSessionEntry(`tables_${tabId}`, () => null);
+
+        ready.forEach(frame => {
+            chrome.tabs.sendMessage(tabId, { action: 'getTables' }, { frameId: frame.frameId }).catch(error => {
+                // The frame went away or navigated during the scan.
+                this.completeFrameScan(tabId, { frameId: frame.frameId, url: frame.url }, { failed: error.message });
+            });
+        });
+        return { success: true, frames: ready.length };
+    }
+
+    /**
+     * Pushes the scan's deadline back while frames are still reporting. Frequent
+     * reports (harvest progress) only move the alarm every few seconds.
+     */
+    extendFrameScan(tabId, force = false) {
+        const now = Date.now();
+        if (!force && now - (this.frameScanExtended.get(tabId) || 0) < 5000) return;
+        this.frameScanExtended.set(tabId, now);
+        chrome.storage.session.get([`frameScan_${tabId}`]).then(result => {
+            const scan = result[`frameScan_${tabId}`];
+            if (force || (scan && !scan.done)) chrome.alarms.create(`frameScan_${tabId}`, { when: now + this.frameScanTimeoutMs });
+        });
+    }
+
+    /**
+     * Frames that have not reported when the deadline passes count as failed; their
+     * scans are stopped so they do not report later.
+     */
+    async expireFrameScan(tabId) {
+        const scan = (await chrome.storage.session.get([`frameScan_${tabId}`]))[`frameScan_${tabId}`];
+        if (!scan || scan.done) return;
+        for (const frameId of scan.pending) {
+            chrome.tabs.sendMessage(tabId, { action: 'cancelScan' }, { frameId }).catch(() => {});
+            await this.completeFrameScan(tabId, { frameId, url: scan.frameUrls[frameId] }, { failed: 'The frame did not finish scanning in time.' });
+        }
+    }
+
+    async completeFrameScan(tabId, sender, report) {
+        const frameId = sender.frameId || 0;
+        const nearMisses = (report.nearMisses || []).map(nearMiss => this.tagFrameItem(nearMiss, sender));
+        let finished = null;
+        await this.updateSessionEntry(`frameScan_${tabId}`, scan => {
+            // Late reports of frames that timed out, or of a scan that was replaced, are dropped.
+            if (!scan || scan.done || !scan.pending.includes(frameId)) return undefined;
+            scan.pending = scan.pending.filter(id => id !== frameId);
+            scan.reports.push({ ...report, frameId, frameUrl: sender.url || scan.frameUrls[frameId], nearMisses });
+            if (scan.pending.length > 0) return scan;
+            finished = scan;
+            return { ...scan, done: true };
+        });
+        if (!finished) return;
+        chrome.alarms.clear(`frameScan_${tabId}`);
+        this.frameScanExtended.delete(tabId);
+
+        const result = this.mergeFrameReports(finished);
+        await chrome.storage.session.set({ [`scanReport_${tabId}`]: result });
+        // A stopped scan is incomplete, so the next popup scans again.
+        if (result.cancelled) await this.updateSessionEntry(`tables_${tabId}`, () => null);
+        this.sendToPopup({ action: 'scanComplete', ...result });
+    }
+
+    /**
+     * One report for the whole tab: near misses of all frames, summed metrics, and
+     * the frames whose scan failed (restricted or sandboxed frames, frames that
+     * went away or did not finish in time).
+     */
+    mergeFrameReports(scan) {
+        const scanned = scan.reports.filter(report => !report.failed);
+        const metrics = { frames: scanned.length, totalMs: Date.now() - scan.started };
+        const summed = ['containers', 'snapshotted', 'slices', 'snapshotBusyMs', 'explicitMs', 'explicitTables', 'workerMs', 'scoreMs', 'extractMs', 'candidates', 'rejected'];
+        scanned.forEach(report => {
+            if (!report.metrics) return;
+            summed.forEach(key => { metrics[key] = (metrics[key] || 0) + (report.metrics[key] || 0); });
+            if (report.frameId === 0 || !metrics.mode) metrics.mode = report.metrics.mode;
+        });
+        const cancelled = scan.reports.some(report => report.cancelled);
+        metrics.cancelled = cancelled;
+
+        return {
+            nearMisses: scan.reports.flatMap(report => report.nearMisses)
+                .sort((a, b) => b.confidence - a.confidence)
+                .slice(0, 20),
+            metrics,
+            cancelled,
+            failedFrames: scan.reports
+                .filter(report => report.failed)
+                .map(report => ({ frameId: report.frameId, url: report.frameUrl || '', error: report.failed })),
+            frames: scanned.length
+        };
+    }
+
+    async getScanReport(tabId) {
+        const key = `scanReport_${tabId}`;
+        return (await chrome.storage.session.get([key]))[key] || null;
+    }
+
+    async removeNearMiss(tabId, nearMissId) {
+        const key = `scanReport_${tabId}`;
+        const report = await this.getScanReport(tabId);
+        if (report) {
+            report.nearMisses = report.nearMisses.filter(nearMiss => nearMiss.id !== nearMissId);
+            await chrome.storage.session.set({ [key]: report });
+        }
+        return { success: true };
+    }
+
     cleanupTabData(tabId) {
         const cacheKey = `tables_${tabId}`;
-        chrome.storage.session.remove([cacheKey]);
+        this.frameBadgeCounts.delete(tabId);
+        this.frameScanExtended.delete(tabId);
+        chrome.alarms.clear(`frameScan_${tabId}`);
+        this.updateSessionEntry(cacheKey, () => null);
+        this.updateSessionEntry(`frameScan_${tabId}`, () => null);
+        this.updateSessionEntry(`manualTables_${tabId}`, () => null);
+        chrome.storage.session.remove([`scanReport_${tabId}`]);
         console.log(`Cache cleared for tab ${tabId}`);
     }
 }
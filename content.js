@@ -6,14 +6,31 @@ class CognitoTableContentScript {
     constructor() {
         console.log('CognitoTableContentScript constructor called');
         this.mutationObserver = null;
+        this.mutationCount = 0;
+        this.lastMutationAt = 0;
         this.debounceTimer = null;
+        // True while a full scan for the popup runs; badge rescans wait for it.
         this.isAnalyzing = false;
+        this.scanCancelled = false;
+        this.lastScanMetrics = null;
+        this.tableIdCount = 0;
+        // Containers the last scan turned down, with the reason (see "Near misses" in the popup).
+        this.lastNearMisses = [];
 
         // Initialize helper modules
         this.domUtils = new DomUtils();
         this.tableAnalyzer = new TableAnalyzer(this.domUtils);
-        this.virtualizedHandler = new VirtualizedTableHandler(this.tableAnalyzer, this.domUtils);
+        this.ariaGridExtractor = new AriaGridExtractor(this.tableAnalyzer, this.domUtils);
+        this.virtualizedHandler = new VirtualizedTableHandler(this.tableAnalyzer, this.domUtils, this.ariaGridExtractor);
         this.tableScanner = new TableScanner(this.domUtils, this.tableAnalyzer);
+        this.scanPipeline = new ScanPipeline(this.tableScanner, this.tableAnalyzer, this.domUtils);
+        this.manualSelection = new ManualSelectionHandler(this.domUtils, this.tableScanner);
+        this.paginationDetector = new PaginationDetector(this.domUtils);
+        this.elementLocator = new ElementLocator(this.domUtils);
+        this.macroRecorder = new MacroRecorder(this.elementLocator);
+        this.macroPlayer = new MacroPlayer(this.elementLocator);
+        this.cognitiveSelection = new CognitiveSelectionHandler(this.domUtils, this.elementLocator, this.tableAnalyzer);
+        this.detectionOverlay = new DetectionOverlay(this.domUtils, this.tableScanner, this.tableAnalyzer);
 
         this.init();
     }
@@ -22,12 +39,17 @@ class CognitoTableContentScript {
         console.log('CognitoTableContentScript initializing...');
         this.setupMutationObserver();
         this.setupMessageListener();
+        this.resumePendingReplay();
         // The initial scan is now triggered by the background script for the badge count
         console.log('CognitoTableContentScript initialization complete');
     }
 
     setupMutationObserver() {
-        this.mutationObserver = new MutationObserver(() => this.debouncedAnalysis());
+        this.mutationObserver = new MutationObserver(() => {
+            this.mutationCount++;
+            this.lastMutationAt = Date.now();
+            this.debouncedAnalysis();
+        });
         this.mutationObserver.observe(document.body, { childList: true, subtree: true, attributes: false });
     }
     
@@ -39,6 +61,15 @@ class CognitoTableContentScript {
                         .then(tables => sendResponse({ tables: tables }))
                         .catch(error => sendResponse({ error: error.message }));
                     return true; // Indicates an async response
+                case 'cancelScan':
+                    sendResponse({ cancelled: this.cancelScan() });
+                    break;
+                case 'cancelHarvest':
+                    sendResponse({ cancelled: this.virtualizedHandler.cancel() });
+                    break;
+                case 'getScanMetrics':
+                    sendResponse({ metrics: this.lastScanMetrics });
+                    break;
                 case 'highlightTable':
                     this.domUtils.highlightElement(request.selector);
                     sendResponse({ success: true });
@@ -48,14 +79,370 @@ class CognitoTableContentScript {
                     sendResponse({ success: true });
                     break;
                 case 'extractTable':
-                    this.extractTableData(request.selector)
+                    this.extractTableData(request.selector, { spanMode: request.spanMode })
                         .then(data => sendResponse({ data }))
                         .catch(error => sendResponse({ data: null, error: error.message }));
                     return true; // Indicates an async response
+                case 'startManualSelection':
+                    this.startManualSelection();
+                    sendResponse({ success: true });
+                    break;
+                case 'startCognitiveSelection':
+                    this.startCognitiveSelection();
+                    sendResponse({ success: true });
+                    break;
+                case 'runCustomSelection':
+                    sendResponse(this.runCustomSelection(request.selection));
+                    break;
+                case 'startMacroRecording':
+                    this.startMacroRecording();
+                    sendResponse({ success: true });
+                    break;
+                case 'replayMacro':
+                    this.replayMacro(request.macro, request.options)
+                        .then(result => sendResponse(result));
+                    return true; // Indicates an async response
+                case 'toggleDebugOverlay':
+                    this.detectionOverlay.toggle()
+                        .then(active => sendResponse({ active }))
+                        .catch(error => sendResponse({ active: false, error: error.message }));
+                    return true; // Indicates an async response
+                case 'getNearMisses':
+                    sendResponse({ nearMisses: this.lastNearMisses });
+                    break;
+                case 'promoteNearMiss':
+                    this.promoteNearMiss(request.selector, request.confidence)
+                        .then(accepted => sendResponse({ success: accepted }))
+                        .catch(error => sendResponse({ success: false, error: error.message }));
+                    return true; // Indicates an async response
+                case 'detectPagination':
+                    sendResponse({ strategies: this.paginationDetector.detect() });
+                    break;
+                case 'describeTable':
+                    sendResponse({ locator: this.describeTable(request.selector) });
+                    break;
+                case 'extractLocatedTable':
+                    this.extractLocatedTable(request.locator)
+                        .then(data => sendResponse({ data }))
+                        .catch(error => sendResponse({ data: null, error: error.message }));
+                    return true; // Indicates an async response
+                case 'multiPageAdvance':
+                    this.advancePage(request.strategy)
+                        .then(result => sendResponse(result))
+                        .catch(error => sendResponse({ advanced: false, error: error.message }));
+                    return true; // Indicates an async response
             }
         });
     }
 
+    startManualSelection() {
+        this.manualSelection.activate(
+            (element, confidence) => this.handleManualSelection(element, confidence),
+            () => chrome.runtime.sendMessage({ action: 'manualSelectionCancelled' }).catch(() => {})
+        );
+    }
+
+    /**
+     * Analyzes the element picked in manual selection mode. Returns false when it
+     * holds no usable rows so the selection mode can stay open.
+     */
+    async handleManualSelection(element, confidence) {
+        const tableData = this.applySiteRules(element, await this.analyzeElement(element), await this.loadSiteRules());
+        if (!tableData || tableData.rows.length === 0) return false;
+
+        const tableObject = {
+            id: this.createTableId('M'),
+            type: 'manual',
+            confidence: Math.max(confidence, 0.5),
+            element: this.domUtils.getElementSelector(element),
+            data: tableData,
+            preview: Utils.generatePreview(tableData)
+        };
+
+        this.publishTable(tableObject);
+        return true;
+    }
+
+    /**
+     * Id for a table picked by hand or built from a custom selection. These are
+     * kept for the tab across page reloads, so the id has the time in it as well
+     * as a per-page count.
+     */
+    createTableId(prefix) {
+        this.tableIdCount++;
+        return `${prefix}${Date.now().toString(36)}${this.tableIdCount}`;
+    }
+
+    startCognitiveSelection() {
+        if (this.manualSelection.isActive) this.manualSelection.deactivate();
+        this.cognitiveSelection.activate(
+            selection => this.handleCognitiveSelection(selection),
+            () => {}
+        );
+    }
+
+    /**
+     * Builds the table from freshly made picks and saves the selection so it
+     * can be re-run from the popup. Returns false when the picks hold no values.
+     */
+    async handleCognitiveSelection(selection) {
+        const saved = {
+            ...selection,
+            name: `${document.title || window.location.hostname} – custom table (${selection.columns.length} column${selection.columns.length === 1 ? '' : 's'})`,
+            url: window.location.href,
+            origin: window.location.origin
+        };
+        const result = this.runCustomSelection(saved);
+        if (!result.table) return false;
+
+        const stored = await chrome.runtime.sendMessage({ action: 'saveCustomSelection', selection: saved }).catch(() => null);
+        if (stored && stored.id) result.table.selectionId = stored.id;
+        this.publishTable(result.table);
+        return true;
+    }
+
+    /**
+     * Re-reads every pick of a saved selection from the current page. Picks whose
+     * elements are gone are skipped and counted in `missing`.
+     */
+    runCustomSelection(selection) {
+        const picks = [];
+        let missing = 0;
+        selection.picks.forEach(pick => {
+            const values = this.cognitiveSelection.readPick(pick);
+            if (values) picks.push({ ...pick, values });
+            else missing++;
+        });
+
+        const tableData = Utils.assembleCustomTable(selection.columns, picks);
+        if (tableData.rows.length === 0) return { table: null, missing };
+        tableData.locale = this.tableAnalyzer.getPageLocale();
+        tableData.columnTypes = this.tableAnalyzer.inferColumnTypes(tableData.rows, tableData.locale);
+
+        const table = {
+            id: this.createTableId('C'),
+            type: 'custom',
+            confidence: 1,
+            element: this.getCommonAncestorSelector(selection.picks),
+            selectionId: selection.id,
+            data: tableData,
+            preview: Utils.generatePreview(tableData)
+        };
+        return { table, missing };
+    }
+
+    getCommonAncestorSelector(picks) {
+        const elements = picks.map(pick => this.elementLocator.resolve(pick.locator)).filter(Boolean);
+        if (elements.length === 0) return 'body';
+        let ancestor = elements[0];
+        while (ancestor && !elements.every(element => this.domUtils.containsDeep(ancestor, element))) ancestor = this.domUtils.getParentDeep(ancestor);
+        return ancestor && ancestor !== document.body ? this.domUtils.getElementSelector(ancestor) : 'body';
+    }
+
+    publishTable(table) {
+        chrome.runtime.sendMessage({ action: 'manualTableSelected', table }).catch(() => {});
+        chrome.runtime.sendMessage({ action: 'tableFound', table }).catch(() => {});
+    }
+
+    startMacroRecording() {
+        this.macroRecorder.start(steps => {
+            if (steps.length === 0) return;
+            const macro = {
+                name: `${document.title || window.location.hostname} (${steps.length} steps)`,
+                url: window.location.href,
+                origin: window.location.origin,
+                steps
+            };
+            chrome.runtime.sendMessage({ action: 'macroRecorded', macro }).catch(() => {});
+        });
+    }
+
+    /**
+     * Replays a recorded macro from startIndex. The step about to run is stored in
+     * sessionStorage first so that, if it navigates away, the next page's content
+     * script picks the replay up where it stopped (see resumePendingReplay).
+     */
+    async replayMacro(macro, options = {}, startIndex = 0) {
+        const settleOptions = { quietMs: options.settleMs ?? 500, timeoutMs: options.timeoutMs ?? 10000 };
+        const report = progress => chrome.runtime.sendMessage({ action: 'macroProgress', macroId: macro.id, ...progress }).catch(() => {});
+
+        try {
+            await this.macroPlayer.play(macro.steps, {
+                startIndex,
+                timeoutMs: settleOptions.timeoutMs,
+                waitForSettle: () => this.waitForDomSettle(settleOptions),
+                onProgress: report,
+                beforeStep: index => this.storePendingReplay({ macro, options, index: index + 1 })
+            });
+            report({ status: 'complete', total: macro.steps.length });
+            return { success: true };
+        } catch (error) {
+            report({ status: 'failed', index: error.stepIndex, total: macro.steps.length, error: error.message });
+            return { success: false, error: error.message, failedStep: error.stepIndex };
+        } finally {
+            this.storePendingReplay(null);
+        }
+    }
+
+    storePendingReplay(pending) {
+        try {
+            if (pending) {
+                sessionStorage.setItem('cognitoTableReplay', JSON.stringify(pending));
+            } else {
+                sessionStorage.removeItem('cognitoTableReplay');
+            }
+        } catch (error) {
+            // sessionStorage is unavailable in some sandboxed frames; replays then stop at navigations.
+        }
+    }
+
+    async resumePendingReplay() {
+        let pending = null;
+        try {
+            pending = JSON.parse(sessionStorage.getItem('cognitoTableReplay'));
+        } catch (error) {
+            return;
+        }
+        if (!pending) return;
+
+        await this.waitForDomSettle({ quietMs: pending.options.settleMs ?? 500 });
+        this.replayMacro(pending.macro, pending.options, pending.index);
+    }
+
+    /**
+     * Resolves once the page has gone quietMs without DOM mutations. With
+     * expectChange it first waits for at least one mutation, which covers
+     * content fetched asynchronously after a click. Resolves to whether
+     * anything changed; gives up after timeoutMs.
+     */
+    async waitForDomSettle({ quietMs = 500, timeoutMs = 10000, expectChange = false } = {}) {
+        const start = Date.now();
+        const startCount = this.mutationCount;
+        while (Date.now() - start < timeoutMs) {
+            await Utils.sleep(100);
+            const changed = this.mutationCount !== startCount;
+            if (expectChange && !changed) continue;
+            if (Date.now() - Math.max(this.lastMutationAt, start) >= quietMs) return changed;
+        }
+        return this.mutationCount !== startCount;
+    }
+
+    /**
+     * Builds a locator for a detected table that can find it again on a later
+     * visit. Callers add the table's headers as a last-resort match.
+     */
+    describeTable(selector) {
+        const element = this.domUtils.querySelectorDeep(selector);
+        return element ? this.elementLocator.describe(element) : null;
+    }
+
+    /**
+     * Finds a previously extracted table again, first through its locator and then
+     * by the detected table whose headers overlap the most with the remembered ones.
+     */
+    async locateTable(locator) {
+        let element = null;
+        try {
+            element = locator.tagName ? this.elementLocator.resolve(locator) : this.domUtils.querySelectorDeep(locator.selector);
+        } catch (error) {
+            console.warn('CognitoTable: Invalid table selector:', locator.selector);
+        }
+        if (element || !locator.headers || locator.headers.length === 0) return element;
+
+        const candidates = [
+            ...this.tableScanner.findExplicitTables(),
+            ...(await this.tableScanner.findImplicitTables()).map(c => c.element)
+        ];
+        const wanted = new Set(locator.headers);
+        let best = null;
+        let bestScore = 0;
+        for (const candidate of candidates) {
+            const data = await this.analyzeElement(candidate);
+            if (!data) continue;
+            const score = data.headers.filter(header => wanted.has(header)).length / wanted.size;
+            if (score > bestScore) {
+                best = candidate;
+                bestScore = score;
+            }
+        }
+        return bestScore >= 0.5 ? best : null;
+    }
+
+    async extractLocatedTable(locator) {
+        const element = await this.locateTable(locator);
+        return element ? this.applySiteRules(element, await this.analyzeElement(element), await this.loadSiteRules()) : null;
+    }
+
+    /**
+     * Layouts taught for tables on this site (see Teach & Refine in the popup)
+     * and schemas locked for them.
+     */
+    async loadSiteRules() {
+        const url = window.location.href;
+        try {
+            const [layouts, schemas] = await Promise.all([
+                chrome.runtime.sendMessage({ action: 'getLayouts', url }),
+                chrome.runtime.sendMessage({ action: 'getSchemas', url })
+            ]);
+            return { layouts: layouts || [], schemas: schemas || [] };
+        } catch (error) {
+            return { layouts: [], schemas: [] };
+        }
+    }
+
+    /**
+     * Applies the saved layout first, then enforces the locked schema on the
+     * resulting rows.
+     */
+    applySiteRules(element, tableData, rules) {
+        if (!tableData) return tableData;
+        const selector = this.domUtils.getElementSelector(element);
+        const signature = Utils.getLayoutSignature(tableData);
+
+        const layout = Utils.findSiteEntry(rules.layouts, selector, signature);
+        if (layout) {
+            tableData = Utils.applyLayout(tableData, layout.layout, rows => this.tableAnalyzer.inferColumnTypes(rows, tableData.locale));
+        }
+        const schema = Utils.findSiteEntry(rules.schemas, selector, signature);
+        if (schema) {
+            tableData = Utils.enforceSchema(tableData, schema.schema, (value, column) => this.tableAnalyzer.valueMatchesType(value, column, tableData.locale));
+        }
+        return tableData;
+    }
+
+    async analyzeElement(element, options = {}) {
+        if (element.tagName.toLowerCase() === 'table') return this.tableAnalyzer.analyzeExplicitTable(element, options);
+        if (this.ariaGridExtractor.isGrid(element)) return this.virtualizedHandler.extractAriaGrid(element, { ...options, ...this.getHarvestOptions() });
+        return this.tableAnalyzer.analyzeImplicitTable(element);
+    }
+
+    /**
+     * Activates the next-page control for a pagination strategy. Full navigations
+     * are started after replying so the background script can wait for the reload;
+     * in-place updates are awaited here.
+     */
+    async advancePage(strategy) {
+        const control = this.paginationDetector.findNextControl(strategy);
+        if (!control) return { advanced: false };
+
+        const pageUrl = window.location.href.split('#')[0];
+        const targetUrl = control.href && !control.href.startsWith('javascript:') ? control.href.split('#')[0] : '';
+        if (targetUrl && targetUrl !== pageUrl) {
+            setTimeout(() => {
+                if (control.element) {
+                    control.element.click();
+                } else {
+                    window.location.href = control.href;
+                }
+            }, 50);
+            return { advanced: true, navigation: true };
+        }
+
+        control.element.click();
+        const changed = await this.waitForDomSettle({ expectChange: true });
+        return { advanced: true, navigation: false, changed };
+    }
+
     debouncedAnalysis() {
         clearTimeout(this.debounceTimer);
         this.debounceTimer = setTimeout(() => this.performIncrementalScan(), 500);
@@ -64,66 +451,95 @@ class CognitoTableContentScript {
     async performInitialScan() {
         // This is kept for potential future use or manual triggering.
         if (this.isAnalyzing) return;
-        this.isAnalyzing = true;
         try {
             const tables = await this.scanForBadgeUpdate();
-            this.updateBadgeCount(tables.length);
+            if (tables) this.updateBadgeCount(tables.length);
         } catch (error) {
             console.error('CognitoTable: Error during initial scan:', error);
-        } finally {
-            this.isAnalyzing = false;
         }
     }
 
     async performIncrementalScan() {
         if (this.isAnalyzing) return;
-        this.isAnalyzing = true;
         try {
+            // Starting a new scan cancels one still running for an earlier mutation.
             const tables = await this.scanForBadgeUpdate();
+            if (!tables) return;
             // Clear the session cache as the page has changed
             chrome.runtime.sendMessage({ action: 'clearCache' }).catch(() => {});
             this.updateBadgeCount(tables.length);
         } catch (error) {
             console.error('CognitoTable: Error during incremental scan:', error);
-        } finally {
-            this.isAnalyzing = false;
         }
     }
     
+    /**
+     * Resolves null when the scan was cancelled or replaced by a newer one, and
+     * while a full scan runs (it updates the badge itself).
+     */
     async scanForBadgeUpdate() {
+        if (this.isAnalyzing) return null;
         const explicit = this.tableScanner.findExplicitTables();
-        const implicit = await this.tableScanner.findImplicitTables();
-        return [...explicit, ...implicit.map(c => c.element)];
+        const report = await this.scanPipeline.run();
+        if (!report) return null;
+        return [...explicit, ...report.candidates.map(c => c.element)];
     }
 
-    async scanWithRetry(maxRetries = 3, delay = 1000) {
-        let allFoundTables = [];
-        for (let attempt = 1; attempt <= maxRetries; attempt++) {
-            allFoundTables = await this.scanAndProcessTables();
-            if (allFoundTables.length > 0) break;
-            if (attempt < maxRetries) await Utils.sleep(delay);
-        }
-        
-        // Cache the final results in the background script
-        chrome.runtime.sendMessage({ action: 'cacheTableData', tables: allFoundTables });
-
-        // Final completion message
-        const iframes = Array.from(document.querySelectorAll('iframe')).map(iframe => ({
-            src: iframe.src,
-            title: iframe.title,
-            sameOrigin: this.isSameOrigin(iframe.src)
-        }));
-        chrome.runtime.sendMessage({ action: 'scanComplete', iframes });
-        
-        return allFoundTables;
+    /**
+     * Stops the running scan. A full scan still reports the tables it found
+     * before it was stopped.
+     */
+    cancelScan() {
+        if (!this.isAnalyzing && !this.scanPipeline.isScanning) return false;
+        if (this.isAnalyzing) this.scanCancelled = true;
+        this.scanPipeline.cancel();
+        this.virtualizedHandler.cancel();
+        return true;
+    }
+
+    /**
+     * How virtual-scroll harvesting waits after each scroll and where it reports
+     * its progress ("412/2,000 rows" in the popup, which can cancel it).
+     */
+    getHarvestOptions() {
+        return {
+            waitForSettle: () => this.waitForDomSettle({ quietMs: 150, timeoutMs: 2000 }),
+            onProgress: progress => chrome.runtime.sendMessage({ action: 'harvestProgress', ...progress }).catch(() => {})
+        };
     }
 
-    isSameOrigin(url) {
+    async scanWithRetry(maxRetries = 3, delay = 1000) {
+        let allFoundTables = [];
+        let failure = null;
+        this.isAnalyzing = true;
+        this.scanCancelled = false;
         try {
-            return new URL(url).origin === window.location.origin;
-        } catch (e) {
-            return false;
+            for (let attempt = 1; attempt <= maxRetries; attempt++) {
+                allFoundTables = await this.scanAndProcessTables();
+                if (allFoundTables.length > 0 || this.scanCancelled) break;
+                if (attempt < maxRetries) await Utils.sleep(delay);
+            }
+        } catch (error) {
+            failure = error;
+            throw error;
+        } finally {
+            this.isAnalyzing = false;
+
+            // Cache the final results in the background script. A stopped or
+            // failed scan is incomplete, so the next popup scans again.
+            if (!this.scanCancelled && !failure) chrome.runtime.sendMessage({ action: 'cacheTableData', tables: allFoundTables });
+
+            // The background waits for every frame's completion message, failed or not.
+            chrome.runtime.sendMessage({
+                action: 'scanComplete',
+                nearMisses: failure ? [] : this.lastNearMisses,
+                metrics: failure ? null : this.lastScanMetrics,
+                cancelled: this.scanCancelled,
+                failed: failure ? failure.message : null
+            });
         }
+
+        return allFoundTables;
     }
 
     /**
@@ -131,9 +547,12 @@ class CognitoTableContentScript {
      * *more unique* rows (after header-normalization).
      */
     async scanAndProcessTables() {
+        const started = performance.now();
         const seenContent = new Map();
         let tableId = 0;
         const allFoundTables = [];
+        const nearMisses = [];
+        const siteRules = await this.loadSiteRules();
 
         const uniqueCount = (rows) => {
             const s = new Set(rows.map(r => (r || []).join('|')));
@@ -143,12 +562,16 @@ class CognitoTableContentScript {
         // --- EXPLICIT TABLES ---
         const explicitTables = this.tableScanner.findExplicitTables();
         for (const tableElement of explicitTables) {
+            if (this.scanCancelled) break;
             let tableData = await this.tableAnalyzer.analyzeExplicitTable(tableElement);
-            if (!tableData || tableData.rows.length === 0) continue;
+            if (!tableData || tableData.rows.length === 0) {
+                nearMisses.push(this.createNearMiss(tableElement, 0.95, null, 'too-few-rows', '0 rows'));
+                continue;
+            }
 
             // Consider the "virtualized" enhancement only if it provides *more unique rows*
             if (this.virtualizedHandler.detectVirtualizedTable(tableElement)) {
-                const enhancedData = await this.virtualizedHandler.extractVirtualizedTableData(tableElement);
+                const enhancedData = await this.virtualizedHandler.extractVirtualizedTableData(tableElement, this.getHarvestOptions());
                 if (enhancedData) {
                     const baseUnique = uniqueCount(tableData.rows);
                     const enhUnique  = uniqueCount(enhancedData.rows);
@@ -157,17 +580,22 @@ class CognitoTableContentScript {
                     }
                 }
             }
+            tableData = this.applySiteRules(tableElement, tableData, siteRules);
             
             const signature = Utils.createTableContentSignature(tableData);
-            if (seenContent.has(signature)) continue;
-            seenContent.set(signature, true);
+            if (seenContent.has(signature)) {
+                nearMisses.push(this.createNearMiss(tableElement, 0.95, null, 'duplicate', `table #${seenContent.get(signature)}`));
+                continue;
+            }
             tableId++;
+            seenContent.set(signature, tableId);
 
             const tableObject = {
                 id: tableId,
                 type: 'explicit',
                 confidence: 0.95,
                 element: this.domUtils.getElementSelector(tableElement),
+                score: this.describeScore(null),
                 data: tableData,
                 preview: Utils.generatePreview(tableData)
             };
@@ -176,14 +604,52 @@ class CognitoTableContentScript {
             allFoundTables.push(tableObject);
         }
 
+        // --- ARIA GRIDS ---
+        // Read by their roles and ARIA indices; the implicit scan skips them.
+        for (const grid of this.ariaGridExtractor.findGrids()) {
+            if (this.scanCancelled) break;
+            let tableData = await this.virtualizedHandler.extractAriaGrid(grid, this.getHarvestOptions());
+            if (tableData.rows.length === 0) {
+                nearMisses.push(this.createNearMiss(grid, 0.95, null, 'too-few-rows', '0 rows'));
+                continue;
+            }
+            tableData = this.applySiteRules(grid, tableData, siteRules);
+
+            const signature = Utils.createTableContentSignature(tableData);
+            if (seenContent.has(signature)) {
+                nearMisses.push(this.createNearMiss(grid, 0.95, null, 'duplicate', `table #${seenContent.get(signature)}`));
+                continue;
+            }
+            tableId++;
+            seenContent.set(signature, tableId);
+
+            const tableObject = {
+                id: tableId,
+                type: 'aria',
+                confidence: 0.95,
+                element: this.domUtils.getElementSelector(grid),
+                score: this.describeScore(null),
+                data: tableData,
+                preview: Utils.generatePreview(tableData)
+            };
+
+            chrome.runtime.sendMessage({ action: 'tableFound', table: tableObject });
+            allFoundTables.push(tableObject);
+        }
+
+        const explicitMs = performance.now() - started;
+
         // --- IMPLICIT TABLES ---
-        const implicitCandidates = await this.tableScanner.findImplicitTables();
+        // Scored and extracted by the scan worker; null when the scan was stopped.
+        const report = this.scanCancelled ? null : await this.scanPipeline.run();
+        if (!report) this.scanCancelled = true;
+        const implicitCandidates = report ? report.candidates : [];
+        const tableIds = new Map();
         for (const candidate of implicitCandidates) {
-            let tableData = await this.tableAnalyzer.analyzeImplicitTable(candidate.element);
-            if (!tableData || tableData.rows.length <= 1) continue;
+            let tableData = candidate.data;
 
             if (this.virtualizedHandler.detectVirtualizedTable(candidate.element)) {
-                const enhancedData = await this.virtualizedHandler.extractVirtualizedTableData(candidate.element);
+                const enhancedData = await this.virtualizedHandler.extractVirtualizedTableData(candidate.element, this.getHarvestOptions());
                 if (enhancedData) {
                     const baseUnique = uniqueCount(tableData.rows);
                     const enhUnique  = uniqueCount(enhancedData.rows);
@@ -192,17 +658,23 @@ class CognitoTableContentScript {
                     }
                 }
             }
+            tableData = this.applySiteRules(candidate.element, tableData, siteRules);
 
             const signature = Utils.createTableContentSignature(tableData);
-            if (seenContent.has(signature)) continue;
-            seenContent.set(signature, true);
+            if (seenContent.has(signature)) {
+                nearMisses.push(this.createNearMiss(candidate.element, candidate.confidence, candidate.breakdown, 'duplicate', `table #${seenContent.get(signature)}`));
+                continue;
+            }
             tableId++;
+            seenContent.set(signature, tableId);
+            tableIds.set(candidate.element, tableId);
 
             const tableObject = {
                 id: tableId,
                 type: 'implicit',
                 confidence: candidate.confidence,
                 element: this.domUtils.getElementSelector(candidate.element),
+                score: this.describeScore(candidate.breakdown),
                 data: tableData,
                 preview: Utils.generatePreview(tableData)
             };
@@ -210,28 +682,99 @@ class CognitoTableContentScript {
             chrome.runtime.sendMessage({ action: 'tableFound', table: tableObject });
             allFoundTables.push(tableObject);
         }
-        
+
+        (report ? report.rejected : []).forEach(candidate => {
+            nearMisses.push(this.createNearMiss(candidate.element, candidate.confidence, candidate.breakdown, candidate.reason, this.describeRejection(candidate, tableIds)));
+        });
+
+        this.lastScanMetrics = {
+            ...(report ? report.metrics : {}),
+            explicitTables: explicitTables.length,
+            explicitMs,
+            totalMs: performance.now() - started,
+            cancelled: this.scanCancelled
+        };
+
+        this.lastNearMisses = nearMisses
+            .sort((a, b) => b.confidence - a.confidence)
+            .slice(0, 20)
+            .map(({ node, ...nearMiss }, index) => ({
+                ...nearMiss,
+                id: `N${index + 1}`,
+                element: this.domUtils.getElementSelector(node),
+                sample: this.tableAnalyzer.extractCellText(node).slice(0, 120)
+            }));
         this.updateBadgeCount(allFoundTables.length);
         return allFoundTables;
     }
 
-    async extractTableData(selector) {
-        const element = document.querySelector(selector);
-        if (!element) return null;
+    /**
+     * How a confidence was reached: the scanner's per-signal scores and weights
+     * for implicit tables, or null for <table> elements, which are accepted as is.
+     */
+    describeScore(breakdown) {
+        return {
+            breakdown,
+            weights: breakdown ? this.tableScanner.scoreWeights : null,
+            threshold: this.tableScanner.confidenceThreshold
+        };
+    }
 
-        if (element.tagName.toLowerCase() === 'table') {
-            return await this.tableAnalyzer.analyzeExplicitTable(element);
-        } else {
-            return await this.tableAnalyzer.analyzeImplicitTable(element);
+    describeRejection(candidate, tableIds) {
+        switch (candidate.reason) {
+            case 'overlap':
+                return this.domUtils.getElementSelector(candidate.overlappedBy);
+            case 'too-few-rows':
+                return `${candidate.rowCount} row${candidate.rowCount === 1 ? '' : 's'}`;
+            case 'duplicate':
+                return tableIds.has(candidate.duplicateOf)
+                    ? `table #${tableIds.get(candidate.duplicateOf)}`
+                    : this.domUtils.getElementSelector(candidate.duplicateOf);
+            default:
+                return '';
         }
     }
 
+    createNearMiss(element, confidence, breakdown, reason, detail = '') {
+        return {
+            node: element,
+            confidence,
+            score: this.describeScore(breakdown),
+            reason,
+            detail,
+            maxTables: this.tableScanner.maxImplicitTables
+        };
+    }
+
+    /**
+     * Extracts a near miss as if it had been picked with "Manually Select Area",
+     * so it survives rescans.
+     */
+    async promoteNearMiss(selector, confidence) {
+        const element = this.domUtils.querySelectorDeep(selector);
+        if (!element) return false;
+        const accepted = await this.handleManualSelection(element, confidence);
+        if (accepted) this.lastNearMisses = this.lastNearMisses.filter(nearMiss => nearMiss.element !== selector);
+        return accepted;
+    }
+
+    async extractTableData(selector, options = {}) {
+        const element = this.domUtils.querySelectorDeep(selector);
+        if (!element) return null;
+
+        const tableData = await this.analyzeElement(element, options);
+        return this.applySiteRules(element, tableData, await this.loadSiteRules());
+    }
+
     updateBadgeCount(count) {
         chrome.runtime.sendMessage({ action: 'updateBadge', count: count }).catch(() => {});
     }
     
     destroy() {
         if (this.mutationObserver) this.mutationObserver.disconnect();
+        this.manualSelection.deactivate();
+        this.macroRecorder.stop();
+        this.scanPipeline.cancel();
         clearTimeout(this.debounceTimer);
     }
 }
@@ -0,0 +1,261 @@
+/*
+@author: Zahir
+*/
+class CognitoTableHistory {
+    constructor() {
+        this.valueNormalizer = new ValueNormalizer();
+        this.exportRegistry = new ExportRegistry(this.valueNormalizer);
+        this.entries = [];
+        this.selected = null;
+        this.searchTimer = null;
+        this.previewRows = 100;
+        this.init();
+    }
+
+    async init() {
+        this.setupEventListeners();
+        const origin = new URLSearchParams(location.search).get('origin');
+        await this.loadUsage(origin || '');
+        await this.loadEntries();
+    }
+
+    setupEventListeners() {
+        document.getElementById('historySearch').addEventListener('input', () => {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.loadEntries(), 200);
+        });
+        document.getElementById('siteFilter').addEventListener('change', () => {
+            document.getElementById('clearSite').disabled = !this.getSiteFilter();
+            this.loadEntries();
+        });
+        document.getElementById('clearSite').addEventListener('click', () => this.clearSite());
+        document.getElementById('settingsBtn').addEventListener('click', () => {
+            const panel = document.getElementById('settingsPanel');
+            panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+        });
+        document.getElementById('saveSettings').addEventListener('click', () => this.saveSettings());
+
+        document.addEventListener('click', (event) => {
+            if (!event.target.closest('.settings-menu')) document.getElementById('settingsPanel').style.display = 'none';
+        });
+    }
+
+    getSiteFilter() {
+        return document.getElementById('siteFilter').value;
+    }
+
+    formatSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    }
+
+    /**
+     * Fills the site filter and the status bar. Keeps the chosen site when it
+     * still has history.
+     */
+    async loadUsage(preferredOrigin = this.getSiteFilter()) {
+        const { usage, settings } = await chrome.runtime.sendMessage({ action: 'getHistoryUsage' });
+        this.settings = settings;
+        document.getElementById('maxEntries').value = settings.maxEntries;
+        document.getElementById('maxMegabytes').value = settings.maxMegabytes;
+
+        const siteFilter = document.getElementById('siteFilter');
+        siteFilter.innerHTML = '';
+        siteFilter.add(new Option(`All sites (${usage.count})`, ''));
+        usage.sites.forEach(site => siteFilter.add(new Option(`${site.origin || 'Unknown site'} (${site.count})`, site.origin)));
+        siteFilter.value = usage.sites.some(site => site.origin === preferredOrigin) ? preferredOrigin : '';
+        document.getElementById('clearSite').disabled = !this.getSiteFilter();
+
+        this.setStatus(`${usage.count} table(s) · ${this.formatSize(usage.size)} of ${settings.maxMegabytes} MB · keeping at most ${settings.maxEntries} tables`);
+    }
+
+    async loadEntries() {
+        const filter = { query: document.getElementById('historySearch').value.trim(), origin: this.getSiteFilter() };
+        this.entries = await chrome.runtime.sendMessage({ action: 'getHistory', filter }) || [];
+        this.renderEntries();
+        if (this.selected && !this.entries.some(entry => entry.id === this.selected.id)) this.showEmptyDetail();
+    }
+
+    renderEntries() {
+        const list = document.getElementById('entryList');
+        list.innerHTML = '';
+        if (this.entries.length === 0) {
+            list.innerHTML = '<div class="empty-list">No tables match.</div>';
+            return;
+        }
+
+        this.entries.forEach(entry => {
+            const item = document.createElement('div');
+            item.className = 'entry-item';
+            if (this.selected && this.selected.id === entry.id) item.classList.add('selected');
+
+            const title = document.createElement('div');
+            title.className = 'entry-title';
+            title.textContent = entry.title || entry.url || 'Untitled page';
+            const meta = document.createElement('div');
+            meta.className = 'entry-meta';
+            meta.textContent = `${new Date(entry.timestamp).toLocaleString()} · ${entry.rowCount} × ${entry.columnCount} · ${this.formatSize(entry.size)}`;
+            if (entry.edits > 0) {
+                const edited = document.createElement('span');
+                edited.className = 'edited-badge';
+                edited.textContent = 'edited';
+                meta.appendChild(edited);
+            }
+            const headers = document.createElement('div');
+            headers.className = 'entry-headers';
+            headers.textContent = entry.headers.join(' | ');
+
+            item.append(title, meta, headers);
+            item.addEventListener('click', () => this.selectEntry(entry.id));
+            list.appendChild(item);
+        });
+    }
+
+    async selectEntry(entryId) {
+        const entry = await chrome.runtime.sendMessage({ action: 'getHistoryEntry', entryId });
+        if (!entry || !entry.data) {
+            this.setStatus('This table is no longer in the history.', true);
+            await this.loadEntries();
+            return;
+        }
+        this.selected = entry;
+        this.renderEntries();
+        this.renderDetail(entry);
+    }
+
+    showEmptyDetail() {
+        this.selected = null;
+        document.getElementById('entryDetail').innerHTML = '<div class="empty-detail">Select a table to preview and export it.</div>';
+    }
+
+    renderDetail(entry) {
+        const detail = document.getElementById('entryDetail');
+        detail.innerHTML = '';
+
+        const heading = document.createElement('h2');
+        heading.textContent = entry.title || 'Untitled page';
+        const link = document.createElement('a');
+        link.className = 'entry-url';
+        link.href = entry.url;
+        link.target = '_blank';
+        link.textContent = entry.url;
+
+        const facts = document.createElement('div');
+        facts.className = 'entry-facts';
+        const editNote = entry.edits > 0 ? ` · ${entry.edits} edit(s)` : '';
+        const updateNote = entry.updatedAt ? ` · edited ${new Date(entry.updatedAt).toLocaleString()}` : '';
+        facts.textContent = `Extracted ${new Date(entry.timestamp).toLocaleString()}${updateNote} · ${entry.type} table #${entry.tableId} · ` +
+            `${entry.rowCount} rows × ${entry.columnCount} columns${editNote} · ${entry.locator.selector || ''}`;
+
+        const actions = document.createElement('div');
+        actions.className = 'detail-actions';
+        const format = document.createElement('select');
+        this.exportRegistry.list().forEach(exporter => format.add(new Option(exporter.label, exporter.id)));
+        const exportBtn = document.createElement('button');
+        exportBtn.className = 'btn btn-primary';
+        exportBtn.textContent = 'Export';
+        exportBtn.addEventListener('click', () => this.exportEntry(entry, format.value));
+        const workspaceBtn = document.createElement('button');
+        workspaceBtn.className = 'btn btn-secondary';
+        workspaceBtn.textContent = 'Open in Workspace';
+        workspaceBtn.addEventListener('click', () => this.openWorkspace(entry));
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'btn btn-danger';
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.addEventListener('click', () => this.deleteEntry(entry));
+        actions.append(format, exportBtn, workspaceBtn, deleteBtn);
+
+        detail.append(heading, link, facts, actions, this.renderPreview(entry.data));
+    }
+
+    renderPreview(data) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'preview-wrapper';
+        const table = document.createElement('table');
+        table.className = 'preview-table';
+
+        const headerRow = table.createTHead().insertRow();
+        data.headers.forEach(header => {
+            const th = document.createElement('th');
+            th.textContent = header;
+            headerRow.appendChild(th);
+        });
+        const body = table.createTBody();
+        data.rows.slice(0, this.previewRows).forEach(row => {
+            const tr = body.insertRow();
+            row.forEach(cell => { tr.insertCell().textContent = cell; });
+        });
+        wrapper.appendChild(table);
+
+        if (data.rows.length > this.previewRows) {
+            const more = document.createElement('div');
+            more.className = 'preview-more';
+            more.textContent = `Showing ${this.previewRows} of ${data.rows.length} rows. Export or open in the workspace to see all.`;
+            wrapper.appendChild(more);
+        }
+        return wrapper;
+    }
+
+    exportEntry(entry, formatId) {
+        const { content, mimeType, extension } = this.exportRegistry.export(formatId, entry.data);
+        const site = (entry.origin || 'table').replace(/^https?:\/\//, '').replace(/[^\w.-]+/g, '_');
+        this.downloadFile(content, `${site}_table_${entry.tableId}_${entry.id}.${extension}`, mimeType);
+    }
+
+    async openWorkspace(entry) {
+        const table = { id: entry.tableId, type: entry.type, confidence: entry.confidence, element: entry.locator.selector, data: entry.data };
+        await chrome.runtime.sendMessage({ action: 'openWorkspace', table, source: { url: entry.url, title: entry.title } });
+    }
+
+    async deleteEntry(entry) {
+        await chrome.runtime.sendMessage({ action: 'deleteHistoryEntry', entryId: entry.id });
+        this.showEmptyDetail();
+        await this.loadUsage();
+        await this.loadEntries();
+    }
+
+    async clearSite() {
+        const origin = this.getSiteFilter();
+        if (!origin || !confirm(`Delete all extracted tables from ${origin}?`)) return;
+        const { removed } = await chrome.runtime.sendMessage({ action: 'clearSiteHistory', origin });
+        this.showEmptyDetail();
+        await this.loadUsage('');
+        await this.loadEntries();
+        this.setStatus(`Removed ${removed} table(s) from ${origin}.`);
+    }
+
+    async saveSettings() {
+        const settings = {
+            maxEntries: document.getElementById('maxEntries').value,
+            maxMegabytes: document.getElementById('maxMegabytes').value
+        };
+        const { removed } = await chrome.runtime.sendMessage({ action: 'saveHistorySettings', settings });
+        document.getElementById('settingsPanel').style.display = 'none';
+        await this.loadUsage();
+        await this.loadEntries();
+        if (removed > 0) this.setStatus(`Retention saved. Removed ${removed} old table(s).`);
+    }
+
+    setStatus(message, isError = false) {
+        const statusBar = document.getElementById('statusBar');
+        statusBar.textContent = message;
+        statusBar.classList.toggle('error', isError);
+    }
+
+    downloadFile(content, filename, mimeType) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    new CognitoTableHistory();
+});
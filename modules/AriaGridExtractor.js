@@ -0,0 +1,234 @@
+/**
+ * @author : Zahir
+ * Desc : Extracts ARIA grids, i.e. elements other than <table> with role "grid",
+ * "treegrid" or "table" whose rows and cells are marked up with roles. Cells
+ * are placed by aria-rowindex/aria-colindex and aria-rowspan/aria-colspan, so
+ * grids that keep only a window of their rows in the DOM can be read window by
+ * window and merged; aria-rowcount tells how many rows the whole grid has.
+ */
+class AriaGridExtractor {
+    constructor(tableAnalyzer, domUtils) {
+        this.tableAnalyzer = tableAnalyzer;
+        this.domUtils = domUtils;
+        // A <table> with a grid role is read as an explicit table.
+        this.gridSelector = '[role="grid"]:not(table), [role="treegrid"]:not(table), [role="table"]:not(table)';
+        this.rowSelector = '[role="row"]';
+        this.cellSelector = '[role="gridcell"], [role="cell"], [role="columnheader"], [role="rowheader"]';
+    }
+
+    isGrid(element) {
+        return Boolean(element && element.nodeType === Node.ELEMENT_NODE && element.matches(this.gridSelector));
+    }
+
+    /**
+     * Visible ARIA grids with at least one row, including those in open shadow roots.
+     */
+    findGrids() {
+        return this.domUtils.querySelectorAllDeep(this.gridSelector)
+            .filter(grid => this.domUtils.isVisibleElement(grid) && this.getRows(grid).length > 0);
+    }
+
+    /**
+     * The rows of a grid, leaving out the rows of grids nested in its cells.
+     */
+    getRows(grid) {
+        return this.domUtils.queryComposed(grid, this.rowSelector)
+            .filter(row => this.domUtils.closestDeep(this.domUtils.getParentDeep(row), this.gridSelector) === grid);
+    }
+
+    getRowCells(row) {
+        return this.domUtils.queryComposed(row, this.cellSelector)
+            .filter(cell => this.domUtils.closestDeep(this.domUtils.getParentDeep(cell), this.rowSelector) === row);
+    }
+
+    /**
+     * A positive integer attribute such as aria-rowindex, or 0 when it is missing
+     * or invalid.
+     */
+    getIndex(element, attribute) {
+        const value = parseInt(element.getAttribute(attribute), 10);
+        return value > 0 ? value : 0;
+    }
+
+    getSpan(cell, attribute, fallback) {
+        return Math.min(this.getIndex(cell, attribute) || this.getIndex(cell, fallback) || 1, 1000);
+    }
+
+    /**
+     * Reads the rows currently in the DOM into a Map keyed by row index: the
+     * row's aria-rowindex (1-based, header rows included), or one more than the
+     * row before when it has none. Cells keep their aria-colindex, or null when
+     * they have to go into the next free column.
+     * @returns {{rows: Map<number, Array<{text: string, col: (number|null), colspan: number, rowspan: number, header: boolean}>>,
+     *            rowCount: number, colCount: number, indexed: boolean}}
+     *          rowCount is the grid's aria-rowcount, 0 when it has none and -1 when
+     *          the grid does not know its size.
+     */
+    readGrid(grid) {
+        const rows = new Map();
+        let rowIndex = 0;
+        let indexed = false;
+        this.getRows(grid).forEach(row => {
+            const ariaRowIndex = this.getIndex(row, 'aria-rowindex');
+            indexed = indexed || ariaRowIndex > 0;
+            rowIndex = ariaRowIndex || rowIndex + 1;
+
+            // A row's aria-colindex applies to its first cell when the cells have none.
+            let nextCol = this.getIndex(row, 'aria-colindex') || null;
+            const cells = this.getRowCells(row).map(cell => {
+                const col = this.getIndex(cell, 'aria-colindex') || nextCol;
+                const colspan = this.getSpan(cell, 'aria-colspan', 'colspan');
+                nextCol = col ? col + colspan : null;
+                return {
+                    text: this.tableAnalyzer.extractCellText(cell),
+                    col,
+                    colspan,
+                    rowspan: this.getSpan(cell, 'aria-rowspan', 'rowspan'),
+                    header: cell.getAttribute('role') === 'columnheader'
+                };
+            });
+            if (cells.length > 0) rows.set(rowIndex, cells);
+        });
+
+        const rowCount = parseInt(grid.getAttribute('aria-rowcount'), 10);
+        return {
+            rows,
+            rowCount: rowCount === -1 ? -1 : Math.max(rowCount || 0, 0),
+            colCount: this.getIndex(grid, 'aria-colcount'),
+            indexed
+        };
+    }
+
+    /**
+     * Adds the rows of a later read of the same grid. Without aria-rowindex, row
+     * positions restart in every window, so the rows past the overlap with the
+     * previous window are appended. Header rows are only taken once.
+     */
+    mergeRead(merged, read) {
+        if (read.indexed) {
+            read.rows.forEach((cells, index) => merged.rows.set(index, cells));
+        } else {
+            const rowKey = cells => cells.map(cell => cell.text).join('|');
+            const indices = Array.from(merged.rows.keys()).sort((a, b) => a - b);
+            const collected = indices.map(index => merged.rows.get(index));
+            const hasHeader = collected.some(cells => this.isHeaderRow(cells));
+            const windowRows = Array.from(read.rows.values()).filter(cells => !hasHeader || !this.isHeaderRow(cells));
+            const count = Utils.appendWindow(collected, windowRows, rowKey);
+            let nextIndex = (indices.length > 0 ? indices[indices.length - 1] : 0) + 1;
+            collected.slice(collected.length - count).forEach(cells => merged.rows.set(nextIndex++, cells));
+        }
+        merged.rowCount = read.rowCount === -1 ? -1 : Math.max(merged.rowCount, read.rowCount);
+        merged.colCount = Math.max(merged.colCount, read.colCount);
+        merged.indexed = merged.indexed || read.indexed;
+        return merged;
+    }
+
+    isHeaderRow(cells) {
+        return cells.every(cell => cell.header);
+    }
+
+    /**
+     * How many body rows the grid has according to aria-rowcount and how many were
+     * read. `complete` is null when the grid does not know its size; without
+     * aria-rowcount every row is in the DOM.
+     */
+    describeCompleteness(read) {
+        const cellRows = Array.from(read.rows.values());
+        const headerRows = cellRows.filter(cells => this.isHeaderRow(cells)).length;
+        const extractedRows = cellRows.length - headerRows;
+        let expectedRows = extractedRows;
+        if (read.rowCount === -1) expectedRows = null;
+        else if (read.rowCount > 0) expectedRows = Math.max(read.rowCount - headerRows, 0);
+        return {
+            expectedRows,
+            extractedRows,
+            complete: expectedRows === null ? null : extractedRows >= expectedRows
+        };
+    }
+
+    extract(grid, options = {}) {
+        return this.buildTableData(this.readGrid(grid), options);
+    }
+
+    /**
+     * Table data in the shape analyzeExplicitTable returns, with spans and
+     * options.spanMode handled the same way, plus data.completeness.
+     */
+    buildTableData(read, options = {}) {
+        const spanMode = options.spanMode === 'blank' ? 'blank' : 'repeat';
+        const data = { headers: [], rows: [], columnTypes: [], spans: [], spanMode };
+        const indices = Array.from(read.rows.keys()).sort((a, b) => a - b);
+        const headerIndices = indices.filter(index => this.isHeaderRow(read.rows.get(index)));
+        const bodyIndices = indices.filter(index => !this.isHeaderRow(read.rows.get(index)));
+
+        const headerGrid = this.layoutRows(headerIndices, read.rows);
+        const bodyGrid = this.layoutRows(bodyIndices, read.rows);
+        const width = [...headerGrid, ...bodyGrid].reduce((max, gridRow) => Math.max(max, gridRow.length), 0);
+        const pad = gridRow => Array.from({ length: width }, (_, col) => gridRow[col] || null);
+
+        if (headerGrid.length > 0) {
+            const paddedHeaders = headerGrid.map(pad);
+            data.headers = this.tableAnalyzer.generateFinalHeaders(paddedHeaders);
+            data.headerRows = paddedHeaders.map(gridRow => gridRow.map(cell => cell ? cell.text : ''));
+        }
+
+        bodyGrid.map(pad).forEach(gridRow => {
+            if (!gridRow.some(cell => cell && cell.text.length > 0)) return;
+
+            const rowIndex = data.rows.length;
+            data.rows.push(gridRow.map(cell => {
+                if (!cell) return '';
+                return cell.isSpanOrigin || spanMode === 'repeat' ? cell.text : '';
+            }));
+            gridRow.forEach((cell, colIndex) => {
+                if (cell && cell.isSpanOrigin && (cell.rowspan > 1 || cell.colspan > 1)) {
+                    data.spans.push({ row: rowIndex, col: colIndex, rowspan: cell.rowspan, colspan: cell.colspan });
+                }
+            });
+        });
+
+        if (data.headers.length === 0 && data.rows.length > 0) {
+            data.headers = Array.from({ length: width }, (_, i) => `Column ${i + 1}`);
+        }
+
+        data.completeness = this.describeCompleteness(read);
+        data.locale = this.tableAnalyzer.getPageLocale();
+        data.columnTypes = this.tableAnalyzer.inferColumnTypes(data.rows, data.locale);
+        return data;
+    }
+
+    /**
+     * Places the cells of the given rows on a grid like TableAnalyzer.buildCellGrid.
+     * A rowspan covers the following row indices, which need not all have been read.
+     */
+    layoutRows(indices, rows) {
+        const slots = new Map(indices.map(index => [index, []]));
+        indices.forEach(index => {
+            const gridRow = slots.get(index);
+            let cursor = 0;
+            rows.get(index).forEach(cell => {
+                let colIndex = cell.col ? cell.col - 1 : cursor;
+                if (!cell.col) {
+                    while (gridRow[colIndex]) colIndex++;
+                }
+
+                for (let r = 0; r < cell.rowspan; r++) {
+                    const coveredRow = slots.get(index + r);
+                    if (!coveredRow) continue;
+                    for (let c = 0; c < cell.colspan; c++) {
+                        coveredRow[colIndex + c] = {
+                            text: cell.text,
+                            isSpanOrigin: r === 0 && c === 0,
+                            originRow: index,
+                            originCol: colIndex,
+                            rowspan: cell.rowspan,
+                            colspan: cell.colspan
+                        };
+                    }
+                }
+                cursor = colIndex + cell.colspan;
+            });
+        });
+        return indices.map(index => slots.get(index));
+    }
+}
@@ -0,0 +1,545 @@
+/**
+ * @author : Zahir
+ * Desc : In-page "Cognitive Selection" mode. The user shift-clicks or
+ * shift-drags over cells, whole rows or whole columns anywhere on the page,
+ * in detected tables or not, and assigns each pick to a column of a new
+ * table. Picks are kept as element locators so the table can be rebuilt
+ * when the page updates.
+ */
+class CognitiveSelectionHandler {
+    constructor(domUtils, elementLocator, tableAnalyzer) {
+        this.domUtils = domUtils;
+        this.elementLocator = elementLocator;
+        this.tableAnalyzer = tableAnalyzer;
+        this.panel = null;
+        this.hoverBox = null;
+        this.dragBox = null;
+        this.markStyle = null;
+        this.dragStart = null;
+        this.picks = [];
+        this.columns = [];
+        this.targetColumn = 0;
+        this.pickKind = 'cell';
+        this.onDone = null;
+        this.onCancel = null;
+
+        this.handleMouseMove = this.handleMouseMove.bind(this);
+        this.handleMouseDown = this.handleMouseDown.bind(this);
+        this.handleMouseUp = this.handleMouseUp.bind(this);
+        this.handleClick = this.handleClick.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+    }
+
+    get isActive() {
+        return this.panel !== null;
+    }
+
+    /**
+     * @param {function({columns: string[], picks: Array}): Promise<boolean>} onDone - resolves
+     *        false when the picks produced no rows, which keeps the mode open.
+     * @param {function(): void} onCancel
+     */
+    activate(onDone, onCancel) {
+        if (this.isActive) return;
+        this.onDone = onDone;
+        this.onCancel = onCancel;
+        this.picks = [];
+        this.columns = ['Column 1'];
+        this.targetColumn = 0;
+        this.pickKind = 'cell';
+
+        this.markStyle = document.createElement('style');
+        this.markStyle.textContent = '[data-cognito-pick] { outline: 2px solid #764ba2 !important; outline-offset: -2px; background-color: rgba(118, 75, 162, 0.12) !important; }';
+        this.hoverBox = this.createBox('2px solid #667eea', 'rgba(102, 126, 234, 0.1)');
+        this.dragBox = this.createBox('2px dashed #764ba2', 'rgba(118, 75, 162, 0.08)');
+        this.panel = this.createPanel();
+        document.documentElement.append(this.markStyle, this.hoverBox, this.dragBox, this.panel);
+
+        document.addEventListener('mousemove', this.handleMouseMove, true);
+        document.addEventListener('mousedown', this.handleMouseDown, true);
+        document.addEventListener('mouseup', this.handleMouseUp, true);
+        document.addEventListener('click', this.handleClick, true);
+        window.addEventListener('keydown', this.handleKeyDown, true);
+    }
+
+    deactivate() {
+        if (!this.isActive) return;
+        document.removeEventListener('mousemove', this.handleMouseMove, true);
+        document.removeEventListener('mousedown', this.handleMouseDown, true);
+        document.removeEventListener('mouseup', this.handleMouseUp, true);
+        document.removeEventListener('click', this.handleClick, true);
+        window.removeEventListener('keydown', this.handleKeyDown, true);
+        this.clearMarks();
+        [this.markStyle, this.hoverBox, this.dragBox, this.panel].forEach(element => element.remove());
+        this.panel = this.hoverBox = this.dragBox = this.markStyle = null;
+        this.dragStart = null;
+        this.picks = [];
+    }
+
+    cancel() {
+        this.deactivate();
+        if (this.onCancel) this.onCancel();
+    }
+
+    async finish() {
+        if (this.picks.length === 0) {
+            this.setStatus('Pick at least one cell, row or column first.');
+            return;
+        }
+        const selection = {
+            columns: this.columns.slice(),
+            // Only the locators are kept: the elements are found again on every run.
+            picks: this.picks.map(({ kind, column, locator, cellIndex, cellPath, rowTag, label }) => ({ kind, column, locator, cellIndex, cellPath, rowTag, label }))
+        };
+        this.setStatus('Building table...');
+        const accepted = await this.onDone(selection);
+        if (!this.isActive) return;
+        if (accepted) {
+            this.deactivate();
+        } else {
+            this.setStatus('The picks hold no values. Pick other cells · Esc to cancel');
+        }
+    }
+
+    // --- Panel ---
+
+    createBox(border, background) {
+        const box = document.createElement('div');
+        box.setAttribute('data-cognito-ignore', 'true');
+        Object.assign(box.style, {
+            position: 'fixed', display: 'none', pointerEvents: 'none', boxSizing: 'border-box',
+            zIndex: '2147483646', border, background
+        });
+        return box;
+    }
+
+    createPanel() {
+        const panel = document.createElement('div');
+        panel.setAttribute('data-cognito-ignore', 'true');
+        Object.assign(panel.style, {
+            position: 'fixed', right: '16px', bottom: '16px', zIndex: '2147483647', width: '300px',
+            display: 'flex', flexDirection: 'column', gap: '8px', padding: '10px 12px', borderRadius: '6px',
+            background: '#333', color: '#fff', boxShadow: '0 2px 12px rgba(0, 0, 0, 0.3)',
+            font: '500 12px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Arial, sans-serif'
+        });
+
+        const title = document.createElement('div');
+        title.textContent = 'Cognitive selection · Shift-click or Shift-drag to pick, again to unpick';
+
+        const kinds = document.createElement('div');
+        Object.assign(kinds.style, { display: 'flex', gap: '4px' });
+        this.kindButtons = {};
+        [['cell', 'Cells'], ['row', 'Rows'], ['column', 'Columns']].forEach(([kind, text]) => {
+            const button = this.createPanelButton(text, '#555', () => {
+                this.pickKind = kind;
+                this.updatePanel();
+            });
+            this.kindButtons[kind] = button;
+            kinds.appendChild(button);
+        });
+
+        const target = document.createElement('div');
+        Object.assign(target.style, { display: 'flex', alignItems: 'center', gap: '4px' });
+        const targetLabel = document.createElement('span');
+        targetLabel.textContent = 'Feeds';
+        this.columnSelect = document.createElement('select');
+        this.columnSelect.addEventListener('change', () => {
+            this.targetColumn = parseInt(this.columnSelect.value, 10);
+            this.updatePanel();
+        });
+        this.columnNameInput = document.createElement('input');
+        this.columnNameInput.type = 'text';
+        this.columnNameInput.title = 'Column name';
+        Object.assign(this.columnNameInput.style, { flex: '1', minWidth: '0', font: 'inherit' });
+        this.columnNameInput.addEventListener('input', () => {
+            this.columns[this.targetColumn] = this.columnNameInput.value;
+            this.renderColumnOptions();
+        });
+        const addColumn = this.createPanelButton('+ Column', '#555', () => {
+            this.columns.push(`Column ${this.columns.length + 1}`);
+            this.targetColumn = this.columns.length - 1;
+            this.updatePanel();
+        });
+        target.append(targetLabel, this.columnSelect, this.columnNameInput, addColumn);
+
+        this.pickList = document.createElement('div');
+        Object.assign(this.pickList.style, { maxHeight: '160px', overflowY: 'auto', display: 'flex', flexDirection: 'column', gap: '2px' });
+
+        this.statusLabel = document.createElement('div');
+        Object.assign(this.statusLabel.style, { color: '#ced4da' });
+
+        const actions = document.createElement('div');
+        Object.assign(actions.style, { display: 'flex', gap: '8px', justifyContent: 'flex-end' });
+        actions.append(
+            this.createPanelButton('Create Table', '#667eea', () => this.finish()),
+            this.createPanelButton('Cancel', '#6c757d', () => this.cancel())
+        );
+
+        panel.append(title, kinds, target, this.pickList, this.statusLabel, actions);
+        this.panel = panel;
+        this.updatePanel();
+        return panel;
+    }
+
+    createPanelButton(text, color, onClick) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        Object.assign(button.style, {
+            border: 'none', borderRadius: '4px', padding: '4px 10px', cursor: 'pointer',
+            background: color, color: '#fff', font: 'inherit'
+        });
+        button.addEventListener('click', (event) => {
+            event.stopPropagation();
+            onClick();
+        });
+        return button;
+    }
+
+    renderColumnOptions() {
+        this.columnSelect.innerHTML = '';
+        this.columns.forEach((name, index) => this.columnSelect.add(new Option(name || `Column ${index + 1}`, index)));
+        this.columnSelect.value = this.targetColumn;
+    }
+
+    updatePanel() {
+        if (!this.panel) return;
+        Object.entries(this.kindButtons).forEach(([kind, button]) => {
+            button.style.background = kind === this.pickKind ? '#667eea' : '#555';
+        });
+        this.renderColumnOptions();
+        this.columnNameInput.value = this.columns[this.targetColumn];
+
+        this.pickList.innerHTML = '';
+        this.picks.forEach(pick => {
+            const item = document.createElement('div');
+            Object.assign(item.style, { display: 'flex', alignItems: 'center', gap: '6px' });
+            const text = document.createElement('span');
+            Object.assign(text.style, { flex: '1', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' });
+            text.textContent = `${this.columns[pick.column] || `Column ${pick.column + 1}`} ← ${pick.kind}: ${pick.label}`;
+            const remove = this.createPanelButton('✕', '#6c757d', () => this.removePick(pick));
+            remove.style.padding = '0 6px';
+            item.append(text, remove);
+            this.pickList.appendChild(item);
+        });
+
+        const preview = this.buildPreview();
+        this.setStatus(this.picks.length === 0
+            ? 'Nothing picked yet · Esc to cancel'
+            : `${preview.rows.length} row(s) × ${preview.headers.length} column(s)`);
+        this.applyMarks();
+    }
+
+    setStatus(text) {
+        if (this.statusLabel) this.statusLabel.textContent = text;
+    }
+
+    buildPreview() {
+        return Utils.assembleCustomTable(this.columns, this.picks);
+    }
+
+    // --- Events ---
+
+    isOwnElement(target) {
+        return this.panel && target instanceof Node && this.panel.contains(target);
+    }
+
+    handleKeyDown(event) {
+        if (event.key !== 'Escape') return;
+        event.preventDefault();
+        event.stopPropagation();
+        this.cancel();
+    }
+
+    handleMouseDown(event) {
+        if (!event.shiftKey || event.button !== 0 || this.isOwnElement(event.target)) return;
+        // Keeps the page from selecting text or following links.
+        event.preventDefault();
+        event.stopPropagation();
+        this.dragStart = { x: event.clientX, y: event.clientY, dragging: false };
+    }
+
+    handleMouseMove(event) {
+        if (this.dragStart) {
+            const dx = Math.abs(event.clientX - this.dragStart.x);
+            const dy = Math.abs(event.clientY - this.dragStart.y);
+            if (dx > 5 || dy > 5) this.dragStart.dragging = true;
+            if (this.dragStart.dragging) this.showBox(this.dragBox, this.getDragRect(event));
+            return;
+        }
+
+        const cell = event.shiftKey && !this.isOwnElement(event.target) ? this.getCellElement(event.target) : null;
+        const element = cell && this.pickKind === 'row' ? this.getRowInfo(cell).row : cell;
+        if (element) {
+            this.showBox(this.hoverBox, element.getBoundingClientRect());
+        } else {
+            this.hoverBox.style.display = 'none';
+        }
+    }
+
+    handleMouseUp(event) {
+        if (!this.dragStart) return;
+        event.preventDefault();
+        event.stopPropagation();
+        const wasDragging = this.dragStart.dragging;
+        const rect = this.getDragRect(event);
+        this.dragStart = null;
+        this.dragBox.style.display = 'none';
+
+        const cells = wasDragging ? this.getCellsInRect(rect) : [this.getCellElement(event.target)].filter(Boolean);
+        if (cells.length > 0) this.pickCells(cells);
+    }
+
+    handleClick(event) {
+        if (!event.shiftKey || this.isOwnElement(event.target)) return;
+        event.preventDefault();
+        event.stopPropagation();
+    }
+
+    getDragRect(event) {
+        const start = this.dragStart || { x: event.clientX, y: event.clientY };
+        const left = Math.min(start.x, event.clientX);
+        const top = Math.min(start.y, event.clientY);
+        const right = Math.max(start.x, event.clientX);
+        const bottom = Math.max(start.y, event.clientY);
+        return { left, top, right, bottom, width: right - left, height: bottom - top };
+    }
+
+    showBox(box, rect) {
+        Object.assign(box.style, {
+            display: 'block',
+            left: `${rect.left}px`,
+            top: `${rect.top}px`,
+            width: `${rect.width}px`,
+            height: `${rect.height}px`
+        });
+    }
+
+    // --- Page structure ---
+
+    /**
+     * The element holding one value: the enclosing table cell, or the element
+     * itself when it has text of its own.
+     */
+    getCellElement(target) {
+        if (!(target instanceof Element) || target.closest('[data-cognito-ignore]')) return null;
+        const cell = target.closest('td, th');
+        if (cell) return cell;
+        return this.tableAnalyzer.extractCellText(target) ? target : null;
+    }
+
+    /**
+     * The row a cell belongs to and the container holding the rows. Outside
+     * tables a row is the nearest ancestor with same-tag siblings.
+     */
+    getRowInfo(cell) {
+        if (cell.matches('td, th')) return { row: cell.parentElement, container: cell.closest('table') };
+        let row = cell.parentElement;
+        for (let depth = 0; row && row.parentElement && row !== document.body && depth < 6; depth++) {
+            const siblings = Array.from(row.parentElement.children).filter(child => child.tagName === row.tagName);
+            if (siblings.length >= 2) return { row, container: row.parentElement };
+            row = row.parentElement;
+        }
+        return { row: cell.parentElement, container: cell.parentElement.parentElement };
+    }
+
+    getPathWithin(ancestor, element) {
+        const parts = [];
+        let current = element;
+        while (current && current !== ancestor) {
+            parts.unshift(Array.prototype.indexOf.call(current.parentElement.children, current) + 1);
+            current = current.parentElement;
+        }
+        return parts.join('/');
+    }
+
+    resolvePathWithin(ancestor, path) {
+        if (!path) return ancestor;
+        let current = ancestor;
+        for (const index of path.split('/').map(Number)) {
+            current = current && current.children[index - 1];
+        }
+        return current || null;
+    }
+
+    isHeaderRow(row) {
+        const cells = Array.from(row.cells);
+        return row.parentElement.tagName.toLowerCase() === 'thead' || (cells.length > 0 && cells.every(cell => cell.tagName.toLowerCase() === 'th'));
+    }
+
+    /**
+     * Table cells and leaf elements with text whose centre lies inside the rectangle.
+     */
+    getCellsInRect(rect) {
+        const isInside = (element) => {
+            const box = element.getBoundingClientRect();
+            const x = box.left + box.width / 2;
+            const y = box.top + box.height / 2;
+            return box.width > 0 && x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom;
+        };
+        return Array.from(document.body.querySelectorAll('*')).filter(element => {
+            if (element.closest('[data-cognito-ignore]')) return false;
+            const isCell = element.matches('td, th') ||
+                (element.children.length === 0 && !element.closest('td, th') && this.tableAnalyzer.extractCellText(element));
+            return isCell && isInside(element);
+        });
+    }
+
+    // --- Picks ---
+
+    /**
+     * Turns the picked cells into picks of the current kind. Several columns
+     * (or column-aligned groups of cells) feed consecutive target columns.
+     */
+    pickCells(cells) {
+        let picks;
+        if (this.pickKind === 'row') {
+            const rows = [...new Set(cells.map(cell => this.getRowInfo(cell).row))];
+            picks = rows.map(row => this.createRowPick(row, this.targetColumn));
+        } else if (this.pickKind === 'column') {
+            const seen = new Set();
+            const columnCells = cells.filter(cell => {
+                const pick = this.createColumnPick(cell, 0);
+                const key = `${pick.locator.path}#${pick.cellIndex ?? pick.cellPath}`;
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+            picks = this.sortByLeft(columnCells).map((cell, index) => this.createColumnPick(cell, this.targetColumn + index));
+        } else {
+            picks = [];
+            this.groupByColumn(cells).forEach((group, index) => {
+                group.forEach(cell => picks.push(this.createCellPick(cell, this.targetColumn + index)));
+            });
+        }
+
+        // Picking something that is already picked unpicks it.
+        const existing = picks.map(pick => this.picks.find(other => this.isSamePick(other, pick))).filter(Boolean);
+        if (cells.length === 1 && existing.length === picks.length && existing.length > 0) {
+            existing.forEach(pick => this.removePick(pick));
+            return;
+        }
+        picks.filter(pick => !this.picks.some(other => this.isSamePick(other, pick))).forEach(pick => {
+            while (this.columns.length <= pick.column + (pick.kind === 'row' ? pick.values.length - 1 : 0)) {
+                this.columns.push(`Column ${this.columns.length + 1}`);
+            }
+            if (pick.header && this.columns[pick.column] === `Column ${pick.column + 1}`) this.columns[pick.column] = pick.header;
+            this.picks.push(pick);
+        });
+        this.updatePanel();
+    }
+
+    removePick(pick) {
+        this.picks = this.picks.filter(other => other !== pick);
+        this.updatePanel();
+    }
+
+    isSamePick(a, b) {
+        return a.kind === b.kind && a.elements[0] === b.elements[0] && a.cellIndex === b.cellIndex && a.cellPath === b.cellPath;
+    }
+
+    sortByLeft(elements) {
+        return elements.slice().sort((a, b) => a.getBoundingClientRect().left - b.getBoundingClientRect().left);
+    }
+
+    /**
+     * Clusters cells into visual columns by their left edge, left to right,
+     * each top to bottom.
+     */
+    groupByColumn(cells) {
+        const tolerance = 8;
+        const groups = [];
+        this.sortByLeft(cells).forEach(cell => {
+            const left = cell.getBoundingClientRect().left;
+            const group = groups.find(candidate => Math.abs(candidate.left - left) <= tolerance);
+            if (group) group.cells.push(cell);
+            else groups.push({ left, cells: [cell] });
+        });
+        return groups.map(group => group.cells.sort((a, b) => a.getBoundingClientRect().top - b.getBoundingClientRect().top));
+    }
+
+    createCellPick(cell, column) {
+        const values = this.readCell(cell);
+        return { kind: 'cell', column, locator: this.elementLocator.describe(cell), label: this.truncate(values[0]), values, elements: [cell] };
+    }
+
+    createRowPick(row, column) {
+        const values = this.readRow(row);
+        return { kind: 'row', column, locator: this.elementLocator.describe(row), label: this.truncate(values.join(' | ')), values, elements: [row] };
+    }
+
+    createColumnPick(cell, column) {
+        const { row, container } = this.getRowInfo(cell);
+        const pick = { kind: 'column', column, locator: this.elementLocator.describe(container) };
+        if (cell.matches('td, th')) {
+            pick.cellIndex = cell.cellIndex;
+            const headerRow = Array.from(container.rows).find(candidate => this.isHeaderRow(candidate));
+            const header = headerRow && headerRow.cells[cell.cellIndex];
+            if (header) pick.header = this.tableAnalyzer.extractCellText(header);
+        } else {
+            pick.cellPath = this.getPathWithin(row, cell);
+            pick.rowTag = row.tagName;
+        }
+        const cells = this.getColumnCells(container, pick);
+        pick.values = cells.map(element => this.tableAnalyzer.extractCellText(element));
+        pick.elements = [container, ...cells];
+        pick.label = this.truncate(`${pick.header || pick.values[0] || ''} (${pick.values.length} values)`);
+        return pick;
+    }
+
+    getColumnCells(container, pick) {
+        if (pick.cellIndex !== undefined) {
+            return Array.from(container.rows || [])
+                .filter(row => !this.isHeaderRow(row))
+                .map(row => row.cells[pick.cellIndex])
+                .filter(Boolean);
+        }
+        return Array.from(container.children)
+            .filter(row => !pick.rowTag || row.tagName === pick.rowTag)
+            .map(row => this.resolvePathWithin(row, pick.cellPath))
+            .filter(Boolean);
+    }
+
+    readCell(cell) {
+        return [this.tableAnalyzer.extractCellText(cell)];
+    }
+
+    readRow(row) {
+        if (row.tagName.toLowerCase() === 'tr') return Array.from(row.cells).map(cell => this.tableAnalyzer.extractCellText(cell));
+        return this.tableAnalyzer.extractCellsFromElement(row);
+    }
+
+    /**
+     * Re-reads a saved pick from the current page. Returns null when its
+     * element is gone.
+     */
+    readPick(pick) {
+        const element = this.elementLocator.resolve(pick.locator);
+        if (!element) return null;
+        switch (pick.kind) {
+            case 'row':
+                return this.readRow(element);
+            case 'column':
+                return this.getColumnCells(element, pick).map(cell => this.tableAnalyzer.extractCellText(cell));
+            default:
+                return this.readCell(element);
+        }
+    }
+
+    truncate(text) {
+        const value = String(text ?? '');
+        return value.length > 40 ? `${value.slice(0, 39)}…` : value;
+    }
+
+    applyMarks() {
+        this.clearMarks();
+        this.picks.forEach(pick => {
+            // A column pick marks its cells rather than the whole container.
+            const elements = pick.kind === 'column' ? pick.elements.slice(1) : pick.elements;
+            elements.forEach(element => element.setAttribute('data-cognito-pick', 'true'));
+        });
+    }
+
+    clearMarks() {
+        document.querySelectorAll('[data-cognito-pick]').forEach(element => element.removeAttribute('data-cognito-pick'));
+    }
+}
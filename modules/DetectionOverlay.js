@@ -0,0 +1,299 @@
+/**
+ * @author : Zahir
+ * Desc : Debug overlay for the detection pipeline. Outlines every container
+ * the TableScanner scored, the row units taken from its children and the cell
+ * boundaries found by extractCellsFromElement, plus the header/body split of
+ * each <table>. Everything is drawn in a separate layer inside a shadow root,
+ * so the page's own elements and styles are left untouched.
+ */
+class DetectionOverlay {
+    constructor(domUtils, tableScanner, tableAnalyzer) {
+        this.domUtils = domUtils;
+        this.tableScanner = tableScanner;
+        this.tableAnalyzer = tableAnalyzer;
+        this.host = null;
+        this.layer = null;
+        this.tooltip = null;
+        this.banner = null;
+        this.regions = [];
+        this.renderToken = 0;
+        this.redrawTimer = null;
+        this.maxRowsPerCandidate = 60;
+        this.maxBoxes = 3000;
+        this.boxCount = 0;
+        this.colors = {
+            explicit: '#1c7ed6',
+            header: '#7048e8',
+            accepted: '#2f9e44',
+            rejected: '#f08c00',
+            row: '#868e96',
+            cell: '#e64980'
+        };
+        this.signalLabels = {
+            structuralSimilarity: 'Structural similarity',
+            visualAlignment: 'Visual alignment',
+            contentHomogeneity: 'Content homogeneity',
+            semanticClues: 'Semantic clues'
+        };
+
+        this.handleMouseMove = this.handleMouseMove.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.scheduleRedraw = this.scheduleRedraw.bind(this);
+        this.handleScroll = this.handleScroll.bind(this);
+    }
+
+    get isActive() {
+        return this.host !== null;
+    }
+
+    async toggle() {
+        if (this.isActive) {
+            this.deactivate();
+        } else {
+            await this.activate();
+        }
+        return this.isActive;
+    }
+
+    async activate() {
+        if (this.isActive) return;
+        this.host = document.createElement('div');
+        this.host.setAttribute('data-cognito-ignore', 'true');
+        Object.assign(this.host.style, {
+            position: 'absolute', top: '0', left: '0', width: '0', height: '0',
+            overflow: 'visible', pointerEvents: 'none', zIndex: '2147483646'
+        });
+        const root = this.host.attachShadow({ mode: 'open' });
+        this.layer = document.createElement('div');
+        this.tooltip = this.createTooltip();
+        this.banner = this.createBanner();
+        root.append(this.layer, this.tooltip, this.banner);
+        document.documentElement.appendChild(this.host);
+
+        // Listening on the window keeps the page fully interactive under the overlay.
+        window.addEventListener('mousemove', this.handleMouseMove, { passive: true });
+        window.addEventListener('keydown', this.handleKeyDown, true);
+        window.addEventListener('resize', this.scheduleRedraw);
+        window.addEventListener('scroll', this.handleScroll, true);
+        await this.render();
+    }
+
+    deactivate() {
+        if (!this.isActive) return;
+        window.removeEventListener('mousemove', this.handleMouseMove);
+        window.removeEventListener('keydown', this.handleKeyDown, true);
+        window.removeEventListener('resize', this.scheduleRedraw);
+        window.removeEventListener('scroll', this.handleScroll, true);
+        clearTimeout(this.redrawTimer);
+        this.host.remove();
+        this.host = this.layer = this.tooltip = this.banner = null;
+        this.regions = [];
+        this.renderToken++;
+    }
+
+    createTooltip() {
+        const tooltip = document.createElement('div');
+        Object.assign(tooltip.style, {
+            position: 'absolute', display: 'none', maxWidth: '360px', padding: '6px 8px',
+            borderRadius: '4px', background: 'rgba(33, 37, 41, 0.92)', color: '#fff',
+            font: '12px/1.4 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Arial, sans-serif',
+            whiteSpace: 'pre-wrap', boxShadow: '0 2px 8px rgba(0, 0, 0, 0.3)'
+        });
+        return tooltip;
+    }
+
+    createBanner() {
+        const banner = document.createElement('div');
+        Object.assign(banner.style, {
+            position: 'fixed', bottom: '12px', left: '50%', transform: 'translateX(-50%)',
+            padding: '6px 14px', borderRadius: '6px', background: '#212529', color: '#fff',
+            font: '500 12px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Arial, sans-serif',
+            boxShadow: '0 2px 12px rgba(0, 0, 0, 0.2)'
+        });
+        banner.textContent = 'CognitoTable debug overlay: analyzing...';
+        return banner;
+    }
+
+    handleKeyDown(event) {
+        if (event.key !== 'Escape') return;
+        this.deactivate();
+    }
+
+    handleScroll(event) {
+        // Boxes are placed in document coordinates, so only scrolling inside an
+        // element moves content away from them.
+        if (event.target !== document) this.scheduleRedraw();
+    }
+
+    scheduleRedraw() {
+        clearTimeout(this.redrawTimer);
+        this.redrawTimer = setTimeout(() => this.render(), 300);
+    }
+
+    async render() {
+        if (!this.isActive) return;
+        const token = ++this.renderToken;
+        const explicitTables = this.tableScanner.findExplicitTables();
+        const report = await this.tableScanner.findImplicitTablesWithReport();
+        // The overlay was closed or redrawn while the scan was running.
+        if (token !== this.renderToken || !this.isActive) return;
+
+        this.layer.innerHTML = '';
+        this.regions = [];
+        this.boxCount = 0;
+
+        explicitTables.forEach(table => this.drawExplicitTable(table));
+        report.candidates.forEach(candidate => this.drawCandidate(candidate, true));
+        report.rejected.forEach(candidate => this.drawCandidate(candidate, false));
+
+        const nearMisses = report.rejected.filter(candidate => candidate.reason === 'below-threshold').length;
+        this.banner.textContent = `CognitoTable debug overlay: ${explicitTables.length} <table>, ` +
+            `${report.candidates.length} implicit, ${nearMisses} below threshold · hover for scores · Esc to close`;
+    }
+
+    drawExplicitTable(table) {
+        const { headerRows, bodyRows } = this.tableAnalyzer.splitHeaderRows(table);
+        const source = table.querySelector('thead') ? '<thead>' : 'detectHeaderRowsEnd';
+        const lines = [
+            `${this.domUtils.getElementSelector(table)}`,
+            'Explicit <table> · 95%',
+            `Header rows: ${headerRows.length} (from ${source})`,
+            `Body rows: ${bodyRows.length}`
+        ];
+        this.drawBox(table.getBoundingClientRect(), this.colors.explicit, { width: 2, label: 'table 95%', lines });
+
+        const headerRect = this.getUnionRect(headerRows);
+        if (headerRect) {
+            this.drawBox(headerRect, this.colors.header, {
+                fill: true, label: `header × ${headerRows.length}`,
+                lines: [`Header rows (${source})`, ...headerRows.map(row => this.describeCells(this.tableAnalyzer.getRowCells(row).map(cell => this.tableAnalyzer.extractCellText(cell))))]
+            });
+        }
+        const bodyRect = this.getUnionRect(bodyRows);
+        if (bodyRect) {
+            this.drawBox(bodyRect, this.colors.explicit, { dashed: true, label: `body × ${bodyRows.length}`, labelBelow: true, lines: [`Body rows: ${bodyRows.length}`] });
+        }
+    }
+
+    drawCandidate(candidate, accepted) {
+        const color = accepted ? this.colors.accepted : this.colors.rejected;
+        const percent = `${Math.round((Number.isFinite(candidate.confidence) ? candidate.confidence : 0) * 100)}%`;
+        const status = accepted ? 'Accepted' : this.describeRejection(candidate);
+        const rows = candidate.children || Array.from(candidate.element.children);
+        const lines = [
+            this.domUtils.getElementSelector(candidate.element),
+            `${status} · ${percent} (threshold ${Math.round(this.tableScanner.confidenceThreshold * 100)}%)`,
+            ...this.describeBreakdown(candidate.breakdown),
+            `Row units: ${rows.length}`
+        ];
+        this.drawBox(candidate.element.getBoundingClientRect(), color, { width: 2, dashed: !accepted, label: percent, lines });
+
+        // Overlapping and cut-off candidates are drawn as outlines only; their
+        // rows are usually the same elements as the table that beat them.
+        if (!accepted && candidate.reason !== 'below-threshold') return;
+        rows.slice(0, this.maxRowsPerCandidate).forEach((row, index) => this.drawRow(row, index));
+    }
+
+    drawRow(row, index) {
+        const cells = this.tableAnalyzer.locateCellsInElement(row);
+        this.drawBox(row.getBoundingClientRect(), this.colors.row, {
+            lines: [`Row ${index + 1} · ${cells.length} cell${cells.length === 1 ? '' : 's'}`, this.describeCells(cells.map(cell => cell.text))]
+        });
+        cells.forEach((cell, cellIndex) => {
+            const rect = this.getNodeRect(cell.node);
+            if (rect) this.drawBox(rect, this.colors.cell, { lines: [`Row ${index + 1}, cell ${cellIndex + 1}`, cell.text] });
+        });
+    }
+
+    describeRejection(candidate) {
+        switch (candidate.reason) {
+            case 'below-threshold':
+                return 'Below threshold';
+            case 'overlap':
+                return `Overlaps ${candidate.overlappedBy ? this.domUtils.getElementSelector(candidate.overlappedBy) : 'a higher-scoring table'}`;
+            case 'limit':
+                return `Cut off by the ${this.tableScanner.maxImplicitTables}-table limit`;
+            default:
+                return candidate.reason;
+        }
+    }
+
+    describeBreakdown(breakdown) {
+        if (!breakdown) return [];
+        return Object.entries(this.tableScanner.scoreWeights).map(([signal, weight]) => {
+            const value = Number.isFinite(breakdown[signal]) ? breakdown[signal] : 0;
+            return `  ${this.signalLabels[signal] || signal}: ${Math.round(value * 100)}% × ${weight}`;
+        });
+    }
+
+    describeCells(texts) {
+        const joined = texts.join(' | ');
+        return joined.length > 160 ? `${joined.slice(0, 157)}...` : joined;
+    }
+
+    getNodeRect(node) {
+        if (node.nodeType === Node.TEXT_NODE) {
+            const range = document.createRange();
+            range.selectNodeContents(node);
+            return range.getBoundingClientRect();
+        }
+        return node.getBoundingClientRect();
+    }
+
+    getUnionRect(elements) {
+        const rects = elements.map(element => element.getBoundingClientRect()).filter(rect => rect.width > 0 || rect.height > 0);
+        if (rects.length === 0) return null;
+        const left = rects.reduce((min, rect) => Math.min(min, rect.left), Infinity);
+        const top = rects.reduce((min, rect) => Math.min(min, rect.top), Infinity);
+        const right = rects.reduce((max, rect) => Math.max(max, rect.right), -Infinity);
+        const bottom = rects.reduce((max, rect) => Math.max(max, rect.bottom), -Infinity);
+        return { left, top, right, bottom, width: right - left, height: bottom - top };
+    }
+
+    /**
+     * Draws a box for a viewport rect, converted to document coordinates, and
+     * registers it for hover tooltips.
+     */
+    drawBox(rect, color, options = {}) {
+        if (this.boxCount >= this.maxBoxes || rect.width === 0 || rect.height === 0) return;
+        this.boxCount++;
+        const left = rect.left + window.scrollX;
+        const top = rect.top + window.scrollY;
+
+        const box = document.createElement('div');
+        Object.assign(box.style, {
+            position: 'absolute', left: `${left}px`, top: `${top}px`, width: `${rect.width}px`, height: `${rect.height}px`,
+            boxSizing: 'border-box', border: `${options.width || 1}px ${options.dashed ? 'dashed' : 'solid'} ${color}`,
+            background: options.fill ? `${color}1f` : 'transparent'
+        });
+        if (options.label) {
+            const label = document.createElement('span');
+            Object.assign(label.style, {
+                position: 'absolute', left: '-1px', padding: '0 4px', background: color, color: '#fff',
+                font: '600 10px/14px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Arial, sans-serif',
+                whiteSpace: 'nowrap'
+            });
+            label.style[options.labelBelow ? 'bottom' : 'top'] = '-14px';
+            label.textContent = options.label;
+            box.appendChild(label);
+        }
+        this.layer.appendChild(box);
+        this.regions.push({ left, top, right: left + rect.width, bottom: top + rect.height, area: rect.width * rect.height, lines: options.lines || [] });
+    }
+
+    handleMouseMove(event) {
+        if (!this.isActive) return;
+        const x = event.pageX;
+        const y = event.pageY;
+        // The innermost box under the pointer, i.e. a cell before its row before its table.
+        const region = this.regions
+            .filter(candidate => x >= candidate.left && x <= candidate.right && y >= candidate.top && y <= candidate.bottom)
+            .sort((a, b) => a.area - b.area)[0];
+        if (!region) {
+            this.tooltip.style.display = 'none';
+            return;
+        }
+        this.tooltip.textContent = region.lines.join('\n');
+        Object.assign(this.tooltip.style, { display: 'block', left: `${x + 14}px`, top: `${y + 14}px` });
+    }
+}
@@ -3,12 +3,23 @@
  * Desc : DOM utility functions
  */
 class DomUtils {
+    constructor() {
+        this.shadowSeparator = ' >>> ';
+    }
+
+    /**
+     * A CSS selector for the element. Inside an open shadow root the selector of
+     * each enclosing shadow host comes first, separated by " >>> ", e.g.
+     * "my-report >>> div.body > table"; querySelectorDeep resolves it again.
+     */
     getElementSelector(element) {
         if (!element) return '';
+        const root = element.getRootNode ? element.getRootNode() : document;
+        const hostPrefix = root.host ? `${this.getElementSelector(root.host)}${this.shadowSeparator}` : '';
         
         if (element.id) {
             const escapedId = CSS.escape ? CSS.escape(element.id) : element.id.replace(/([!"#$%&'()*+,./:;<=>?@[\]^`{|}~])/g, '\\$1');
-            return `#${escapedId}`;
+            return `${hostPrefix}#${escapedId}`;
         }
         
         const escapeClassName = (className) => {
@@ -51,12 +62,129 @@ class DomUtils {
         }
         
         const fullSelector = path.join(' > ');
-        return fullSelector.length > 200 ? path.slice(-3).join(' > ') : fullSelector;
+        return hostPrefix + (fullSelector.length > 200 ? path.slice(-3).join(' > ') : fullSelector);
+    }
+
+    /**
+     * document.querySelector for selectors made by getElementSelector, which may
+     * go through shadow hosts.
+     */
+    querySelectorDeep(selector, root = document) {
+        let scope = root;
+        let element = null;
+        for (const part of selector.split(this.shadowSeparator)) {
+            if (!scope) return null;
+            element = scope.querySelector(part);
+            scope = element && element.shadowRoot;
+        }
+        return element;
+    }
+
+    /**
+     * Elements matching `selector` in the document and in every open shadow root,
+     * in document order with a host's shadow tree right after the host.
+     */
+    querySelectorAllDeep(selector, root = document) {
+        const results = [];
+        const visit = scope => {
+            scope.querySelectorAll('*').forEach(element => {
+                if (element.matches(selector)) results.push(element);
+                if (element.shadowRoot) visit(element.shadowRoot);
+            });
+        };
+        visit(root);
+        return results;
+    }
+
+    /**
+     * The parent element, stepping from the top of a shadow tree to its host.
+     */
+    getParentDeep(node) {
+        const parent = node.parentNode;
+        if (parent && parent.nodeType === Node.DOCUMENT_FRAGMENT_NODE && parent.host) return parent.host;
+        return node.parentElement;
+    }
+
+    closestDeep(element, selector) {
+        for (let current = element; current; current = this.getParentDeep(current)) {
+            if (current.nodeType === Node.ELEMENT_NODE && current.matches(selector)) return current;
+        }
+        return null;
+    }
+
+    containsDeep(ancestor, node) {
+        for (let current = node; current; current = this.getParentDeep(current)) {
+            if (current === ancestor) return true;
+        }
+        return false;
+    }
+
+    /**
+     * The children of a node as rendered: a shadow host's shadow tree, and for a
+     * <slot> the nodes assigned to it (or its fallback content).
+     */
+    getComposedChildNodes(node) {
+        if (node.shadowRoot) return Array.from(node.shadowRoot.childNodes);
+        if (node.localName === 'slot' && typeof node.assignedNodes === 'function') {
+            const assigned = node.assignedNodes({ flatten: true });
+            if (assigned.length > 0) return assigned;
+        }
+        return Array.from(node.childNodes);
+    }
+
+    /**
+     * Visits the nodes below `root` in rendered order, entering open shadow roots
+     * and slots. Returning false from `visit` skips the node's subtree.
+     */
+    walkComposed(root, visit) {
+        this.getComposedChildNodes(root).forEach(node => {
+            if (visit(node) !== false) this.walkComposed(node, visit);
+        });
+    }
+
+    /**
+     * Like textContent, but with the text of open shadow roots and slotted content
+     * as it is rendered.
+     */
+    getComposedText(element) {
+        if (element.nodeType === Node.TEXT_NODE) return element.textContent;
+        let text = '';
+        this.walkComposed(element, node => {
+            if (node.nodeType === Node.TEXT_NODE) text += node.textContent;
+            return !this.isNonContentElement(node);
+        });
+        return text;
+    }
+
+    /**
+     * Like querySelectorAll, but through open shadow roots and slots.
+     */
+    queryComposed(root, selector) {
+        const results = [];
+        this.walkComposed(root, node => {
+            if (node.nodeType === Node.ELEMENT_NODE && node.matches(selector)) results.push(node);
+        });
+        return results;
+    }
+
+    /**
+     * The element children as rendered, with each <slot> replaced by the elements
+     * assigned to it.
+     */
+    getComposedChildren(element) {
+        return this.getComposedChildNodes(element).flatMap(node => {
+            if (node.nodeType !== Node.ELEMENT_NODE) return [];
+            return node.localName === 'slot' ? this.getComposedChildren(node) : [node];
+        });
+    }
+
+    isNonContentElement(node) {
+        return node.nodeType === Node.ELEMENT_NODE && ['script', 'style', 'template'].includes(node.localName);
     }
 
     highlightElement(selector) {
         try {
-            const element = document.querySelector(selector);
+            const element = this.querySelectorDeep(selector);
             if (element) {
                 element.style.outline = '3px solid #667eea';
                 element.style.backgroundColor = 'rgba(102, 126, 234, 0.1)';
@@ -69,7 +197,7 @@ class DomUtils {
 
     unhighlightElement(selector) {
         try {
-            const element = document.querySelector(selector);
+            const element = this.querySelectorDeep(selector);
             if (element) {
                 element.style.outline = '';
                 element.style.backgroundColor = '';
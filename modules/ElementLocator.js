@@ -0,0 +1,116 @@
+/**
+ * @author : Zahir
+ * Desc : Builds element locators that survive page reloads and re-renders,
+ * and resolves them back to elements. A locator combines several
+ * independent strategies (id, test ids, form names, ARIA labels, text,
+ * CSS selector and a structural path) that are tried in order of robustness.
+ */
+class ElementLocator {
+    constructor(domUtils) {
+        this.domUtils = domUtils;
+        this.testIdAttributes = ['data-testid', 'data-test-id', 'data-test', 'data-qa', 'data-cy'];
+    }
+
+    describe(element) {
+        const tagName = element.tagName.toLowerCase();
+        const locator = {
+            tagName,
+            selector: this.domUtils.getElementSelector(element),
+            path: this.getStructuralPath(element)
+        };
+
+        if (element.id && !/\d{4,}/.test(element.id)) locator.id = element.id; // Skip generated ids.
+
+        const testIdAttr = this.testIdAttributes.find(attr => element.hasAttribute(attr));
+        if (testIdAttr) locator.testId = { attr: testIdAttr, value: element.getAttribute(testIdAttr) };
+
+        const name = element.getAttribute('name');
+        if (name) locator.name = name;
+
+        const ariaLabel = element.getAttribute('aria-label');
+        if (ariaLabel) locator.ariaLabel = ariaLabel;
+
+        const role = element.getAttribute('role');
+        if (role) locator.role = role;
+
+        const text = this.getElementText(element);
+        if (text && text.length <= 80) locator.text = text;
+
+        // Inside an open shadow root, the host is located first and the other
+        // strategies search its shadow tree.
+        const root = element.getRootNode();
+        if (root.host) locator.host = this.describe(root.host);
+
+        return locator;
+    }
+
+    resolve(locator, root = document) {
+        if (!locator) return null;
+        if (locator.host) {
+            const host = this.resolve(locator.host, root);
+            if (!host || !host.shadowRoot) return null;
+            root = host.shadowRoot;
+        }
+        const selector = locator.selector ? locator.selector.split(this.domUtils.shadowSeparator).pop() : '';
+        const strategies = [
+            () => locator.id ? root.querySelector(`#${this.escape(locator.id)}`) : null,
+            () => locator.testId ? root.querySelector(`[${locator.testId.attr}="${this.escapeAttribute(locator.testId.value)}"]`) : null,
+            () => locator.name ? root.querySelector(`${locator.tagName}[name="${this.escapeAttribute(locator.name)}"]`) : null,
+            () => locator.ariaLabel ? root.querySelector(`${locator.tagName}[aria-label="${this.escapeAttribute(locator.ariaLabel)}"]`) : null,
+            () => selector ? root.querySelector(selector) : null,
+            () => locator.text ? this.findByText(root, locator.tagName, locator.text) : null,
+            () => locator.path ? this.resolveStructuralPath(root, locator.path) : null
+        ];
+
+        for (const strategy of strategies) {
+            try {
+                const element = strategy();
+                if (element && element.tagName.toLowerCase() === locator.tagName) return element;
+            } catch (error) {
+                // An invalid selector only rules out that strategy.
+            }
+        }
+        return null;
+    }
+
+    /**
+     * nth-child path from <body>, or from the top of the element's shadow root,
+     * e.g. "2/1/4". Brittle against layout changes but exact on an unchanged
+     * page, so it is tried last.
+     */
+    getStructuralPath(element) {
+        const parts = [];
+        let current = element;
+        while (current && current.parentNode && current.parentNode.children && current !== document.body) {
+            const parent = current.parentNode;
+            parts.unshift(Array.prototype.indexOf.call(parent.children, current) + 1);
+            if (parent.nodeType === Node.DOCUMENT_FRAGMENT_NODE) break;
+            current = parent;
+        }
+        return parts.join('/');
+    }
+
+    resolveStructuralPath(root, path) {
+        let current = root === document ? document.body : root;
+        for (const index of path.split('/').map(Number)) {
+            current = current && current.children[index - 1];
+        }
+        return current || null;
+    }
+
+    findByText(root, tagName, text) {
+        return Array.from(root.querySelectorAll(tagName)).find(el => this.getElementText(el) === text) || null;
+    }
+
+    getElementText(element) {
+        return (element.textContent || '').replace(/\s+/g, ' ').trim();
+    }
+
+    escape(value) {
+        return CSS.escape ? CSS.escape(value) : value.replace(/([!"#$%&'()*+,./:;<=>?@[\]^`{|}~])/g, '\\$1');
+    }
+
+    escapeAttribute(value) {
+        return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+    }
+}
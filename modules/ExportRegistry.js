@@ -0,0 +1,347 @@
+/**
+ * @author : Zahir
+ * Desc : Registry of table exporters. Each exporter declares an id, a label,
+ * its MIME type and file extension, the options it accepts, and an export
+ * function turning table data into file content (a string or a Blob).
+ */
+class ExportRegistry {
+    constructor(valueNormalizer) {
+        this.valueNormalizer = valueNormalizer;
+        this.exporters = new Map();
+        this.registerDefaults();
+    }
+
+    /**
+     * @param {object} exporter
+     * @param {string} exporter.id
+     * @param {string} exporter.label
+     * @param {string} exporter.extension - without the dot.
+     * @param {string} exporter.mimeType
+     * @param {Array<object>} exporter.options - { name, label, type: 'select'|'checkbox'|'text'|'number', choices, default }.
+     * @param {function(object, object): (string|Blob)} exporter.export - receives the table data and the options.
+     */
+    register(exporter) {
+        this.exporters.set(exporter.id, { options: [], ...exporter });
+    }
+
+    get(id) {
+        return this.exporters.get(id) || null;
+    }
+
+    list() {
+        return Array.from(this.exporters.values());
+    }
+
+    getDefaultOptions(id) {
+        const exporter = this.get(id);
+        const options = {};
+        if (exporter) exporter.options.forEach(option => { options[option.name] = option.default; });
+        return options;
+    }
+
+    /**
+     * Runs an exporter, filling in defaults for options that were not given.
+     * @returns {{content: (string|Blob), mimeType: string, extension: string}}
+     */
+    export(id, data, options = {}) {
+        const exporter = this.get(id);
+        if (!exporter) throw new Error(`Unknown export format "${id}"`);
+        const content = exporter.export(data, { ...this.getDefaultOptions(id), ...options });
+        return { content, mimeType: exporter.mimeType, extension: exporter.extension };
+    }
+
+    registerDefaults() {
+        this.register({
+            id: 'csv',
+            label: 'CSV',
+            extension: 'csv',
+            mimeType: 'text/csv;charset=utf-8',
+            options: [
+                { name: 'delimiter', label: 'Delimiter', type: 'select', default: ',', choices: [[',', 'Comma'], [';', 'Semicolon'], ['\t', 'Tab'], ['|', 'Pipe']] },
+                { name: 'quoting', label: 'Quoting', type: 'select', default: 'all', choices: [['all', 'All fields'], ['minimal', 'When needed'], ['nonnumeric', 'Non-numeric']] },
+                { name: 'lineEnding', label: 'Line endings', type: 'select', default: '\n', choices: [['\n', 'LF'], ['\r\n', 'CRLF']] },
+                { name: 'bom', label: 'UTF-8 BOM (for Excel)', type: 'checkbox', default: false }
+            ],
+            export: (data, options) => this.toCSV(data, options)
+        });
+
+        this.register({
+            id: 'tsv',
+            label: 'TSV',
+            extension: 'tsv',
+            mimeType: 'text/tab-separated-values;charset=utf-8',
+            export: (data) => this.toTSV(data)
+        });
+
+        this.register({
+            id: 'json',
+            label: 'JSON',
+            extension: 'json',
+            mimeType: 'application/json',
+            options: [
+                { name: 'pretty', label: 'Indent', type: 'checkbox', default: true }
+            ],
+            export: (data, options) => JSON.stringify(this.toTypedRecords(data), null, options.pretty ? 2 : 0)
+        });
+
+        this.register({
+            id: 'jsonl',
+            label: 'JSON Lines',
+            extension: 'jsonl',
+            mimeType: 'application/x-ndjson',
+            export: (data) => this.toTypedRecords(data).map(record => JSON.stringify(record)).join('\n') + '\n'
+        });
+
+        this.register({
+            id: 'markdown',
+            label: 'Markdown',
+            extension: 'md',
+            mimeType: 'text/markdown;charset=utf-8',
+            export: (data) => this.toMarkdown(data)
+        });
+
+        this.register({
+            id: 'html',
+            label: 'HTML',
+            extension: 'html',
+            mimeType: 'text/html;charset=utf-8',
+            options: [
+                { name: 'title', label: 'Title', type: 'text', default: 'Exported table' }
+            ],
+            export: (data, options) => this.toHTML(data, options)
+        });
+
+        this.register({
+            id: 'xml',
+            label: 'XML',
+            extension: 'xml',
+            mimeType: 'application/xml',
+            export: (data) => this.toXML(data)
+        });
+
+        this.register({
+            id: 'sql',
+            label: 'SQL',
+            extension: 'sql',
+            mimeType: 'application/sql',
+            options: [
+                { name: 'tableName', label: 'Table name', type: 'text', default: 'extracted_table' },
+                { name: 'dialect', label: 'Dialect', type: 'select', default: 'ansi', choices: [['ansi', 'PostgreSQL / SQLite'], ['mysql', 'MySQL']] },
+                { name: 'batchSize', label: 'Rows per INSERT', type: 'number', default: 100 }
+            ],
+            export: (data, options) => this.toSQL(data, options)
+        });
+
+        this.register({
+            id: 'xlsx',
+            label: 'XLSX',
+            extension: 'xlsx',
+            mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            export: (data) => {
+                const writer = new XlsxWriter(this.valueNormalizer);
+                writer.addSheet('Table', data);
+                return writer.toBlob();
+            }
+        });
+    }
+
+    getColumnNames(data) {
+        const columnCount = data.rows.reduce((max, row) => Math.max(max, row.length), data.headers.length);
+        return Array.from({ length: columnCount }, (_, index) => data.headers[index] || `column_${index + 1}`);
+    }
+
+    /**
+     * Column names usable as object keys and SQL columns: repeated headers get
+     * a numeric suffix ("Name", "Name_2") instead of overwriting each other,
+     * skipping suffixes that another header already uses.
+     */
+    getUniqueColumnNames(data) {
+        const used = new Set();
+        return this.getColumnNames(data).map(name => {
+            let unique = name;
+            for (let count = 2; used.has(unique.toLowerCase()); count++) unique = `${name}_${count}`;
+            used.add(unique.toLowerCase());
+            return unique;
+        });
+    }
+
+    toText(cell) {
+        return String(cell == null ? '' : cell);
+    }
+
+    toCSV(data, { delimiter = ',', quoting = 'all', lineEnding = '\n', bom = false } = {}) {
+        const escape = (field) => {
+            const text = this.toText(field);
+            const needsQuotes = quoting === 'all' ||
+                (quoting === 'nonnumeric' && !/^-?\d+(\.\d+)?$/.test(text.trim())) ||
+                text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim();
+            return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const lines = [];
+        if (data.headers.length > 0) lines.push(data.headers.map(escape).join(delimiter));
+        data.rows.forEach(row => lines.push(row.map(escape).join(delimiter)));
+        return (bom ? '\uFEFF' : '') + lines.join(lineEnding);
+    }
+
+    /**
+     * TSV has no quoting, so tabs and line breaks inside cells become spaces.
+     */
+    toTSV(data) {
+        const clean = (cell) => this.toText(cell).replace(/[\t\r\n]+/g, ' ');
+        const lines = [];
+        if (data.headers.length > 0) lines.push(data.headers.map(clean).join('\t'));
+        data.rows.forEach(row => lines.push(row.map(clean).join('\t')));
+        return lines.join('\n');
+    }
+
+    /**
+     * Emits typed values: numbers, booleans, ISO dates and { amount, currency }
+     * objects, following the inferred column types and any overrides.
+     */
+    toTypedRecords(data) {
+        const normalized = this.valueNormalizer.normalizeTable(data, data.typeOverrides);
+        const names = this.getUniqueColumnNames(data);
+        return normalized.rows.map(row => {
+            const record = {};
+            row.forEach((cell, index) => { record[names[index]] = cell; });
+            return record;
+        });
+    }
+
+    toMarkdown(data) {
+        const names = this.getColumnNames(data);
+        if (names.length === 0) return '';
+        const escape = (cell) => this.toText(cell).replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>').trim();
+        const numericTypes = ['number', 'currency', 'percentage'];
+        const alignments = names.map((_, index) => {
+            const column = data.columnTypes && data.columnTypes[index];
+            const type = (data.typeOverrides && data.typeOverrides[index]) || (column && column.type);
+            return numericTypes.includes(type) ? '---:' : '---';
+        });
+
+        const line = (cells) => `| ${cells.join(' | ')} |`;
+        return [
+            line(names.map(escape)),
+            line(alignments),
+            ...data.rows.map(row => line(names.map((_, index) => escape(row[index]))))
+        ].join('\n') + '\n';
+    }
+
+    escapeHTML(value) {
+        return this.toText(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    toHTML(data, { title = 'Exported table' } = {}) {
+        const head = data.headers.length > 0
+            ? `    <thead>\n      <tr>${data.headers.map(header => `<th>${this.escapeHTML(header)}</th>`).join('')}</tr>\n    </thead>\n`
+            : '';
+        const body = data.rows.map(row => `      <tr>${row.map(cell => `<td>${this.escapeHTML(cell)}</td>`).join('')}</tr>`).join('\n');
+
+        return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${this.escapeHTML(title)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Arial, sans-serif; margin: 24px; }
+    table { border-collapse: collapse; }
+    th, td { border: 1px solid #dee2e6; padding: 6px 10px; text-align: left; }
+    th { background: #f8f9fa; }
+  </style>
+</head>
+<body>
+  <table>
+${head}    <tbody>
+${body}
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Turns a header into a valid XML element name, e.g. "Unit price (€)" → "Unit_price".
+     */
+    toXmlName(header, index) {
+        let name = this.toText(header).trim().replace(/[^\w.\-]+/g, '_').replace(/^_+|_+$/g, '');
+        if (!name || !/^[A-Za-z_]/.test(name) || /^xml/i.test(name)) name = `column_${index + 1}${name ? '_' + name : ''}`;
+        return name;
+    }
+
+    toXML(data) {
+        const names = this.getColumnNames(data).map((name, index) => this.toXmlName(name, index));
+        const escape = (value) => this.escapeHTML(value).replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '');
+        const rows = data.rows.map(row => {
+            const cells = names.map((name, index) => `    <${name}>${escape(row[index])}</${name}>`).join('\n');
+            return `  <row>\n${cells}\n  </row>`;
+        });
+        return `<?xml version="1.0" encoding="UTF-8"?>\n<table>\n${rows.join('\n')}\n</table>\n`;
+    }
+
+    quoteIdentifier(name, dialect) {
+        return dialect === 'mysql' ? `\`${name.replace(/`/g, '``')}\`` : `"${name.replace(/"/g, '""')}"`;
+    }
+
+    quoteString(value, dialect) {
+        const text = value.replace(/'/g, "''");
+        // MySQL treats backslashes in string literals as escapes by default.
+        return dialect === 'mysql' ? `'${text.replace(/\\/g, '\\\\')}'` : `'${text}'`;
+    }
+
+    /**
+     * SQL column type for a normalized column, looking at the parsed values so
+     * integer columns and date-times get the narrower type.
+     */
+    getSqlType(column, values, dialect) {
+        const parsed = values.filter(value => value !== null);
+        switch (column.type) {
+            case 'number':
+                if (!parsed.every(value => typeof value === 'number')) break;
+                return parsed.every(Number.isInteger) ? 'INTEGER' : (dialect === 'mysql' ? 'DOUBLE' : 'DOUBLE PRECISION');
+            case 'currency':
+                if (!parsed.every(value => value && typeof value === 'object')) break;
+                return 'DECIMAL(18, 2)';
+            case 'percentage':
+                if (!parsed.every(value => typeof value === 'number')) break;
+                return 'DECIMAL(18, 6)';
+            case 'date':
+                if (!parsed.every(value => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value))) break;
+                return parsed.some(value => value.includes('T')) ? (dialect === 'mysql' ? 'DATETIME' : 'TIMESTAMP') : 'DATE';
+            case 'boolean':
+                if (!parsed.every(value => typeof value === 'boolean')) break;
+                return 'BOOLEAN';
+        }
+        return 'TEXT';
+    }
+
+    toSqlLiteral(value, sqlType, dialect) {
+        if (value === null || value === undefined) return 'NULL';
+        if (sqlType === 'TEXT') return this.quoteString(typeof value === 'object' ? this.valueNormalizer.formatForDisplay(value) : String(value), dialect);
+        if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+        if (typeof value === 'object') return String(value.amount);
+        if (typeof value === 'number') return String(value);
+        // DATETIME and TIMESTAMP columns hold no zone, so zoned timestamps go in as UTC.
+        return this.quoteString(this.valueNormalizer.toUtc(String(value)).replace('T', ' '), dialect);
+    }
+
+    toSQL(data, { tableName = 'extracted_table', dialect = 'ansi', batchSize = 100 } = {}) {
+        const normalized = this.valueNormalizer.normalizeTable(data, data.typeOverrides);
+        const columns = this.getUniqueColumnNames(data).map(name => this.quoteIdentifier(name, dialect));
+        const sqlTypes = normalized.columns.map((column, index) => this.getSqlType(column, normalized.rows.map(row => row[index]), dialect));
+        const table = this.quoteIdentifier(tableName || 'extracted_table', dialect);
+
+        const statements = [
+            `CREATE TABLE ${table} (\n${columns.map((column, index) => `    ${column} ${sqlTypes[index]}`).join(',\n')}\n);`
+        ];
+
+        const size = Math.max(1, parseInt(batchSize, 10) || 100);
+        for (let start = 0; start < normalized.rows.length; start += size) {
+            const values = normalized.rows.slice(start, start + size).map(row =>
+                `    (${columns.map((_, index) => this.toSqlLiteral(row[index], sqlTypes[index], dialect)).join(', ')})`);
+            statements.push(`INSERT INTO ${table} (${columns.join(', ')}) VALUES\n${values.join(',\n')};`);
+        }
+        return statements.join('\n\n') + '\n';
+    }
+}
@@ -0,0 +1,295 @@
+/**
+ * @author : Zahir
+ * Desc : Persistent history of extracted tables in IndexedDB. Entries (URL,
+ * page title, time, locator, size and a preview) and the table data are kept
+ * in separate object stores, so browsing and searching never load the tables.
+ * Retention limits are kept in chrome.storage.local. The snapshots of scheduled
+ * jobs (see JobScheduler) live in the same database.
+ */
+class HistoryStore {
+    constructor() {
+        this.dbName = 'CognitoTableHistory';
+        this.version = 2;
+        this.dbPromise = null;
+        this.defaultSettings = { maxEntries: 500, maxMegabytes: 50 };
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, this.version);
+                request.onupgradeneeded = (event) => {
+                    const db = request.result;
+                    if (event.oldVersion < 1) {
+                        const entries = db.createObjectStore('entries', { keyPath: 'id', autoIncrement: true });
+                        entries.createIndex('origin', 'origin');
+                        entries.createIndex('url', 'url');
+                        db.createObjectStore('tables', { keyPath: 'id' });
+                    }
+                    if (event.oldVersion < 2) {
+                        const snapshots = db.createObjectStore('snapshots', { keyPath: 'id', autoIncrement: true });
+                        snapshots.createIndex('jobId', 'jobId');
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // Let a later call try again after a failed open.
+            this.dbPromise.catch(() => { this.dbPromise = null; });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Runs `work(stores)` in one transaction over the named stores (the history
+     * stores by default) and resolves with whatever `work` put into `result` once
+     * the transaction has committed.
+     */
+    async transaction(mode, work, storeNames = ['entries', 'tables']) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            const result = {};
+            const stores = {};
+            storeNames.forEach(name => { stores[name] = tx.objectStore(name); });
+            work(stores, result);
+            tx.oncomplete = () => resolve(result.value);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('History transaction aborted'));
+        });
+    }
+
+    getAllEntries() {
+        return this.transaction('readonly', (stores, result) => {
+            stores.entries.getAll().onsuccess = (event) => { result.value = event.target.result; };
+        });
+    }
+
+    describe(data) {
+        const json = JSON.stringify(data);
+        return {
+            signature: `${Utils.createTableContentSignature(data)}::${this.hashContent(data)}`,
+            headers: (data.headers || []).slice(0, 50),
+            rowCount: data.rows.length,
+            columnCount: data.rows.reduce((max, row) => Math.max(max, row.length), data.headers.length),
+            preview: Utils.generatePreview(data),
+            edits: Array.isArray(data.editLog) ? data.editLog.length : 0,
+            size: json.length
+        };
+    }
+
+    /**
+     * FNV-1a hash of every header and cell, so that entries whose first rows
+     * match but whose later rows differ get different signatures.
+     */
+    hashContent(data) {
+        const text = JSON.stringify([data.headers || [], data.rows || []]);
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(36);
+    }
+
+    /**
+     * Stores an extracted table and returns its history id. Extracting the same
+     * table with the same content again only refreshes the existing entry.
+     * @param {object} table - a table object as found by the content script.
+     * @param {{url: string, title: string, locator: object}} source
+     */
+    async record(table, source) {
+        const url = source.url || '';
+        const description = this.describe(table.data);
+        const locator = source.locator || { selector: table.element, headers: table.data.headers };
+        const timestamp = Date.now();
+
+        const id = await this.transaction('readwrite', (stores, result) => {
+            stores.entries.index('url').getAll(url).onsuccess = (event) => {
+                const existing = event.target.result
+                    .filter(entry => entry.locator.selector === locator.selector && entry.signature === description.signature)
+                    .sort((a, b) => b.timestamp - a.timestamp)[0];
+                if (existing) {
+                    result.value = existing.id;
+                    stores.entries.put({ ...existing, timestamp });
+                    return;
+                }
+
+                const entry = {
+                    url,
+                    origin: this.getOrigin(url),
+                    title: source.title || '',
+                    timestamp,
+                    tableId: table.id,
+                    type: table.type,
+                    confidence: table.confidence,
+                    locator,
+                    ...description
+                };
+                stores.entries.add(entry).onsuccess = (addEvent) => {
+                    result.value = addEvent.target.result;
+                    stores.tables.put({ id: result.value, data: table.data });
+                };
+            };
+        });
+        await this.enforceRetention();
+        return id;
+    }
+
+    /**
+     * Replaces the stored data of an entry, e.g. after edits in the popup.
+     */
+    async updateData(id, data) {
+        const description = this.describe(data);
+        return this.transaction('readwrite', (stores, result) => {
+            stores.entries.get(id).onsuccess = (event) => {
+                const entry = event.target.result;
+                result.value = Boolean(entry);
+                if (!entry) return;
+                stores.entries.put({ ...entry, ...description, updatedAt: Date.now() });
+                stores.tables.put({ id, data });
+            };
+        });
+    }
+
+    /**
+     * @param {{query: string, origin: string}} filter - the query matches the title,
+     *        URL, headers and preview; every word has to match.
+     */
+    async list(filter = {}) {
+        const words = (filter.query || '').toLowerCase().split(/\s+/).filter(Boolean);
+        const entries = await this.getAllEntries();
+        return entries
+            .filter(entry => !filter.origin || entry.origin === filter.origin)
+            .filter(entry => {
+                if (words.length === 0) return true;
+                const haystack = [entry.title, entry.url, entry.headers.join(' '), entry.preview].join(' ').toLowerCase();
+                return words.every(word => haystack.includes(word));
+            })
+            .sort((a, b) => b.timestamp - a.timestamp);
+    }
+
+    get(id) {
+        return this.transaction('readonly', (stores, result) => {
+            stores.entries.get(id).onsuccess = (event) => {
+                const entry = event.target.result;
+                if (!entry) return;
+                stores.tables.get(id).onsuccess = (tableEvent) => {
+                    const stored = tableEvent.target.result;
+                    result.value = { ...entry, data: stored ? stored.data : null };
+                };
+            };
+        });
+    }
+
+    deleteEntries(ids) {
+        return this.transaction('readwrite', (stores, result) => {
+            ids.forEach(id => {
+                stores.entries.delete(id);
+                stores.tables.delete(id);
+            });
+            result.value = ids.length;
+        });
+    }
+
+    async clearSite(origin) {
+        const entries = await this.list({ origin });
+        return this.deleteEntries(entries.map(entry => entry.id));
+    }
+
+    async getUsage() {
+        const entries = await this.getAllEntries();
+        const sites = new Map();
+        entries.forEach(entry => {
+            const site = sites.get(entry.origin) || { origin: entry.origin, count: 0, size: 0 };
+            site.count++;
+            site.size += entry.size;
+            sites.set(entry.origin, site);
+        });
+        return {
+            count: entries.length,
+            size: entries.reduce((sum, entry) => sum + entry.size, 0),
+            sites: Array.from(sites.values()).sort((a, b) => b.count - a.count)
+        };
+    }
+
+    async getSettings() {
+        const result = await chrome.storage.local.get(['historySettings']);
+        return { ...this.defaultSettings, ...(result.historySettings || {}) };
+    }
+
+    async saveSettings(settings) {
+        const clean = {
+            maxEntries: Math.max(1, parseInt(settings.maxEntries, 10) || this.defaultSettings.maxEntries),
+            maxMegabytes: Math.max(1, parseFloat(settings.maxMegabytes) || this.defaultSettings.maxMegabytes)
+        };
+        await chrome.storage.local.set({ historySettings: clean });
+        const removed = await this.enforceRetention();
+        return { settings: clean, removed };
+    }
+
+    /**
+     * Deletes the oldest entries until both the count and the size limit hold.
+     * Returns the number of entries removed.
+     */
+    async enforceRetention() {
+        const settings = await this.getSettings();
+        const maxBytes = settings.maxMegabytes * 1024 * 1024;
+        const entries = (await this.getAllEntries()).sort((a, b) => a.timestamp - b.timestamp);
+        let count = entries.length;
+        let size = entries.reduce((sum, entry) => sum + entry.size, 0);
+
+        const expired = [];
+        for (const entry of entries) {
+            if (count <= settings.maxEntries && size <= maxBytes) break;
+            expired.push(entry.id);
+            count--;
+            size -= entry.size;
+        }
+        if (expired.length > 0) await this.deleteEntries(expired);
+        return expired.length;
+    }
+
+    // --- Snapshots of scheduled jobs ---
+
+    /**
+     * The job's snapshots, oldest first.
+     */
+    getSnapshots(jobId) {
+        return this.transaction('readonly', (stores, result) => {
+            stores.snapshots.index('jobId').getAll(jobId).onsuccess = (event) => {
+                result.value = event.target.result.sort((a, b) => a.id - b.id);
+            };
+        }, ['snapshots']);
+    }
+
+    /**
+     * Stores a snapshot and deletes the job's oldest ones beyond `maxSnapshots`.
+     */
+    addSnapshot(jobId, snapshot, maxSnapshots) {
+        return this.transaction('readwrite', (stores) => {
+            stores.snapshots.add({ ...snapshot, jobId }).onsuccess = () => {
+                stores.snapshots.index('jobId').getAllKeys(jobId).onsuccess = (event) => {
+                    const ids = event.target.result.sort((a, b) => a - b);
+                    ids.slice(0, Math.max(0, ids.length - maxSnapshots)).forEach(id => stores.snapshots.delete(id));
+                };
+            };
+        }, ['snapshots']);
+    }
+
+    deleteSnapshots(jobId) {
+        return this.transaction('readwrite', (stores) => {
+            stores.snapshots.index('jobId').getAllKeys(jobId).onsuccess = (event) => {
+                event.target.result.forEach(id => stores.snapshots.delete(id));
+            };
+        }, ['snapshots']);
+    }
+
+    getOrigin(url) {
+        try {
+            return new URL(url).origin;
+        } catch (e) {
+            return '';
+        }
+    }
+}
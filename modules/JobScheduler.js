@@ -0,0 +1,255 @@
+/**
+ * @author : Zahir
+ * Desc : Scheduled background re-extraction. Each job re-extracts a saved table
+ * on a chrome.alarms schedule, compares it with the previous snapshot by a key
+ * column and notifies the user when something changed. Runs in the background
+ * service worker. Snapshots are kept in IndexedDB through HistoryStore, since
+ * full tables quickly fill chrome.storage.local.
+ */
+class JobScheduler {
+    constructor(historyStore) {
+        this.historyStore = historyStore;
+        this.alarmPrefix = 'cognitoJob_';
+        this.maxSnapshots = 50;
+        this.runningJobs = new Set();
+    }
+
+    init() {
+        chrome.alarms.onAlarm.addListener((alarm) => {
+            if (alarm.name.startsWith(this.alarmPrefix)) {
+                this.runJob(alarm.name.substring(this.alarmPrefix.length));
+            }
+        });
+        chrome.runtime.onStartup.addListener(() => this.syncAlarms());
+        this.syncAlarms();
+        this.migrateSnapshots();
+    }
+
+    async loadJobs() {
+        const result = await chrome.storage.local.get(['scheduledJobs']);
+        return result.scheduledJobs || [];
+    }
+
+    async saveJobs(jobs) {
+        await chrome.storage.local.set({ scheduledJobs: jobs });
+    }
+
+    /**
+     * Alarms can be dropped when the browser restarts; recreate the ones that
+     * enabled jobs need.
+     */
+    async syncAlarms() {
+        const jobs = await this.loadJobs();
+        for (const job of jobs) {
+            const alarm = await chrome.alarms.get(this.alarmPrefix + job.id);
+            if (job.enabled && !alarm) this.scheduleAlarm(job);
+            if (!job.enabled && alarm) chrome.alarms.clear(this.alarmPrefix + job.id);
+        }
+    }
+
+    /**
+     * Moves snapshots that older versions kept in chrome.storage.local to IndexedDB.
+     */
+    async migrateSnapshots() {
+        const keys = (await this.loadJobs()).map(job => `snapshots_${job.id}`);
+        const stored = await chrome.storage.local.get(keys);
+        for (const key of Object.keys(stored)) {
+            try {
+                for (const snapshot of stored[key]) {
+                    await this.historyStore.addSnapshot(key.substring('snapshots_'.length), snapshot, this.maxSnapshots);
+                }
+                await chrome.storage.local.remove([key]);
+            } catch (error) {
+                console.error('CognitoTable: Could not move job snapshots to IndexedDB:', error);
+            }
+        }
+    }
+
+    scheduleAlarm(job) {
+        const periodInMinutes = Math.max(1, job.intervalMinutes);
+        chrome.alarms.create(this.alarmPrefix + job.id, { delayInMinutes: periodInMinutes, periodInMinutes });
+    }
+
+    async createJob(options) {
+        const jobs = await this.loadJobs();
+        const job = {
+            id: `job_${Date.now()}`,
+            name: options.name,
+            url: options.url,
+            recipe: options.recipe,
+            keyColumn: options.keyColumn || '',
+            intervalMinutes: Math.max(1, parseInt(options.intervalMinutes, 10) || 60),
+            enabled: true,
+            createdAt: Date.now(),
+            lastRun: null,
+            lastStatus: 'Not run yet'
+        };
+        jobs.push(job);
+        await this.saveJobs(jobs);
+        this.scheduleAlarm(job);
+        this.runJob(job.id);
+        return job;
+    }
+
+    async updateJob(jobId, changes) {
+        const jobs = await this.loadJobs();
+        const job = jobs.find(j => j.id === jobId);
+        if (!job) return null;
+        Object.assign(job, changes);
+        await this.saveJobs(jobs);
+
+        if ('enabled' in changes || 'intervalMinutes' in changes) {
+            await chrome.alarms.clear(this.alarmPrefix + job.id);
+            if (job.enabled) this.scheduleAlarm(job);
+        }
+        return job;
+    }
+
+    async deleteJob(jobId) {
+        const jobs = await this.loadJobs();
+        await this.saveJobs(jobs.filter(job => job.id !== jobId));
+        await chrome.alarms.clear(this.alarmPrefix + jobId);
+        await this.historyStore.deleteSnapshots(jobId);
+        return { success: true };
+    }
+
+    getSnapshots(jobId) {
+        return this.historyStore.getSnapshots(jobId).catch(error => {
+            console.error('CognitoTable: Could not load job snapshots:', error);
+            return [];
+        });
+    }
+
+    /**
+     * Extracts the job's table, stores a snapshot when it differs from the last
+     * one and notifies the user about the changes.
+     */
+    async runJob(jobId) {
+        if (this.runningJobs.has(jobId)) return;
+        const job = (await this.loadJobs()).find(j => j.id === jobId);
+        if (!job) {
+            chrome.alarms.clear(this.alarmPrefix + jobId);
+            return;
+        }
+
+        this.runningJobs.add(jobId);
+        try {
+            const extracted = await this.extractFromUrl(job.url, job.recipe);
+            const data = Utils.applyRecipe(extracted, job.recipe);
+            const snapshots = await this.historyStore.getSnapshots(jobId);
+            const previous = snapshots[snapshots.length - 1];
+            const diff = previous ? Utils.diffTables(previous, data, job.keyColumn) : null;
+
+            if (!previous || diff.hasChanges) {
+                await this.historyStore.addSnapshot(jobId, {
+                    timestamp: Date.now(),
+                    headers: data.headers,
+                    rows: data.rows,
+                    changes: diff
+                }, this.maxSnapshots);
+            }
+
+            let status = previous ? 'No changes' : `First snapshot: ${data.rows.length} row(s)`;
+            if (diff && diff.hasChanges) {
+                status = this.describeDiff(diff.added.length, diff.removed.length, diff.changed.length);
+                this.notifyChange(job, status);
+            }
+            await this.updateJob(jobId, { lastRun: Date.now(), lastStatus: status });
+        } catch (error) {
+            console.error(`CognitoTable: Scheduled job "${job.name}" failed:`, error);
+            const message = error && error.name === 'QuotaExceededError'
+                ? 'Not enough storage for the snapshot. Delete old history entries or jobs.'
+                : error.message;
+            await this.updateJob(jobId, { lastRun: Date.now(), lastStatus: `Error: ${message}` })
+                .catch(updateError => console.error('CognitoTable: Could not save the job status:', updateError));
+        } finally {
+            this.runningJobs.delete(jobId);
+        }
+    }
+
+    describeDiff(added, removed, changed) {
+        return `${added} added, ${removed} removed, ${changed} changed`;
+    }
+
+    notifyChange(job, summary) {
+        chrome.notifications.create(`${this.alarmPrefix}${job.id}_${Date.now()}`, {
+            type: 'basic',
+            iconUrl: 'icons/icon48.png',
+            title: `${job.name} changed`,
+            message: summary
+        });
+    }
+
+    /**
+     * Reuses an open tab showing the URL, or opens a background tab and closes it
+     * again after extracting.
+     */
+    async extractFromUrl(url, recipe) {
+        const tabs = await chrome.tabs.query({});
+        const existing = tabs.find(tab => tab.url === url && tab.status === 'complete');
+        const tab = existing || await chrome.tabs.create({ url, active: false });
+
+        try {
+            if (!existing) await this.waitForTabComplete(tab.id, 60000);
+
+            // Give client-rendered pages a few chances to render the table.
+            for (let attempt = 1; attempt <= 5; attempt++) {
+                const data = await this.extractLocatedTable(tab.id, recipe.locator, recipe.frameUrl);
+                if (data) return data;
+                await Utils.sleep(2000);
+            }
+            throw new Error('The table was not found on the page.');
+        } finally {
+            if (!existing) chrome.tabs.remove(tab.id).catch(() => {});
+        }
+    }
+
+    /**
+     * Extracts a located table from the frame a recipe was saved in. Frame URLs
+     * can change between visits, so frames on the same page path are tried next,
+     * then the rest with the top frame first.
+     * @returns {Promise<Object|null>} The table data, or null when no frame has the table.
+     */
+    async extractLocatedTable(tabId, locator, frameUrl = '') {
+        const frames = await chrome.scripting.executeScript({ target: { tabId, allFrames: true }, func: () => location.href })
+            .catch(() => [{ frameId: 0, result: '' }]);
+        const samePath = url => {
+            try {
+                const a = new URL(url);
+                const b = new URL(frameUrl);
+                return a.origin === b.origin && a.pathname === b.pathname;
+            } catch (e) {
+                return false;
+            }
+        };
+        const rank = frame => {
+            if (frameUrl && frame.result === frameUrl) return 0;
+            if (frameUrl && samePath(frame.result)) return 1;
+            return frame.frameId === 0 ? 2 : 3;
+        };
+        const ordered = frames.filter(frame => typeof frame.result === 'string').sort((a, b) => rank(a) - rank(b));
+
+        for (const frame of ordered) {
+            const response = await chrome.tabs.sendMessage(tabId, { action: 'extractLocatedTable', locator }, { frameId: frame.frameId }).catch(() => null);
+            if (response && response.data && response.data.rows.length > 0) return response.data;
+        }
+        return null;
+    }
+
+    waitForTabComplete(tabId, timeoutMs) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                chrome.tabs.onUpdated.removeListener(listener);
+                reject(new Error('The page took too long to load.'));
+            }, timeoutMs);
+            const listener = (updatedTabId, changeInfo) => {
+                if (updatedTabId === tabId && changeInfo.status === 'complete') {
+                    clearTimeout(timer);
+                    chrome.tabs.onUpdated.removeListener(listener);
+                    resolve();
+                }
+            };
+            chrome.tabs.onUpdated.addListener(listener);
+        });
+    }
+}
@@ -0,0 +1,120 @@
+/**
+ * @author : Zahir
+ * Desc : Replays steps recorded by MacroRecorder, waiting for the DOM to
+ * settle between steps and reporting progress as it goes.
+ */
+class MacroPlayer {
+    constructor(elementLocator) {
+        this.elementLocator = elementLocator;
+    }
+
+    /**
+     * @param {Array} steps
+     * @param {object} options
+     * @param {number} options.startIndex - first step to run (used when resuming after a navigation).
+     * @param {number} options.timeoutMs - how long to wait for a step's element to appear.
+     * @param {function(object): Promise<boolean>} options.waitForSettle - resolves once the DOM is quiet.
+     * @param {function(object): void} options.onProgress
+     * @param {function(number): void} options.beforeStep - called with the index about to run.
+     */
+    async play(steps, { startIndex = 0, timeoutMs = 10000, waitForSettle, onProgress, beforeStep } = {}) {
+        for (let index = startIndex; index < steps.length; index++) {
+            const step = steps[index];
+            const description = this.describeStep(step);
+            if (onProgress) onProgress({ index, total: steps.length, description, status: 'running' });
+            if (beforeStep) beforeStep(index);
+
+            try {
+                await this.runStep(step, timeoutMs);
+            } catch (error) {
+                const failure = new Error(`Step ${index + 1} of ${steps.length} (${description}) failed: ${error.message}`);
+                failure.stepIndex = index;
+                throw failure;
+            }
+
+            if (waitForSettle) await waitForSettle();
+            if (onProgress) onProgress({ index, total: steps.length, description, status: 'done' });
+        }
+    }
+
+    async runStep(step, timeoutMs) {
+        if (step.type === 'scroll' && !step.target) {
+            window.scrollTo(step.x, step.y);
+            return;
+        }
+
+        const element = await this.waitForElement(step.target, timeoutMs);
+        if (!element) throw new Error(`element not found within ${timeoutMs} ms`);
+
+        switch (step.type) {
+            case 'click':
+                element.scrollIntoView({ block: 'center' });
+                element.click();
+                break;
+            case 'select':
+                this.setValue(element, step.value);
+                break;
+            case 'input':
+                element.focus();
+                this.setValue(element, step.value);
+                break;
+            case 'key':
+                ['keydown', 'keypress', 'keyup'].forEach(type => {
+                    element.dispatchEvent(new KeyboardEvent(type, { key: step.key, code: step.key, keyCode: 13, which: 13, bubbles: true, cancelable: true }));
+                });
+                if (step.key === 'Enter' && element.form && element.tagName.toLowerCase() === 'input') {
+                    element.form.requestSubmit ? element.form.requestSubmit() : element.form.submit();
+                }
+                break;
+            case 'scroll':
+                element.scrollTo(step.x, step.y);
+                break;
+            default:
+                throw new Error(`unknown step type "${step.type}"`);
+        }
+    }
+
+    /**
+     * Sets a form value through the native setter so frameworks that track the
+     * value themselves (React, Vue) notice the change.
+     */
+    setValue(element, value) {
+        const prototype = Object.getPrototypeOf(element);
+        const descriptor = Object.getOwnPropertyDescriptor(prototype, 'value');
+        if (descriptor && descriptor.set) {
+            descriptor.set.call(element, value);
+        } else {
+            element.value = value;
+        }
+        element.dispatchEvent(new Event('input', { bubbles: true }));
+        element.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    async waitForElement(locator, timeoutMs) {
+        const start = Date.now();
+        while (true) {
+            const element = this.elementLocator.resolve(locator);
+            if (element) return element;
+            if (Date.now() - start >= timeoutMs) return null;
+            await Utils.sleep(200);
+        }
+    }
+
+    describeStep(step) {
+        const label = step.label ? `"${step.label}"` : step.target ? step.target.tagName : 'element';
+        switch (step.type) {
+            case 'click':
+                return `click ${label}`;
+            case 'select':
+                return `select "${step.optionText || step.value}" in ${label}`;
+            case 'input':
+                return `type "${step.value}" into ${label}`;
+            case 'key':
+                return `press ${step.key} in ${label}`;
+            case 'scroll':
+                return `scroll ${step.target ? label : 'page'} to ${Math.round(step.x)}, ${Math.round(step.y)}`;
+            default:
+                return step.type;
+        }
+    }
+}
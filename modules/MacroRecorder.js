@@ -0,0 +1,189 @@
+/**
+ * @author : Zahir
+ * Desc : Records the user's clicks, selects, text input and scrolls as a list
+ * of replayable steps with robust element locators.
+ */
+class MacroRecorder {
+    constructor(elementLocator) {
+        this.elementLocator = elementLocator;
+        this.steps = [];
+        this.panel = null;
+        this.scrollTimer = null;
+        this.onStop = null;
+        this.onCancel = null;
+
+        this.handleClick = this.handleClick.bind(this);
+        this.handleChange = this.handleChange.bind(this);
+        this.handleInput = this.handleInput.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleScroll = this.handleScroll.bind(this);
+    }
+
+    get isRecording() {
+        return this.panel !== null;
+    }
+
+    /**
+     * @param {function(Array): void} onStop - receives the recorded steps.
+     * @param {function(): void} onCancel
+     */
+    start(onStop, onCancel) {
+        if (this.isRecording) return;
+        this.steps = [];
+        this.onStop = onStop;
+        this.onCancel = onCancel;
+        this.panel = this.createPanel();
+        document.documentElement.appendChild(this.panel);
+
+        document.addEventListener('click', this.handleClick, true);
+        document.addEventListener('change', this.handleChange, true);
+        document.addEventListener('input', this.handleInput, true);
+        document.addEventListener('keydown', this.handleKeyDown, true);
+        document.addEventListener('scroll', this.handleScroll, true);
+    }
+
+    stop() {
+        if (!this.isRecording) return [];
+        document.removeEventListener('click', this.handleClick, true);
+        document.removeEventListener('change', this.handleChange, true);
+        document.removeEventListener('input', this.handleInput, true);
+        document.removeEventListener('keydown', this.handleKeyDown, true);
+        document.removeEventListener('scroll', this.handleScroll, true);
+        clearTimeout(this.scrollTimer);
+        this.panel.remove();
+        this.panel = null;
+        return this.steps;
+    }
+
+    createPanel() {
+        const panel = document.createElement('div');
+        panel.setAttribute('data-cognito-ignore', 'true');
+        Object.assign(panel.style, {
+            position: 'fixed', right: '16px', bottom: '16px', zIndex: '2147483647',
+            display: 'flex', alignItems: 'center', gap: '8px', padding: '8px 12px', borderRadius: '6px',
+            background: '#333', color: '#fff', boxShadow: '0 2px 12px rgba(0, 0, 0, 0.3)',
+            font: '500 13px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Arial, sans-serif'
+        });
+
+        const label = document.createElement('span');
+        label.className = 'cognito-recorder-label';
+        const stopButton = this.createPanelButton('Stop & Save', '#667eea', () => {
+            const steps = this.stop();
+            if (this.onStop) this.onStop(steps);
+        });
+        const cancelButton = this.createPanelButton('Cancel', '#6c757d', () => {
+            this.stop();
+            if (this.onCancel) this.onCancel();
+        });
+
+        panel.append(label, stopButton, cancelButton);
+        this.panelLabel = label;
+        this.updatePanel();
+        return panel;
+    }
+
+    createPanelButton(text, color, onClick) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        Object.assign(button.style, {
+            border: 'none', borderRadius: '4px', padding: '4px 10px', cursor: 'pointer',
+            background: color, color: '#fff', font: 'inherit'
+        });
+        button.addEventListener('click', (event) => {
+            event.stopPropagation();
+            onClick();
+        });
+        return button;
+    }
+
+    updatePanel() {
+        if (this.panelLabel) this.panelLabel.textContent = `● Recording · ${this.steps.length} step(s)`;
+    }
+
+    isOwnElement(target) {
+        return this.panel && target instanceof Node && this.panel.contains(target);
+    }
+
+    addStep(step, replaceLastIf) {
+        const last = this.steps[this.steps.length - 1];
+        if (last && replaceLastIf && replaceLastIf(last)) {
+            this.steps[this.steps.length - 1] = step;
+        } else {
+            this.steps.push(step);
+        }
+        this.updatePanel();
+    }
+
+    getLabel(element) {
+        const isFormControl = element.matches('input, select, textarea');
+        const labelText = isFormControl && element.labels && element.labels.length > 0 ? element.labels[0].textContent : '';
+        const text = (labelText || element.getAttribute('aria-label') || element.getAttribute('placeholder') ||
+                      element.getAttribute('name') || element.id || (isFormControl ? '' : element.textContent) || element.value || '')
+            .replace(/\s+/g, ' ').trim();
+        return text.length > 40 ? text.substring(0, 37) + '...' : text;
+    }
+
+    handleClick(event) {
+        const target = event.target;
+        if (!(target instanceof Element) || this.isOwnElement(target)) return;
+        // Clicking a label also dispatches a click on its control; record that one only.
+        if (target.tagName.toLowerCase() === 'label' && target.control) return;
+        // Text fields and selects are captured by their input/change events.
+        if (target.matches('select, option, textarea, input:not([type="checkbox"]):not([type="radio"]):not([type="submit"]):not([type="button"])')) return;
+
+        const clickable = target.closest('a, button, [role="button"], [role="tab"], [role="link"], [role="menuitem"], input, summary') || target;
+        this.addStep({ type: 'click', target: this.elementLocator.describe(clickable), label: this.getLabel(clickable) });
+    }
+
+    handleChange(event) {
+        const target = event.target;
+        if (!(target instanceof Element) || this.isOwnElement(target)) return;
+        if (target.tagName.toLowerCase() !== 'select') return;
+
+        const locator = this.elementLocator.describe(target);
+        const selected = target.options[target.selectedIndex];
+        this.addStep(
+            { type: 'select', target: locator, value: target.value, label: this.getLabel(target), optionText: selected ? selected.text.trim() : '' },
+            last => last.type === 'select' && last.target.path === locator.path
+        );
+    }
+
+    handleInput(event) {
+        const target = event.target;
+        if (!(target instanceof Element) || this.isOwnElement(target)) return;
+        if (!target.matches('textarea, input:not([type="checkbox"]):not([type="radio"])')) return;
+        // Never store passwords in a macro.
+        if (target.matches('input[type="password"]')) return;
+
+        // Consecutive keystrokes into the same field collapse into one step.
+        const locator = this.elementLocator.describe(target);
+        this.addStep(
+            { type: 'input', target: locator, value: target.value, label: this.getLabel(target) },
+            last => last.type === 'input' && last.target.path === locator.path
+        );
+    }
+
+    handleKeyDown(event) {
+        const target = event.target;
+        if (event.key !== 'Enter' || !(target instanceof Element) || this.isOwnElement(target)) return;
+        if (target.tagName.toLowerCase() !== 'input') return;
+        this.addStep({ type: 'key', key: 'Enter', target: this.elementLocator.describe(target), label: this.getLabel(target) });
+    }
+
+    handleScroll(event) {
+        const target = event.target;
+        if (this.isOwnElement(target)) return;
+
+        clearTimeout(this.scrollTimer);
+        this.scrollTimer = setTimeout(() => {
+            const isPage = target === document || target === document.documentElement || target === document.body;
+            const locator = isPage ? null : this.elementLocator.describe(target);
+            const x = isPage ? window.scrollX : target.scrollLeft;
+            const y = isPage ? window.scrollY : target.scrollTop;
+            this.addStep(
+                { type: 'scroll', target: locator, x, y, label: isPage ? 'page' : this.getLabel(target) },
+                last => last.type === 'scroll' && (last.target ? last.target.path : null) === (locator ? locator.path : null)
+            );
+        }, 300);
+    }
+}
@@ -0,0 +1,253 @@
+/**
+ * @author : Zahir
+ * Desc : In-page "Manually Select Area" mode. Draws an overlay, lets the user
+ * drag a rectangle or hover-click an element, and snaps the choice to the
+ * nearest container the TableScanner would score as a table.
+ */
+class ManualSelectionHandler {
+    constructor(domUtils, tableScanner) {
+        this.domUtils = domUtils;
+        this.tableScanner = tableScanner;
+        this.layer = null;
+        this.highlightBox = null;
+        this.dragBox = null;
+        this.banner = null;
+        this.dragStart = null;
+        this.snapTarget = null;
+        this.hoverToken = 0;
+        this.scoreCache = new WeakMap();
+        this.onSelect = null;
+        this.onCancel = null;
+
+        this.handleMouseMove = this.handleMouseMove.bind(this);
+        this.handleMouseDown = this.handleMouseDown.bind(this);
+        this.handleMouseUp = this.handleMouseUp.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+    }
+
+    get isActive() {
+        return this.layer !== null;
+    }
+
+    /**
+     * @param {function(Element, number): Promise<boolean>} onSelect - resolves false when the
+     *        element held no tabular data, which keeps the selection mode open.
+     * @param {function(): void} onCancel
+     */
+    activate(onSelect, onCancel) {
+        if (this.isActive) return;
+        this.onSelect = onSelect;
+        this.onCancel = onCancel;
+        this.scoreCache = new WeakMap();
+
+        this.layer = this.createLayer();
+        document.documentElement.appendChild(this.layer);
+
+        this.layer.addEventListener('mousemove', this.handleMouseMove);
+        this.layer.addEventListener('mousedown', this.handleMouseDown);
+        this.layer.addEventListener('mouseup', this.handleMouseUp);
+        window.addEventListener('keydown', this.handleKeyDown, true);
+    }
+
+    deactivate() {
+        if (!this.isActive) return;
+        window.removeEventListener('keydown', this.handleKeyDown, true);
+        this.layer.remove();
+        this.layer = this.highlightBox = this.dragBox = this.banner = null;
+        this.dragStart = null;
+        this.snapTarget = null;
+        this.hoverToken++;
+    }
+
+    cancel() {
+        this.deactivate();
+        if (this.onCancel) this.onCancel();
+    }
+
+    createLayer() {
+        const layer = document.createElement('div');
+        layer.setAttribute('data-cognito-ignore', 'true');
+        Object.assign(layer.style, {
+            position: 'fixed', inset: '0', zIndex: '2147483647', cursor: 'crosshair', background: 'transparent'
+        });
+
+        this.highlightBox = document.createElement('div');
+        Object.assign(this.highlightBox.style, {
+            position: 'fixed', display: 'none', pointerEvents: 'none', boxSizing: 'border-box',
+            border: '3px solid #667eea', background: 'rgba(102, 126, 234, 0.1)', borderRadius: '2px'
+        });
+
+        this.dragBox = document.createElement('div');
+        Object.assign(this.dragBox.style, {
+            position: 'fixed', display: 'none', pointerEvents: 'none', boxSizing: 'border-box',
+            border: '2px dashed #764ba2', background: 'rgba(118, 75, 162, 0.08)'
+        });
+
+        this.banner = document.createElement('div');
+        Object.assign(this.banner.style, {
+            position: 'fixed', top: '12px', left: '50%', transform: 'translateX(-50%)', pointerEvents: 'none',
+            padding: '8px 16px', borderRadius: '6px', background: '#667eea', color: '#fff',
+            font: '500 13px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Arial, sans-serif',
+            boxShadow: '0 2px 12px rgba(0, 0, 0, 0.2)'
+        });
+        this.setBannerText('CognitoTable: drag over an area or click an element · Esc to cancel');
+
+        layer.append(this.highlightBox, this.dragBox, this.banner);
+        return layer;
+    }
+
+    setBannerText(text) {
+        if (this.banner) this.banner.textContent = text;
+    }
+
+    handleKeyDown(event) {
+        if (event.key !== 'Escape') return;
+        event.preventDefault();
+        event.stopPropagation();
+        this.cancel();
+    }
+
+    handleMouseDown(event) {
+        if (event.button !== 0) return;
+        event.preventDefault();
+        this.dragStart = { x: event.clientX, y: event.clientY, dragging: false };
+    }
+
+    async handleMouseMove(event) {
+        if (this.dragStart) {
+            const dx = Math.abs(event.clientX - this.dragStart.x);
+            const dy = Math.abs(event.clientY - this.dragStart.y);
+            if (dx > 5 || dy > 5) this.dragStart.dragging = true;
+        }
+
+        const token = ++this.hoverToken;
+        let target;
+        if (this.dragStart && this.dragStart.dragging) {
+            const rect = this.getDragRect(event);
+            this.showBox(this.dragBox, rect);
+            target = await this.findTargetForRect(rect);
+        } else {
+            const element = this.getPageElementAt(event.clientX, event.clientY);
+            target = element ? await this.snapToCandidate(element) : null;
+        }
+
+        // A newer mouse move has already been handled.
+        if (token !== this.hoverToken || !this.isActive) return;
+        this.snapTarget = target;
+        if (target) {
+            this.showBox(this.highlightBox, target.element.getBoundingClientRect());
+        } else {
+            this.highlightBox.style.display = 'none';
+        }
+    }
+
+    async handleMouseUp(event) {
+        if (!this.dragStart) return;
+        event.preventDefault();
+
+        const wasDragging = this.dragStart.dragging;
+        const rect = this.getDragRect(event);
+        this.dragStart = null;
+        this.dragBox.style.display = 'none';
+
+        const target = wasDragging
+            ? await this.findTargetForRect(rect)
+            : this.snapTarget || await this.snapToCandidate(this.getPageElementAt(event.clientX, event.clientY));
+        if (!target || !this.isActive) return;
+
+        this.setBannerText('CognitoTable: analyzing selection...');
+        const accepted = await this.onSelect(target.element, target.confidence);
+        if (!this.isActive) return;
+        if (accepted) {
+            this.deactivate();
+        } else {
+            this.setBannerText('CognitoTable: no tabular data found there. Try a larger area · Esc to cancel');
+        }
+    }
+
+    getDragRect(event) {
+        const start = this.dragStart || { x: event.clientX, y: event.clientY };
+        const left = Math.min(start.x, event.clientX);
+        const top = Math.min(start.y, event.clientY);
+        const right = Math.max(start.x, event.clientX);
+        const bottom = Math.max(start.y, event.clientY);
+        return { left, top, right, bottom, width: right - left, height: bottom - top };
+    }
+
+    showBox(box, rect) {
+        Object.assign(box.style, {
+            display: 'block',
+            left: `${rect.left}px`,
+            top: `${rect.top}px`,
+            width: `${rect.width}px`,
+            height: `${rect.height}px`
+        });
+    }
+
+    getPageElementAt(x, y) {
+        return document.elementsFromPoint(x, y).find(el => !this.layer.contains(el) && el !== document.documentElement) || null;
+    }
+
+    /**
+     * Walks up from the element and returns the nearest ancestor that the scanner
+     * would accept as a table. Falls back to the best scoring ancestor.
+     */
+    async snapToCandidate(element) {
+        if (!element) return null;
+        let best = null;
+        let current = element;
+        for (let depth = 0; current && current !== document.body && depth < 12; depth++) {
+            const confidence = await this.scoreElement(current);
+            if (confidence > 0.6) return { element: current, confidence };
+            if (!best || confidence > best.confidence) best = { element: current, confidence };
+            current = current.parentElement;
+        }
+        return best;
+    }
+
+    /**
+     * Picks the innermost ancestor of the element under the rectangle's centre
+     * that covers the rectangle, preferring one the scanner would accept.
+     */
+    async findTargetForRect(rect) {
+        const centre = this.getPageElementAt(rect.left + rect.width / 2, rect.top + rect.height / 2);
+        if (!centre) return null;
+
+        const tolerance = 8;
+        let fallback = null;
+        let current = centre;
+        for (let depth = 0; current && current !== document.body && depth < 20; depth++) {
+            const box = current.getBoundingClientRect();
+            const covers = box.left <= rect.left + tolerance && box.top <= rect.top + tolerance &&
+                           box.right >= rect.right - tolerance && box.bottom >= rect.bottom - tolerance;
+            if (covers) {
+                const confidence = await this.scoreElement(current);
+                if (confidence > 0.6) return { element: current, confidence };
+                if (!fallback) fallback = { element: current, confidence };
+            }
+            current = current.parentElement;
+        }
+        return fallback || this.snapToCandidate(centre);
+    }
+
+    async scoreElement(element) {
+        if (this.scoreCache.has(element)) return this.scoreCache.get(element);
+
+        let confidence = 0;
+        const tagName = element.tagName.toLowerCase();
+        if (tagName === 'table') {
+            confidence = 0.95;
+        } else if (['tr', 'td', 'th', 'tbody', 'thead'].includes(tagName)) {
+            confidence = 0; // Let the walk reach the enclosing <table>.
+        } else {
+            const children = Array.from(element.children);
+            if (children.length >= 2 && this.domUtils.isVisibleElement(element)) {
+                const analysis = await this.tableScanner.analyzeContainerForTablePattern(element, children);
+                confidence = analysis.confidence;
+            }
+        }
+
+        this.scoreCache.set(element, confidence);
+        return confidence;
+    }
+}
@@ -0,0 +1,152 @@
+/**
+ * @author : Zahir
+ * Desc : Finds pagination controls on the page (rel="next" links, "Next"
+ * buttons, numbered page links and "Load more" buttons) and advances them.
+ */
+class PaginationDetector {
+    constructor(domUtils) {
+        this.domUtils = domUtils;
+        this.nextTextPattern = /^(next|next page|next »|next ›|›|»|>|→|>>|older|older posts)$/i;
+        this.loadMorePattern = /^(load|show|view|see) (more|more results|more items|more rows|all)\b/i;
+    }
+
+    /**
+     * Returns the pagination strategies available on the current page, most
+     * reliable first. Each entry is serializable so the popup can show it.
+     */
+    detect() {
+        const strategies = [];
+
+        const relNext = this.findRelNext();
+        if (relNext) {
+            strategies.push({ type: 'relNext', label: 'rel="next" link', target: relNext.href });
+        }
+
+        const nextButton = this.findNextButton();
+        if (nextButton) {
+            strategies.push({ type: 'nextButton', label: `"${this.getControlText(nextButton) || 'Next'}" button`, target: this.domUtils.getElementSelector(nextButton) });
+        }
+
+        const pageLinks = this.findPageNumberLinks();
+        if (pageLinks.links.length > 0) {
+            strategies.push({ type: 'pageNumbers', label: `Page numbers (current: ${pageLinks.current || '?'})`, target: pageLinks.current });
+        }
+
+        const loadMore = this.findLoadMoreButton();
+        if (loadMore) {
+            strategies.push({ type: 'loadMore', label: `"${this.getControlText(loadMore)}" button`, target: this.domUtils.getElementSelector(loadMore) });
+        }
+
+        return strategies;
+    }
+
+    /**
+     * Finds the control that moves one page forward for the given strategy type.
+     * Returns { element, href } or null when the last page has been reached.
+     */
+    findNextControl(type) {
+        switch (type) {
+            case 'relNext': {
+                const link = this.findRelNext();
+                return link ? { element: link.element, href: link.href } : null;
+            }
+            case 'nextButton':
+                return this.toControl(this.findNextButton());
+            case 'pageNumbers': {
+                const { links, current } = this.findPageNumberLinks();
+                const next = links.find(link => link.number === current + 1);
+                return next ? this.toControl(next.element) : null;
+            }
+            case 'loadMore':
+                return this.toControl(this.findLoadMoreButton());
+            default:
+                return null;
+        }
+    }
+
+    toControl(element) {
+        if (!element) return null;
+        const href = element.tagName.toLowerCase() === 'a' ? element.href : '';
+        return { element, href };
+    }
+
+    findRelNext() {
+        const link = document.querySelector('a[rel~="next"], link[rel~="next"]');
+        if (!link || !link.href) return null;
+        return { element: link.tagName.toLowerCase() === 'a' ? link : null, href: link.href };
+    }
+
+    findNextButton() {
+        const candidates = document.querySelectorAll('a, button, [role="button"], [role="link"]');
+        for (const element of candidates) {
+            if (this.isDisabled(element) || !this.domUtils.isVisibleElement(element)) continue;
+            const text = this.getControlText(element);
+            const label = (element.getAttribute('aria-label') || element.getAttribute('title') || '').trim();
+            if (this.nextTextPattern.test(text) || /^next( page)?$/i.test(label)) {
+                return element;
+            }
+        }
+        return null;
+    }
+
+    findLoadMoreButton() {
+        const candidates = document.querySelectorAll('button, a, [role="button"]');
+        for (const element of candidates) {
+            if (this.isDisabled(element) || !this.domUtils.isVisibleElement(element)) continue;
+            if (this.loadMorePattern.test(this.getControlText(element))) return element;
+        }
+        return null;
+    }
+
+    /**
+     * Collects numbered page links that share a parent container and works out
+     * which page is current from aria-current, active classes or the gap in links.
+     */
+    findPageNumberLinks() {
+        const groups = new Map();
+        document.querySelectorAll('a, button, [role="button"], [aria-current="page"]').forEach(element => {
+            const text = this.getControlText(element);
+            if (!/^\d{1,4}$/.test(text) || !this.domUtils.isVisibleElement(element)) return;
+            const container = element.closest('nav, ul, ol, [class*="pag"], [role="navigation"]') || element.parentElement;
+            if (!groups.has(container)) groups.set(container, []);
+            groups.get(container).push({ element, number: parseInt(text, 10) });
+        });
+
+        let best = { links: [], current: null };
+        groups.forEach(links => {
+            if (links.length < 2 || links.length <= best.links.length) return;
+            best = { links, current: this.findCurrentPage(links) };
+        });
+        return best;
+    }
+
+    findCurrentPage(links) {
+        const marked = links.find(({ element }) => {
+            const className = (typeof element.className === 'string' ? element.className : '').toLowerCase();
+            const parentClass = (element.parentElement && typeof element.parentElement.className === 'string' ? element.parentElement.className : '').toLowerCase();
+            return element.getAttribute('aria-current') === 'page' ||
+                   /\b(active|current|selected)\b/.test(className) ||
+                   /\b(active|current|selected)\b/.test(parentClass) ||
+                   (element.tagName.toLowerCase() !== 'a' && element.tagName.toLowerCase() !== 'button' && !element.getAttribute('role'));
+        });
+        if (marked) return marked.number;
+
+        // The current page is often rendered as plain text, leaving a gap in the links.
+        const numbers = links.map(link => link.number).sort((a, b) => a - b);
+        for (let i = 1; i < numbers.length; i++) {
+            if (numbers[i] - numbers[i - 1] === 2) return numbers[i - 1] + 1;
+        }
+        return numbers[0] === 2 ? 1 : null;
+    }
+
+    getControlText(element) {
+        return (element.textContent || '').replace(/\s+/g, ' ').trim();
+    }
+
+    isDisabled(element) {
+        const className = (typeof element.className === 'string' ? element.className : '').toLowerCase();
+        return element.disabled === true ||
+               element.getAttribute('aria-disabled') === 'true' ||
+               /\bdisabled\b/.test(className);
+    }
+}
@@ -0,0 +1,247 @@
+/**
+ * @author : Zahir
+ * Desc : Runs the implicit table scan without blocking the page. The DOM is
+ * read once, in requestIdleCallback slices, into a compact snapshot of each
+ * container's geometry, styles and text; a ScanWorker then scores it, picks
+ * the candidates and builds their table data off the main thread. Starting a
+ * scan cancels the one still running, and every scan records timing metrics.
+ */
+class ScanPipeline {
+    constructor(tableScanner, tableAnalyzer, domUtils) {
+        this.tableScanner = tableScanner;
+        this.tableAnalyzer = tableAnalyzer;
+        this.domUtils = domUtils;
+        this.workerScripts = ['modules/Utils.js', 'modules/TableAnalyzer.js', 'modules/TableScanner.js', 'modules/ScanWorker.js'];
+        this.workerPromise = null;
+        this.pageEngine = null;
+        this.pending = new Map();
+        this.scanCount = 0;
+        this.currentScan = null;
+        this.lastMetrics = null;
+        this.idleTimeout = 200;
+        // Slices get at least this long even when the browser reports no idle time.
+        this.minSliceMs = 4;
+    }
+
+    get isScanning() {
+        return this.currentScan !== null;
+    }
+
+    /**
+     * Stops the running scan, whose run() then resolves null. Returns false
+     * when no scan was running.
+     */
+    cancel() {
+        const scan = this.currentScan;
+        if (!scan) return false;
+        scan.cancelled = true;
+        this.currentScan = null;
+        if (scan.worker) {
+            scan.worker.postMessage({ type: 'cancel', scanId: scan.id });
+        } else if (scan.inPage) {
+            this.pageEngine.cancel(scan.id);
+        }
+
+        const pending = this.pending.get(scan.id);
+        if (pending) {
+            this.pending.delete(scan.id);
+            pending.resolve(null);
+        }
+        return true;
+    }
+
+    /**
+     * Finds the implicit tables on the page, like TableScanner.findImplicitTablesWithReport,
+     * but with table data already built for each candidate. Resolves
+     * { candidates, rejected, metrics }, or null when the scan was cancelled.
+     */
+    async run() {
+        this.cancel();
+        const scan = { id: ++this.scanCount, cancelled: false, worker: null, inPage: false };
+        this.currentScan = scan;
+        try {
+            const started = performance.now();
+            const metrics = { mode: 'worker', containers: 0, snapshotted: 0, slices: 0, snapshotBusyMs: 0 };
+
+            const { elements, snapshots } = await this.takeSnapshot(scan, metrics);
+            if (scan.cancelled) return null;
+            metrics.snapshotMs = performance.now() - started;
+
+            const analysisStarted = performance.now();
+            const result = await this.analyze(scan, snapshots, metrics);
+            if (!result || scan.cancelled) return null;
+
+            Object.assign(metrics, result.metrics, {
+                analysisMs: performance.now() - analysisStarted,
+                totalMs: performance.now() - started,
+                candidates: result.candidates.length,
+                rejected: result.rejected.length
+            });
+            this.lastMetrics = metrics;
+
+            return {
+                candidates: result.candidates.map(candidate => ({ ...candidate, element: elements[candidate.element] })),
+                rejected: result.rejected.map(candidate => ({
+                    ...candidate,
+                    element: elements[candidate.element],
+                    overlappedBy: candidate.overlappedBy !== undefined ? elements[candidate.overlappedBy] : undefined,
+                    duplicateOf: candidate.duplicateOf !== undefined ? elements[candidate.duplicateOf] : undefined
+                })),
+                metrics
+            };
+        } finally {
+            // A failed scan must not look like it is still running.
+            if (this.currentScan === scan) this.currentScan = null;
+        }
+    }
+
+    async takeSnapshot(scan, metrics) {
+        const containers = Array.from(this.tableScanner.getCandidateContainers());
+        metrics.containers = containers.length;
+        const elements = [];
+        const snapshots = [];
+        // Enclosing containers of the current one, to record each snapshot's parent.
+        const ancestors = [];
+
+        let position = 0;
+        while (position < containers.length) {
+            const deadline = await this.waitForIdle();
+            if (scan.cancelled) break;
+
+            const sliceStarted = performance.now();
+            const sliceEnd = sliceStarted + Math.max(deadline.timeRemaining(), this.minSliceMs);
+            metrics.slices++;
+            do {
+                const container = containers[position++];
+                const snapshot = this.snapshotContainer(container, ancestors, elements.length);
+                if (snapshot) {
+                    elements.push(container);
+                    snapshots.push(snapshot);
+                }
+            } while (position < containers.length && performance.now() < sliceEnd);
+            metrics.snapshotBusyMs += performance.now() - sliceStarted;
+        }
+
+        metrics.snapshotted = snapshots.length;
+        return { elements, snapshots };
+    }
+
+    snapshotContainer(container, ancestors, index) {
+        // Skip CognitoTable's own overlays.
+        if (this.domUtils.closestDeep(container, '[data-cognito-ignore]')) return null;
+        if (!this.domUtils.isVisibleElement(container)) return null;
+        const children = this.domUtils.getComposedChildren(container);
+        if (children.length < 2) return null;
+
+        while (ancestors.length > 0 && !this.domUtils.containsDeep(ancestors[ancestors.length - 1].element, container)) ancestors.pop();
+        const parent = ancestors.length > 0 ? ancestors[ancestors.length - 1].index : -1;
+        ancestors.push({ element: container, index });
+
+        return {
+            index,
+            parent,
+            ...this.tableScanner.snapshotContainer(container, children),
+            firstChildLooksLikeHeader: this.tableAnalyzer.looksLikeHeader(children[0])
+        };
+    }
+
+    waitForIdle() {
+        return new Promise(resolve => {
+            if (typeof requestIdleCallback === 'function') {
+                requestIdleCallback(resolve, { timeout: this.idleTimeout });
+                return;
+            }
+            setTimeout(() => {
+                const start = performance.now();
+                resolve({ didTimeout: false, timeRemaining: () => Math.max(0, 10 - (performance.now() - start)) });
+            }, 0);
+        });
+    }
+
+    async analyze(scan, snapshots, metrics) {
+        const request = {
+            type: 'scan',
+            scanId: scan.id,
+            containers: snapshots,
+            settings: {
+                scanner: {
+                    scoreWeights: this.tableScanner.scoreWeights,
+                    confidenceThreshold: this.tableScanner.confidenceThreshold,
+                    nearMissFloor: this.tableScanner.nearMissFloor,
+                    maxImplicitTables: this.tableScanner.maxImplicitTables
+                },
+                locale: this.tableAnalyzer.getPageLocale()
+            }
+        };
+
+        const worker = await this.getWorker();
+        if (scan.cancelled) return null;
+        if (!worker) {
+            scan.inPage = true;
+            return this.analyzeInPage(request, metrics);
+        }
+
+        scan.worker = worker;
+        return new Promise((resolve, reject) => {
+            this.pending.set(scan.id, { resolve, reject, request, metrics });
+            worker.postMessage(request);
+        });
+    }
+
+    analyzeInPage(request, metrics) {
+        metrics.mode = 'main-thread';
+        if (!this.pageEngine) this.pageEngine = new ScanWorker(() => this.waitForIdle());
+        return this.pageEngine.scan(request);
+    }
+
+    getWorker() {
+        if (!this.workerPromise) {
+            this.workerPromise = this.createWorker().catch(error => {
+                console.warn('CognitoTable: Scan worker unavailable, analyzing on the main thread:', error.message);
+                return null;
+            });
+        }
+        return this.workerPromise;
+    }
+
+    /**
+     * Content scripts cannot start a worker from an extension URL, so the
+     * worker is built from the module sources as a blob.
+     */
+    async createWorker() {
+        const sources = await Promise.all(this.workerScripts.map(async path => {
+            const response = await fetch(chrome.runtime.getURL(path));
+            return response.text();
+        }));
+        const url = URL.createObjectURL(new Blob([sources.join('\n;\n')], { type: 'text/javascript' }));
+        const worker = new Worker(url);
+        worker.onmessage = (event) => this.handleWorkerMessage(event.data);
+        worker.onerror = (event) => this.handleWorkerFailure(event.message || 'worker error');
+        return worker;
+    }
+
+    handleWorkerMessage(message) {
+        const pending = this.pending.get(message.scanId);
+        if (!pending) return;
+        this.pending.delete(message.scanId);
+        if (message.type === 'result') {
+            pending.resolve(message.result);
+        } else {
+            pending.reject(new Error(message.error));
+        }
+    }
+
+    /**
+     * Pages whose CSP forbids blob: workers only report it through an error
+     * event. Scans waiting on the worker are finished in the page instead.
+     */
+    handleWorkerFailure(reason) {
+        console.warn('CognitoTable: Scan worker failed, analyzing on the main thread:', reason);
+        this.workerPromise = Promise.resolve(null);
+        const waiting = Array.from(this.pending.values());
+        this.pending.clear();
+        waiting.forEach(pending => {
+            this.analyzeInPage(pending.request, pending.metrics).then(pending.resolve, pending.reject);
+        });
+    }
+}
@@ -0,0 +1,122 @@
+/**
+ * @author : Zahir
+ * Desc : The DOM-free half of a page scan. Takes the container snapshots made
+ * by ScanPipeline and does the scoring, candidate selection, cell extraction,
+ * type inference and de-duplication. Runs in a Web Worker built from this file,
+ * Utils, TableAnalyzer and TableScanner, or in the page itself when the site's
+ * Content-Security-Policy does not allow the worker.
+ */
+class ScanWorker {
+    /**
+     * @param {function(): Promise} yieldControl - called between slices of work so
+     *        cancel messages (or, in the page, user input) get a chance to run.
+     */
+    constructor(yieldControl = () => new Promise(resolve => setTimeout(resolve, 0))) {
+        this.tableAnalyzer = new TableAnalyzer(null);
+        this.tableScanner = new TableScanner(null, this.tableAnalyzer);
+        this.yieldControl = yieldControl;
+        this.cancelled = new Set();
+        this.sliceMs = 12;
+    }
+
+    cancel(scanId) {
+        this.cancelled.add(scanId);
+    }
+
+    /**
+     * @param {object} request - { scanId, containers, settings } as sent by ScanPipeline.
+     *        Each container has an `index` and the `parent` index of the nearest
+     *        enclosing container (-1 for none).
+     * @returns {Promise<object|null>} { candidates, rejected, metrics }, or null when cancelled.
+     */
+    async scan(request) {
+        const started = performance.now();
+        const { scanner, locale } = request.settings;
+        Object.assign(this.tableScanner, scanner);
+        const containers = new Map(request.containers.map(container => [container.index, container]));
+
+        const scored = [];
+        let sliceStarted = performance.now();
+        for (const container of request.containers) {
+            if (performance.now() - sliceStarted > this.sliceMs) {
+                await this.yieldControl();
+                if (this.isCancelled(request.scanId)) return null;
+                sliceStarted = performance.now();
+            }
+            const analysis = this.tableScanner.scoreSnapshot(container);
+            scored.push({ element: container.index, confidence: analysis.confidence, breakdown: analysis.breakdown });
+        }
+        const scoreMs = performance.now() - started;
+
+        const contains = (outer, inner) => {
+            for (let parent = containers.get(inner.element).parent; parent !== -1; parent = containers.get(parent).parent) {
+                if (parent === outer.element) return true;
+            }
+            return false;
+        };
+        const { candidates, rejected } = this.tableScanner.selectCandidates(scored, contains);
+
+        const extractStarted = performance.now();
+        const accepted = [];
+        const seenContent = new Map();
+        for (const candidate of candidates) {
+            await this.yieldControl();
+            if (this.isCancelled(request.scanId)) return null;
+
+            const container = containers.get(candidate.element);
+            const cellRows = this.tableAnalyzer.projectColumns(container.layoutRows);
+            const firstRowIsHeader = cellRows.length > 0 && cellRows[0].length > 0 && container.firstChildLooksLikeHeader;
+            const data = this.tableAnalyzer.buildImplicitTableData(cellRows, firstRowIsHeader, locale);
+            if (data.rows.length <= 1) {
+                rejected.push({ ...candidate, reason: 'too-few-rows', rowCount: data.rows.length });
+                continue;
+            }
+
+            const signature = Utils.createTableContentSignature(data);
+            if (seenContent.has(signature)) {
+                rejected.push({ ...candidate, reason: 'duplicate', duplicateOf: seenContent.get(signature) });
+                continue;
+            }
+            seenContent.set(signature, candidate.element);
+            accepted.push({ ...candidate, data });
+        }
+        this.cancelled.delete(request.scanId);
+
+        return {
+            candidates: accepted,
+            rejected,
+            metrics: {
+                scoreMs,
+                extractMs: performance.now() - extractStarted,
+                workerMs: performance.now() - started
+            }
+        };
+    }
+
+    isCancelled(scanId) {
+        if (!this.cancelled.has(scanId)) return false;
+        this.cancelled.delete(scanId);
+        return true;
+    }
+}
+
+// Inside the worker, answer ScanPipeline's messages.
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+    const engine = new ScanWorker();
+    self.onmessage = async (event) => {
+        const message = event.data;
+        switch (message.type) {
+            case 'cancel':
+                engine.cancel(message.scanId);
+                break;
+            case 'scan':
+                try {
+                    const result = await engine.scan(message);
+                    if (result) self.postMessage({ type: 'result', scanId: message.scanId, result });
+                } catch (error) {
+                    self.postMessage({ type: 'error', scanId: message.scanId, error: error.message });
+                }
+                break;
+        }
+    };
+}
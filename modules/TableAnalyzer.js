@@ -7,54 +7,103 @@
             this.domUtils = domUtils;
         }
 
-        async analyzeExplicitTable(table) {
-            const data = { headers: [], rows: [], columnTypes: [] };
-            const allRows = Array.from(table.querySelectorAll('tr'));
-            if (allRows.length === 0) return data;
+        /**
+         * Extracts an HTML <table> through a span-aware cell grid.
+         * options.spanMode: 'repeat' copies a spanned value into every covered cell,
+         * 'blank' leaves covered cells empty. Spans found in the body are listed in
+         * data.spans using row/column indices of data.rows.
+         * Header and body rows share one grid, so a header cell whose rowspan
+         * reaches into the body still takes up its column there.
+         */
+        async analyzeExplicitTable(table, options = {}) {
+            const spanMode = options.spanMode === 'blank' ? 'blank' : 'repeat';
+            const data = { headers: [], rows: [], columnTypes: [], spans: [], spanMode };
+            const { headerRows: headerRowElements, bodyRows: bodyRowElements } = this.splitHeaderRows(table);
+            if (headerRowElements.length === 0 && bodyRowElements.length === 0) return data;
+
+            // Step 3: Lay all rows out on one grid so rowspan/colspan cells no longer
+            // push later cells into the wrong column.
+            const headerCount = headerRowElements.length;
+            const grid = this.buildCellGrid([...headerRowElements, ...bodyRowElements]);
+
+            // Step 4: Process the header rows into the final header data. The raw
+            // header rows are kept so Teach & Refine can relabel them.
+            if (headerCount > 0) {
+                const headerGrid = grid.slice(0, headerCount);
+                data.headers = this.generateFinalHeaders(headerGrid);
+                data.headerRows = headerGrid.map(gridRow => gridRow.map(cell => cell ? cell.text : ''));
+            }
+
+            // Body rows without text are left out, so spans are counted in the rows
+            // that are kept. Slots covered by a header cell stay empty.
+            const keptRows = new Map();
+            grid.slice(headerCount).forEach((gridRow, index) => {
+                const cells = gridRow.map(cell => cell && cell.originRow >= headerCount ? cell : null);
+                if (!cells.some(cell => cell && cell.text.length > 0)) return;
+
+                keptRows.set(headerCount + index, data.rows.length);
+                data.rows.push(cells.map(cell => {
+                    if (!cell) return '';
+                    return cell.isSpanOrigin || spanMode === 'repeat' ? cell.text : '';
+                }));
+            });
+            keptRows.forEach((rowIndex, gridIndex) => {
+                grid[gridIndex].forEach((cell, colIndex) => {
+                    if (!cell || !cell.isSpanOrigin) return;
+                    let rowspan = 0;
+                    for (let r = gridIndex; r < gridIndex + cell.rowspan; r++) {
+                        if (keptRows.has(r)) rowspan++;
+                    }
+                    if (rowspan > 1 || cell.colspan > 1) {
+                        data.spans.push({ row: rowIndex, col: colIndex, rowspan, colspan: cell.colspan });
+                    }
+                });
+            });
+
+            // Step 5: If after all that, we have no headers but we do have rows, generate generic headers.
+            if (data.headers.length === 0 && data.rows.length > 0) {
+                data.headers = Array.from({ length: grid[0].length }, (_, i) => `Column ${i + 1}`);
+            }
 
-            let headerRowElements = [];
-            let bodyRowElements = [];
+            data.locale = this.getPageLocale();
+            data.columnTypes = this.inferColumnTypes(data.rows, data.locale);
+            return data;
+        }
 
+        /**
+         * Splits the <tr> elements of a table into header and body rows.
+         */
+        splitHeaderRows(table) {
+            const allRows = Array.from(table.querySelectorAll('tr'));
             const thead = table.querySelector('thead');
             if (thead) {
                 // Case A: A <thead> exists. Trust it as the definitive source of headers.
-                headerRowElements = Array.from(thead.querySelectorAll('tr'));
-                
+                const headerRows = Array.from(thead.querySelectorAll('tr'));
+
                 // Define body rows as any row that is NOT in the set of header rows.
                 // This is the most robust way to handle malformed tables that might
                 // have other tags mixed in.
-                const headerSet = new Set(headerRowElements);
-                bodyRowElements = allRows.filter(row => !headerSet.has(row));
-            } else {
-                // Case B: No <thead>. Use heuristics to find the header/body split point.
-                // Slicing the array is the cleanest and most direct way to ensure the
-                // two sets of rows are mutually exclusive.
-                const headerRowsEnd = this.detectHeaderRowsEnd(allRows);
-                headerRowElements = allRows.slice(0, headerRowsEnd);
-                bodyRowElements = allRows.slice(headerRowsEnd);
-            }
-
-            // Step 3: Process the identified header rows into the final header data.
-            if (headerRowElements.length > 0) {
-                data.headers = this.processMultiLevelHeaders(headerRowElements);
+                const headerSet = new Set(headerRows);
+                return { headerRows, bodyRows: allRows.filter(row => !headerSet.has(row)) };
             }
 
-            // Step 4: Process the identified body rows into the final row data.
-            bodyRowElements.forEach(row => {
-                const cells = Array.from(row.querySelectorAll('td, th')).map(cell => this.extractCellText(cell));
-                if (cells.some(cell => cell.trim().length > 0)) {
-                    data.rows.push(cells);
-                }
-            });
+            // Case B: No <thead>. Use heuristics to find the header/body split point.
+            // Slicing the array is the cleanest and most direct way to ensure the
+            // two sets of rows are mutually exclusive.
+            const headerRowsEnd = this.detectHeaderRowsEnd(allRows);
+            return { headerRows: allRows.slice(0, headerRowsEnd), bodyRows: allRows.slice(headerRowsEnd) };
+        }
 
-            // Step 5: If after all that, we have no headers but we do have rows, generate generic headers.
-            if (data.headers.length === 0 && data.rows.length > 0) {
-                const columnCount = Math.max(...data.rows.map(row => row.length));
-                data.headers = Array.from({ length: columnCount }, (_, i) => `Column ${i + 1}`);
-            }
+        getRowCells(row) {
+            return Array.from(row.cells || row.querySelectorAll('td, th'));
+        }
 
-            data.columnTypes = this.inferColumnTypes(data.rows);
-            return data;
+        getCellSpan(cell, attribute, remainingRows, groupRows = remainingRows) {
+            const value = parseInt(cell.getAttribute(attribute) || '1', 10);
+            // rowspan="0" stretches the cell to the end of its row group.
+            if (attribute === 'rowspan' && value === 0) return Math.max(1, groupRows);
+            if (isNaN(value) || value < 1) return 1;
+            return Math.min(value, attribute === 'colspan' ? 1000 : remainingRows);
         }
 
         detectHeaderRowsEnd(rows) {
@@ -65,8 +114,10 @@
                 if (cells.length === 0) continue;
 
                 const hasThCells = cells.some(cell => cell.tagName.toLowerCase() === 'th');
-                const hasSpans = cells.some(cell => parseInt(cell.getAttribute('colspan') || '1') > 1 || parseInt(cell.getAttribute('rowspan') || '1') > 1);
                 const nonNumericCells = cells.filter(cell => !/^-?[\d,]+(\.\d+)?$/.test(this.extractCellText(cell).trim().replace(/[,\s]/g, '')));
+                // A rowspan next to numeric cells usually groups body rows rather than headers.
+                const hasSpans = cells.some(cell => parseInt(cell.getAttribute('colspan') || '1') > 1) ||
+                    (nonNumericCells.length === cells.length && cells.some(cell => parseInt(cell.getAttribute('rowspan') || '1') > 1));
                 const isHeaderLike = hasThCells || hasSpans || (nonNumericCells.length > cells.length * 0.7);
 
                 if (isHeaderLike) {
@@ -84,50 +135,48 @@
             return headerRowsCount;
         }
 
-        processMultiLevelHeaders(headerRows) {
-            if (headerRows.length === 0) return [];
-            const grid = this.buildHeaderGrid(headerRows);
-            return this.generateFinalHeaders(grid);
-        }
-
-        buildHeaderGrid(headerRows) {
-            const grid = [];
-            let maxCols = 0;
-
-            headerRows.forEach(row => {
-                let colCount = 0;
-                Array.from(row.querySelectorAll('td, th')).forEach(cell => {
-                    colCount += parseInt(cell.getAttribute('colspan') || '1');
-                });
-                maxCols = Math.max(maxCols, colCount);
-            });
-
-            for (let r = 0; r < headerRows.length; r++) {
-                grid[r] = new Array(maxCols).fill(null);
+        /**
+         * Places every cell of the given rows on a rectangular grid, honouring
+         * rowspan/colspan. Covered slots reference the same text as their origin
+         * cell; slots no cell reaches are null.
+         */
+        buildCellGrid(rows) {
+            const grid = rows.map(() => []);
+            // Index of the last row in each row's group (thead, tbody or tfoot).
+            const groupEnd = [];
+            for (let i = rows.length - 1; i >= 0; i--) {
+                groupEnd[i] = i + 1 < rows.length && rows[i + 1].parentNode === rows[i].parentNode ? groupEnd[i + 1] : i;
             }
 
-            headerRows.forEach((row, rowIndex) => {
+            rows.forEach((row, rowIndex) => {
                 let colIndex = 0;
-                Array.from(row.querySelectorAll('td, th')).forEach(cell => {
-                    while (colIndex < maxCols && grid[rowIndex][colIndex] !== null) {
+                this.getRowCells(row).forEach(cell => {
+                    while (grid[rowIndex][colIndex]) {
                         colIndex++;
                     }
-                    if (colIndex >= maxCols) return;
 
-                    const colspan = parseInt(cell.getAttribute('colspan') || '1');
-                    const rowspan = parseInt(cell.getAttribute('rowspan') || '1');
+                    const colspan = this.getCellSpan(cell, 'colspan', Infinity);
+                    const rowspan = this.getCellSpan(cell, 'rowspan', rows.length - rowIndex, groupEnd[rowIndex] - rowIndex + 1);
                     const text = this.extractCellText(cell).trim();
 
-                    for (let r = 0; r < rowspan && rowIndex + r < grid.length; r++) {
-                        for (let c = 0; c < colspan && colIndex + c < maxCols; c++) {
-                            grid[rowIndex + r][colIndex + c] = { text, isSpanOrigin: r === 0 && c === 0 };
+                    for (let r = 0; r < rowspan; r++) {
+                        for (let c = 0; c < colspan; c++) {
+                            grid[rowIndex + r][colIndex + c] = {
+                                text,
+                                isSpanOrigin: r === 0 && c === 0,
+                                originRow: rowIndex,
+                                originCol: colIndex,
+                                rowspan,
+                                colspan
+                            };
                         }
                     }
                     colIndex += colspan;
                 });
             });
 
-            return grid;
+            const width = grid.reduce((max, gridRow) => Math.max(max, gridRow.length), 0);
+            return grid.map(gridRow => Array.from({ length: width }, (_, col) => gridRow[col] || null));
         }
 
         generateFinalHeaders(grid) {
@@ -155,20 +204,29 @@
         }
 
         async analyzeImplicitTable(container) {
-            const data = { headers: [], rows: [], columnTypes: [] };
-            const children = Array.from(container.children);
-
+            const children = this.domUtils.getComposedChildren(container);
             if (children.length === 0) return null;
 
-            let headerDetected = false;
             const sortedChildren = children.sort((a, b) => this.domUtils.calculateDOMPosition(a, container) - this.domUtils.calculateDOMPosition(b, container));
+            const cellRows = this.projectColumns(this.measureImplicitRows(container, sortedChildren));
+            const firstRowIsHeader = cellRows.length > 0 && cellRows[0].length > 0 && this.looksLikeHeader(sortedChildren[0]);
+            return this.buildImplicitTableData(cellRows, firstRowIsHeader, this.getPageLocale());
+        }
 
-            sortedChildren.forEach((child, index) => {
-                const cells = this.extractCellsFromElement(child);
+        /**
+         * Table data from the cells of each child of an implicit table. Needs no
+         * DOM, so the scan worker builds tables with it too.
+         */
+        buildImplicitTableData(cellRows, firstRowIsHeader, locale) {
+            const data = { headers: [], rows: [], columnTypes: [] };
+            let headerDetected = false;
+
+            cellRows.forEach((cells, index) => {
                 if (cells.length === 0) return;
 
-                if (index === 0 && this.looksLikeHeader(child)) {
+                if (index === 0 && firstRowIsHeader) {
                     data.headers = cells;
+                    data.headerRows = [cells];
                     headerDetected = true;
                 } else {
                     data.rows.push(cells);
@@ -176,15 +234,264 @@
             });
 
             if (!headerDetected && data.rows.length > 0) {
-                const columnCount = Math.max(...data.rows.map(row => row.length));
+                const columnCount = data.rows.reduce((max, row) => Math.max(max, row.length), 0);
                 data.headers = Array.from({ length: columnCount }, (_, i) => `Column ${i + 1}`);
             }
 
-            data.columnTypes = this.inferColumnTypes(data.rows);
+            data.locale = locale;
+            data.columnTypes = this.inferColumnTypes(data.rows, data.locale);
             return data;
         }
 
+        /**
+         * The cells of each row of an implicit table with their horizontal extent
+         * on screen. When the container itself is a CSS grid, its children are the
+         * cells and are grouped into rows by their grid placement.
+         * @returns {Array<Array<{text: string, left: number, right: number, column: (number|undefined)}>>}
+         */
+        measureImplicitRows(container, children) {
+            const gridTracks = this.getGridTracks(container);
+            return gridTracks ? this.placeGridItems(children, gridTracks) : children.map(child => this.measureRowCells(child));
+        }
+
+        /**
+         * The cells of one row, each with the left and right edge of its box.
+         * Items of a display:grid row also get their grid column.
+         */
+        measureRowCells(row) {
+            const gridTracks = this.getGridTracks(row);
+            if (gridTracks) {
+                return this.domUtils.getComposedChildren(row)
+                    .filter(item => window.getComputedStyle(item).display !== 'none')
+                    .map(item => ({ text: this.extractCellText(item), ...this.measureBox(item), column: this.getGridColumn(item, gridTracks) }))
+                    .filter(cell => cell.text.trim());
+            }
+            return this.locateCellsInElement(row).map(cell => ({ text: cell.text, ...this.measureBox(this.findCellBox(cell.node, row)) }));
+        }
+
+        /**
+         * Groups the items of a grid container into rows: by their explicit row
+         * line, or else a new row starts whenever the column does not move right.
+         */
+        placeGridItems(items, gridTracks) {
+            const rows = [];
+            let current = null;
+            let lastColumn = Infinity;
+            let lastRowLine = null;
+            items.forEach(item => {
+                const style = window.getComputedStyle(item);
+                if (style.display === 'none') return;
+                const column = this.getGridColumn(item, gridTracks, style);
+                const rowLine = parseInt(style.gridRowStart, 10);
+                const startsRow = rowLine > 0 ? rowLine !== lastRowLine : column <= lastColumn;
+                if (!current || startsRow) {
+                    current = [];
+                    rows.push(current);
+                }
+                lastColumn = column;
+                lastRowLine = rowLine;
+
+                const text = this.extractCellText(item);
+                if (text.trim()) current.push({ text, ...this.measureBox(item), column });
+            });
+            return rows;
+        }
+
+        /**
+         * The column tracks of a display:grid element as on-screen ranges, from
+         * its computed grid-template-columns. Null for other elements and for
+         * grids with a single column.
+         */
+        getGridTracks(element) {
+            const style = window.getComputedStyle(element);
+            if (!/grid/.test(style.display || '')) return null;
+            // Computed values list every track in px; line names are in brackets.
+            const tokens = (style.gridTemplateColumns || '').replace(/\[[^\]]*\]/g, ' ').trim().split(/\s+/).filter(Boolean);
+            if (tokens.length < 2 || !tokens.every(token => /^-?[\d.]+px$/.test(token))) return null;
+
+            const gap = parseFloat(style.columnGap) || 0;
+            let left = element.getBoundingClientRect().left + (parseFloat(style.borderLeftWidth) || 0) + (parseFloat(style.paddingLeft) || 0);
+            return tokens.map(token => {
+                const track = { left, right: left + parseFloat(token) };
+                left = track.right + gap;
+                return track;
+            });
+        }
+
+        /**
+         * Zero-based grid column of a grid item: its explicit grid-column-start
+         * line, or for auto-placed items the track its box starts in.
+         */
+        getGridColumn(item, gridTracks, style = window.getComputedStyle(item)) {
+            const line = parseInt(style.gridColumnStart, 10);
+            const last = gridTracks.length - 1;
+            if (line > 0) return Math.min(line - 1, last);
+            // Negative lines count from the end; -1 is the line after the last track.
+            if (line < 0) return Math.max(0, Math.min(gridTracks.length + 1 + line, last));
+
+            const left = item.getBoundingClientRect().left;
+            let nearest = 0;
+            gridTracks.forEach((track, index) => {
+                if (Math.abs(track.left - left) < Math.abs(gridTracks[nearest].left - left)) nearest = index;
+            });
+            return nearest;
+        }
+
+        /**
+         * The box a cell occupies: the outermost element inside the row that holds
+         * nothing but the cell's text, so a short value in a wide cell still spans
+         * its column. Text nodes directly in the row are their own box.
+         */
+        findCellBox(node, row) {
+            const normalize = value => value.replace(/\s+/g, ' ').trim();
+            const text = normalize(this.domUtils.getComposedText(node));
+            let box = node;
+            for (let element = this.domUtils.getParentDeep(node); element && element !== row && this.domUtils.containsDeep(row, element); element = this.domUtils.getParentDeep(element)) {
+                if (normalize(this.domUtils.getComposedText(element)) !== text) break;
+                box = element;
+            }
+            return box;
+        }
+
+        measureBox(node) {
+            let rect = null;
+            if (node.nodeType === Node.TEXT_NODE) {
+                const range = document.createRange();
+                range.selectNodeContents(node);
+                if (typeof range.getBoundingClientRect === 'function') rect = range.getBoundingClientRect();
+            } else {
+                rect = node.getBoundingClientRect();
+            }
+            return rect
+                ? { left: rect.left, right: rect.right, top: rect.top, bottom: rect.bottom }
+                : { left: 0, right: 0, top: 0, bottom: 0 };
+        }
+
+        /**
+         * Lays the measured cells of each row out on shared columns. Grid items keep
+         * their grid column. Other cells go to column bands clustered from the
+         * x-ranges of the cells in all rows, so a missing value leaves an empty cell
+         * instead of shifting the rest of its row left. Cells stacked in one band
+         * (a label above its value) get a column each. Needs no DOM, so the scan
+         * worker uses it too. Without geometry (e.g. hidden rows) the cells stay in
+         * reading order.
+         * @returns {string[][]} one array per row; rows without cells stay empty.
+         */
+        projectColumns(rows) {
+            const cells = rows.flat();
+            if (cells.every(cell => Number.isInteger(cell.column))) {
+                return this.placeInColumns(rows, cell => cell.column);
+            }
+            if (!cells.some(cell => cell.right > cell.left)) {
+                return rows.map(row => row.map(cell => cell.text));
+            }
+            const bands = this.findColumnBands(rows);
+            const slots = new Map();
+            rows.forEach(row => {
+                const levels = this.findStackLevels(row);
+                row.forEach((cell, index) => slots.set(cell, { band: this.findColumnBand(bands, cell), level: levels[index] }));
+            });
+            // One column per band and stack level, in band order.
+            const keys = Array.from(new Set(Array.from(slots.values()).map(slot => `${slot.band}:${slot.level}`)))
+                .map(key => key.split(':').map(Number))
+                .sort((a, b) => a[0] - b[0] || a[1] - b[1])
+                .map(([band, level]) => `${band}:${level}`);
+            return this.placeInColumns(rows, cell => keys.indexOf(`${slots.get(cell).band}:${slots.get(cell).level}`));
+        }
+
+        /**
+         * Clusters the x-ranges of the cells into bands, starting with the row with
+         * the most cells: a cell overlapping no band adds one, a cell overlapping a
+         * single band widens it. Cells overlapping several bands span columns and
+         * leave the bands as they are.
+         */
+        findColumnBands(rows) {
+            const hasWidth = cell => cell.right > cell.left;
+            const widest = rows.reduce((best, row) => row.filter(hasWidth).length > best.filter(hasWidth).length ? row : best, []);
+            const bands = [];
+
+            [widest, ...rows.filter(row => row !== widest)].forEach(row => {
+                row.filter(hasWidth).forEach(cell => {
+                    const overlapping = bands.filter(band => this.getOverlap(band, cell) > 0);
+                    if (overlapping.length === 0) {
+                        bands.push({ left: cell.left, right: cell.right });
+                    } else if (overlapping.length === 1) {
+                        overlapping[0].left = Math.min(overlapping[0].left, cell.left);
+                        overlapping[0].right = Math.max(overlapping[0].right, cell.right);
+                    }
+                });
+            });
+            return bands.sort((a, b) => a.left - b.left);
+        }
+
+        /**
+         * The band a cell overlaps most, or the nearest one for cells without width.
+         */
+        findColumnBand(bands, cell) {
+            const center = (cell.left + cell.right) / 2;
+            const score = band => {
+                const overlap = this.getOverlap(band, cell);
+                return overlap > 0 ? overlap : -Math.abs((band.left + band.right) / 2 - center);
+            };
+            let best = 0;
+            bands.forEach((band, index) => {
+                if (score(band) > score(bands[best])) best = index;
+            });
+            return best;
+        }
+
+        /**
+         * How many cells of the row sit above each cell in the same x-range, so
+         * that stacked cells (a label over its value, the lines of a card) do not
+         * end up joined in one column. Cells side by side are level 0.
+         */
+        findStackLevels(row) {
+            const isAbove = (upper, lower) => Number.isFinite(upper.bottom) && Number.isFinite(lower.top) &&
+                upper.bottom <= lower.top && this.getOverlap(upper, lower) > 0;
+            const levels = new Array(row.length).fill(0);
+            const order = row.map((cell, index) => index).sort((a, b) => (row[a].top || 0) - (row[b].top || 0));
+            order.forEach((index, position) => {
+                order.slice(0, position).forEach(other => {
+                    if (isAbove(row[other], row[index])) levels[index] = Math.max(levels[index], levels[other] + 1);
+                });
+            });
+            return levels;
+        }
+
+        getOverlap(a, b) {
+            return Math.min(a.right, b.right) - Math.max(a.left, b.left);
+        }
+
+        /**
+         * Builds rows of equal length from cells with a column index. Cells sharing
+         * a column (say a value and its unit) are joined with a space.
+         */
+        placeInColumns(rows, getColumn) {
+            let columnCount = 0;
+            const placed = rows.map(row => row.map(cell => {
+                const column = getColumn(cell);
+                columnCount = Math.max(columnCount, column + 1);
+                return { text: cell.text, column };
+            }));
+            return placed.map(row => {
+                if (row.length === 0) return [];
+                const values = new Array(columnCount).fill('');
+                row.forEach(cell => {
+                    values[cell.column] = values[cell.column] ? `${values[cell.column]} ${cell.text}` : cell.text;
+                });
+                return values;
+            });
+        }
+
         extractCellsFromElement(element) {
+            return this.locateCellsInElement(element).map(cell => cell.text);
+        }
+
+        /**
+         * The cells of extractCellsFromElement together with the node each came
+         * from (a text node, a leaf element or the row element itself).
+         */
+        locateCellsInElement(element) {
             const directTextCells = this.extractDirectTextNodes(element);
             if (directTextCells.length > 0) return directTextCells;
 
@@ -192,23 +499,21 @@
             if (structuredCells.length > 0) return structuredCells;
 
             const fallbackText = this.extractCellText(element);
-            return fallbackText.trim() ? [fallbackText] : [];
+            return fallbackText.trim() ? [{ node: element, text: fallbackText }] : [];
         }
 
+        /**
+         * Text nodes below the element in rendered order, including the content of
+         * open shadow roots and slots.
+         */
         extractDirectTextNodes(element) {
             const cells = [];
-            const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT, {
-                acceptNode: (node) => {
-                    const parent = node.parentElement;
-                    if (parent && (parent.tagName.toLowerCase() === 'script' || parent.tagName.toLowerCase() === 'style')) {
-                        return NodeFilter.FILTER_REJECT;
-                    }
-                    return node.textContent.trim() ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT;
+            this.domUtils.walkComposed(element, node => {
+                if (node.nodeType === Node.TEXT_NODE && node.textContent.trim()) {
+                    cells.push({ node, text: node.textContent.trim() });
                 }
+                return !this.domUtils.isNonContentElement(node);
             });
-            while (walker.nextNode()) {
-                cells.push(walker.currentNode.textContent.trim());
-            }
             return cells;
         }
 
@@ -216,10 +521,10 @@
             const cells = [];
             const selectors = ['span', 'div', 'p', 'td', 'th', 'li', '.cell', '.item', '.field', '.value', '.data'];
             selectors.forEach(selector => {
-                element.querySelectorAll(selector).forEach(candidate => {
-                    if (candidate.children.length === 0) {
+                this.domUtils.queryComposed(element, selector).forEach(candidate => {
+                    if (this.domUtils.getComposedChildren(candidate).length === 0) {
                         const text = this.extractCellText(candidate);
-                        if (text.trim()) cells.push(text);
+                        if (text.trim()) cells.push({ node: candidate, text });
                     }
                 });
             });
@@ -228,11 +533,11 @@
 
         extractCellText(element) {
             if (!element) return '';
-            let text = (element.textContent || '').replace(/\s+/g, ' ').trim();
-            element.querySelectorAll('a').forEach(link => {
+            let text = this.domUtils.getComposedText(element).replace(/\s+/g, ' ').trim();
+            this.domUtils.queryComposed(element, 'a').forEach(link => {
                 if (link.href && !text.includes(link.href)) text += ` [${link.href}]`;
             });
-            element.querySelectorAll('img').forEach(img => {
+            this.domUtils.queryComposed(element, 'img').forEach(img => {
                 if (img.alt && !text.includes(img.alt)) text += ` [IMG: ${img.alt}]`;
                 else if (img.src && !text.includes(img.src)) text += ` [IMG: ${img.src.split('/').pop()}]`;
             });
@@ -252,50 +557,312 @@
                    (style.backgroundColor !== 'rgba(0, 0, 0, 0)' && style.backgroundColor !== 'transparent');
         }
 
-        inferColumnTypes(rows) {
+        inferColumnTypes(rows, locale = this.getPageLocale()) {
             if (rows.length === 0) return [];
-            const maxColumns = Math.max(...rows.map(row => row.length));
+            const maxColumns = rows.reduce((max, row) => Math.max(max, row.length), 0);
             const types = [];
             for (let col = 0; col < maxColumns; col++) {
                 const values = rows.map(row => row[col] || '').filter(val => val.trim().length > 0);
-                types.push(this.inferSingleColumnType(values));
+                types.push(this.inferSingleColumnType(values, locale));
             }
             return types;
         }
 
-        inferSingleColumnType(values) {
+        /**
+         * Infers a column's type from all of its values. Number, currency and
+         * percentage detection uses the separators seen across the column, and
+         * dates are resolved to DMY/MDY/YMD from unambiguous values (a day over 12)
+         * before falling back to the page locale. Numeric and date results carry
+         * the detected locale and format pattern so later parsing is consistent.
+         */
+        inferSingleColumnType(values, locale = this.getPageLocale()) {
             if (values.length === 0) return { type: 'empty', confidence: 0 };
-            const typeTests = [
-                { type: 'number', test: /^-?\d+(\.\d+)?$/, weight: 1 },
-                { type: 'currency', test: /^[\$\€\£\¥]?\s?\d+([,\.]?\d+)*(\.\d{2})?$/, weight: 0.9 },
-                { type: 'percentage', test: /^\d+(\.\d+)?%$/, weight: 0.9 },
-                { type: 'date', test: /^\d{1,2}[\/\-]\d{1,2}[\/\-]\d{2,4}$|^\d{4}[\/\-]\d{1,2}[\/\-]\d{1,2}$/, weight: 0.9 },
-                { type: 'time', test: /^\d{1,2}:\d{2}(:\d{2})?(\s?(AM|PM))?$/i, weight: 0.8 },
-                { type: 'email', test: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, weight: 0.8 },
-                { type: 'url', test: /^https?:\/\/.+/, weight: 0.8 },
-                { type: 'phone', test: /^[\+]?[\d\s\-\(\)]+$/, weight: 0.7 },
-                { type: 'boolean', test: /^(true|false|yes|no|y|n|1|0)$/i, weight: 0.6 }
-            ];
+            const trimmed = values.map(val => val.trim());
+            const conventions = this.getLocaleConventions(locale);
+            const numberFormat = this.detectNumberFormat(trimmed, conventions);
+            const dateFormat = this.detectDateFormat(trimmed, conventions);
+            const typeTests = this.getTypeTests(numberFormat);
             let bestType = { type: 'text', confidence: 0 };
             typeTests.forEach(({ type, test, weight }) => {
-                const matches = values.filter(val => test.test(val.trim())).length;
-                const confidence = (matches / values.length) * weight;
+                const matches = trimmed.filter(val => test.test(val)).length;
+                const confidence = (matches / trimmed.length) * weight;
                 if (confidence > bestType.confidence && confidence > 0.7) {
                     bestType = { type, confidence };
                 }
             });
+
+            if (['number', 'currency', 'percentage'].includes(bestType.type)) {
+                Object.assign(bestType, {
+                    locale: this.describeNumberLocale(numberFormat, locale, conventions),
+                    decimalSeparator: numberFormat.decimalSeparator,
+                    thousandsSeparator: numberFormat.thousandsSeparator,
+                    grouping: numberFormat.grouping,
+                    pattern: this.describeNumberPattern(numberFormat)
+                });
+            } else if (bestType.type === 'date') {
+                Object.assign(bestType, {
+                    locale: this.describeDateLocale(dateFormat, locale, conventions),
+                    dateOrder: dateFormat.order,
+                    pattern: dateFormat.pattern
+                });
+            }
             return bestType;
         }
 
+        getTypeTests(numberFormat) {
+            const number = this.buildNumberPattern(numberFormat);
+            const currency = this.currencyPattern;
+            return [
+                { type: 'number', test: new RegExp(`^\\(?${number}\\)?$`), weight: 1 },
+                { type: 'currency', test: new RegExp(`^[-−]?(?:${currency})\\s?\\(?${number}\\)?$|^\\(?${number}\\)?\\s?(?:${currency})$`), weight: 0.9 },
+                { type: 'percentage', test: new RegExp(`^${number}\\s?%$`), weight: 0.9 },
+                { type: 'date', test: { test: val => this.isDateValue(val) }, weight: 0.9 },
+                { type: 'time', test: /^\d{1,2}:\d{2}(:\d{2})?(\s?(AM|PM))?$/i, weight: 0.8 },
+                { type: 'email', test: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, weight: 0.8 },
+                { type: 'url', test: /^https?:\/\/.+/, weight: 0.8 },
+                { type: 'phone', test: /^[\+]?[\d\s\-\(\)]+$/, weight: 0.7 },
+                { type: 'boolean', test: /^(true|false|yes|no|y|n|1|0)$/i, weight: 0.6 }
+            ];
+        }
+
+        /**
+         * Whether a single value fits a column type as inferred (or locked). Empty
+         * values and text columns always fit; nullability is checked separately.
+         */
+        valueMatchesType(value, column, locale = this.getPageLocale()) {
+            const text = String(value ?? '').trim();
+            if (!text || !column || column.type === 'text' || column.type === 'empty') return true;
+            const conventions = this.getLocaleConventions(locale);
+            const typeTest = this.getTypeTests({
+                decimalSeparator: column.decimalSeparator || conventions.decimalSeparator,
+                thousandsSeparator: column.thousandsSeparator || conventions.thousandsSeparator,
+                grouping: column.grouping || conventions.grouping
+            }).find(({ type }) => type === column.type);
+            return !typeTest || typeTest.test.test(text);
+        }
+
+        /**
+         * Per-column schema: the inferred type and confidence, whether the column
+         * has empty cells, and a few sample values. typeOverrides wins over the
+         * inferred type, as in the clean view.
+         */
+        describeSchema(data, typeOverrides = data.typeOverrides || {}) {
+            const columnCount = data.rows.reduce((max, row) => Math.max(max, row.length), data.headers.length);
+            return Array.from({ length: columnCount }, (_, col) => {
+                const inferred = (data.columnTypes && data.columnTypes[col]) || { type: 'text', confidence: 0 };
+                const values = data.rows.map(row => String(row[col] ?? '').trim());
+                const filled = values.filter(Boolean);
+                return {
+                    ...inferred,
+                    name: data.headers[col] || `Column ${col + 1}`,
+                    type: typeOverrides[col] || inferred.type,
+                    overridden: Boolean(typeOverrides[col]),
+                    nullable: filled.length < values.length,
+                    samples: [...new Set(filled)].slice(0, 3)
+                };
+            });
+        }
+
+        /**
+         * Classifies a single value for the scanner's homogeneity check. Without
+         * the rest of the column, numbers in any common grouping style count.
+         */
         classifyDataType(text) {
             if (!text || text.trim().length === 0) return 'empty';
             const trimmed = text.trim();
-            if (/^-?\d+(\.\d+)?$/.test(trimmed)) return 'number';
-            if (/^[\$\€\£\¥]?\s?\d+([,\.]?\d+)*(\.\d{2})?$/.test(trimmed)) return 'currency';
-            if (/^\d{1,2}[\/\-]\d{1,2}[\/\-]\d{2,4}$/.test(trimmed)) return 'date';
+            const anyNumber = this.anyNumberPattern;
+            if (new RegExp(`^\\(?${anyNumber}\\)?$`).test(trimmed)) return 'number';
+            if (new RegExp(`^[-−]?(?:${this.currencyPattern})\\s?${anyNumber}$|^${anyNumber}\\s?(?:${this.currencyPattern})$`).test(trimmed)) return 'currency';
+            if (new RegExp(`^${anyNumber}\\s?%$`).test(trimmed)) return 'number';
+            if (this.isDateValue(trimmed)) return 'date';
             if (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(trimmed)) return 'email';
             if (/^https?:\/\/.+/.test(trimmed)) return 'url';
             if (/^[\+]?[\d\s\-\(\)]+$/.test(trimmed) && trimmed.replace(/\D/g, '').length >= 10) return 'phone';
             return 'text';
         }
+
+        get currencyPattern() {
+            return '[$€£¥₹₩₽₺₪₫₱฿]|US\\$|[CAR]\\$|(?:USD|EUR|GBP|JPY|INR|CNY|CAD|AUD|NZD|CHF|SEK|NOK|DKK|PLN|CZK|HUF|BRL|MXN|ZAR|SGD|HKD|RUB|TRY|KRW|AED|SAR|Rs\\.?|kr|zł|Fr\\.)';
+        }
+
+        get anyNumberPattern() {
+            return '[-−+]?(?:\\d{1,3}(?:[,.\\s\\u00a0\\u202f\']\\d{3})+|\\d{1,2}(?:,\\d{2})+,\\d{3}|\\d+)(?:[.,]\\d+)?';
+        }
+
+        getPageLocale() {
+            if (this.pageLocale) return this.pageLocale;
+            const lang = typeof document !== 'undefined' && document.documentElement ? document.documentElement.lang : '';
+            const browserLang = typeof navigator !== 'undefined' ? navigator.language : '';
+            this.pageLocale = (lang || browserLang || 'en-US').replace('_', '-');
+            return this.pageLocale;
+        }
+
+        /**
+         * Number and date conventions implied by a BCP 47 locale tag.
+         */
+        getLocaleConventions(locale) {
+            const [language = 'en', region = ''] = locale.toLowerCase().split('-');
+            const commaDecimalLanguages = ['de', 'fr', 'es', 'it', 'pt', 'nl', 'ru', 'pl', 'cs', 'sk', 'sv', 'da', 'nb', 'nn', 'no', 'fi',
+                'tr', 'id', 'ro', 'hu', 'el', 'uk', 'bg', 'hr', 'sl', 'sr', 'lt', 'lv', 'et', 'vi', 'ca', 'az', 'kk'];
+            const spaceThousandsLanguages = ['fr', 'ru', 'pl', 'cs', 'sk', 'sv', 'nb', 'nn', 'no', 'fi', 'uk', 'bg', 'hu', 'lt', 'lv', 'et', 'kk'];
+            const isSwiss = region === 'ch' && ['de', 'fr', 'it'].includes(language);
+
+            let decimalSeparator = commaDecimalLanguages.includes(language) ? ',' : '.';
+            let thousandsSeparator = decimalSeparator === ',' ? (spaceThousandsLanguages.includes(language) ? ' ' : '.') : ',';
+            if (isSwiss) {
+                decimalSeparator = '.';
+                thousandsSeparator = '\'';
+            }
+
+            let dateOrder = 'DMY';
+            if (['ja', 'zh', 'ko', 'hu', 'lt', 'mn'].includes(language)) dateOrder = 'YMD';
+            else if (language === 'en' && (!region || ['us', 'ph'].includes(region))) dateOrder = 'MDY';
+
+            return { language, region, decimalSeparator, thousandsSeparator, dateOrder, grouping: language === 'hi' || region === 'in' ? 'indian' : 'standard' };
+        }
+
+        /**
+         * Detects the decimal/thousands separators used across a column. Values
+         * such as "1.234,56", "1 234,56" or "1,23,456" settle the question on
+         * their own; ambiguous ones like "1,234" follow the page locale.
+         */
+        detectNumberFormat(values, conventions) {
+            const votes = { '.': 0, ',': 0 };
+            const thousandsVotes = {};
+            let indianVotes = 0;
+            let fractionDigits = 0;
+            const voteThousands = sep => { thousandsVotes[sep] = (thousandsVotes[sep] || 0) + 1; };
+
+            values.forEach(value => {
+                const digits = value.replace(new RegExp(this.currencyPattern, 'g'), '').replace(/[%()\-−+]/g, '').trim().replace(/[  ]/g, ' ');
+                if (!/^[\d.,' ]+$/.test(digits) || !/\d/.test(digits)) return;
+
+                let match;
+                if ((match = digits.match(/^\d{1,2}(?:,\d{2})+,\d{3}(\.\d+)?$/))) {
+                    votes['.']++;
+                    indianVotes++;
+                    voteThousands(',');
+                } else if ((match = digits.match(/^\d{1,3}((?:,\d{3})+)(\.\d+)?$/)) && (match[2] || match[1].length > 4)) {
+                    votes['.']++;
+                    voteThousands(',');
+                } else if ((match = digits.match(/^\d{1,3}((?:\.\d{3})+)(,\d+)?$/)) && (match[2] || match[1].length > 4)) {
+                    votes[',']++;
+                    voteThousands('.');
+                } else if ((match = digits.match(/^\d{1,3}(?: \d{3})+([.,]\d+)?$/))) {
+                    if (match[1]) votes[match[1][0]]++;
+                    voteThousands(' ');
+                } else if ((match = digits.match(/^\d{1,3}(?:'\d{3})+(\.\d+)?$/))) {
+                    votes['.']++;
+                    voteThousands('\'');
+                } else if (/^\d+,\d{1,2}$|^\d+,\d{4,}$/.test(digits)) {
+                    votes[',']++;
+                } else if (/^\d+\.\d{1,2}$|^\d+\.\d{4,}$/.test(digits)) {
+                    votes['.']++;
+                }
+
+                const fraction = digits.match(/[.,](\d+)$/);
+                if (fraction && fraction[1].length !== 3) fractionDigits = Math.max(fractionDigits, fraction[1].length);
+            });
+
+            let decimalSeparator = conventions.decimalSeparator;
+            if (votes['.'] !== votes[',']) decimalSeparator = votes['.'] > votes[','] ? '.' : ',';
+
+            const observedThousands = Object.keys(thousandsVotes).sort((a, b) => thousandsVotes[b] - thousandsVotes[a])[0];
+            let thousandsSeparator = observedThousands || conventions.thousandsSeparator;
+            if (thousandsSeparator === decimalSeparator) thousandsSeparator = decimalSeparator === ',' ? '.' : ',';
+
+            const grouping = indianVotes > 0 || (conventions.grouping === 'indian' && !observedThousands) ? 'indian' : 'standard';
+            return { decimalSeparator, thousandsSeparator, grouping, fractionDigits };
+        }
+
+        buildNumberPattern(format) {
+            const escape = sep => sep === ' ' ? '[\\s\\u00a0\\u202f]' : sep.replace(/[.]/, '\\.');
+            const thousands = escape(format.thousandsSeparator);
+            const decimal = escape(format.decimalSeparator);
+            const grouped = format.grouping === 'indian'
+                ? `\\d{1,2}(?:${thousands}\\d{2})*${thousands}\\d{3}|\\d{1,3}(?:${thousands}\\d{3})+`
+                : `\\d{1,3}(?:${thousands}\\d{3})+`;
+            return `[-−+]?(?:${grouped}|\\d+)(?:${decimal}\\d+)?`;
+        }
+
+        describeNumberPattern(format) {
+            const thousands = format.thousandsSeparator === ' ' ? ' ' : format.thousandsSeparator;
+            const integer = format.grouping === 'indian' ? `#${thousands}##${thousands}##0` : `#${thousands}##0`;
+            return format.fractionDigits > 0 ? `${integer}${format.decimalSeparator}${'0'.repeat(format.fractionDigits)}` : integer;
+        }
+
+        /**
+         * Reports the page locale when it agrees with the separators found in the
+         * data, otherwise a representative locale for those separators.
+         */
+        describeNumberLocale(format, locale, conventions) {
+            if (format.decimalSeparator === conventions.decimalSeparator &&
+                (format.grouping === 'indian') === (conventions.grouping === 'indian')) {
+                return locale;
+            }
+            if (format.grouping === 'indian') return 'en-IN';
+            if (format.thousandsSeparator === '\'') return 'de-CH';
+            if (format.decimalSeparator === ',') return format.thousandsSeparator === ' ' ? 'fr-FR' : 'de-DE';
+            return 'en-US';
+        }
+
+        /**
+         * Resolves the day/month order of numeric dates in a column. A first part
+         * over 12 proves DMY, a second part over 12 proves MDY, a four-digit first
+         * part means YMD; otherwise dotted dates read as DMY and the rest follow
+         * the page locale.
+         */
+        detectDateFormat(values, conventions) {
+            let dmy = 0;
+            let mdy = 0;
+            let ymd = 0;
+            let separator = null;
+            let yearDigits = 4;
+            let namedMonths = 0;
+
+            values.forEach(value => {
+                const match = value.match(/^(\d{1,4})([./-])(\d{1,2})\2(\d{1,4})(?:[T\s].*)?$/);
+                if (!match) {
+                    if (this.isDateValue(value)) namedMonths++;
+                    return;
+                }
+                separator = separator || match[2];
+                const first = parseInt(match[1], 10);
+                const second = parseInt(match[3], 10);
+                if (match[1].length === 4) {
+                    ymd++;
+                    return;
+                }
+                yearDigits = match[4].length;
+                if (first > 12 && second <= 12) dmy++;
+                else if (second > 12 && first <= 12) mdy++;
+            });
+
+            let order = conventions.dateOrder === 'YMD' ? 'DMY' : conventions.dateOrder;
+            if (ymd > dmy + mdy) order = 'YMD';
+            else if (dmy !== mdy) order = dmy > mdy ? 'DMY' : 'MDY';
+            else if (separator === '.') order = 'DMY';
+
+            const year = yearDigits === 2 ? 'YY' : 'YYYY';
+            let pattern = 'named-month';
+            if (separator && (namedMonths === 0 || ymd + dmy + mdy > 0)) {
+                const parts = { DMY: ['DD', 'MM', year], MDY: ['MM', 'DD', year], YMD: ['YYYY', 'MM', 'DD'] }[order];
+                pattern = parts.join(separator);
+            }
+            return { order, pattern };
+        }
+
+        describeDateLocale(format, locale, conventions) {
+            if (format.order === conventions.dateOrder || (format.order === 'DMY' && conventions.dateOrder === 'YMD')) return locale;
+            if (format.order === 'MDY') return 'en-US';
+            if (format.order === 'YMD') return locale;
+            return format.pattern.includes('.') ? 'de-DE' : 'en-GB';
+        }
+
+        isDateValue(value) {
+            const months = 'jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?';
+            const numeric = /^(\d{1,2}[\/.\-]\d{1,2}[\/.\-](\d{2}|\d{4})|\d{4}[\/.\-]\d{1,2}[\/.\-]\d{1,2})(?:[T\s]\d{1,2}:\d{2}(:\d{2}(\.\d+)?)?\s?([Zz]|[+-]\d{2}:?\d{2})?)?\.?$/;
+            const named = new RegExp(`^(?:[a-z]+,?\\s+)?(?:\\d{1,2}(?:st|nd|rd|th)?\\.?\\s+(?:${months})\\.?,?\\s+\\d{2,4}|(?:${months})\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+\\d{2,4})$`, 'i');
+            return numeric.test(value) || named.test(value);
+        }
     }
\ No newline at end of file
@@ -0,0 +1,226 @@
+/**
+ * @author : Zahir
+ * Desc : Hand edits to extracted table data. Every change is a command with an
+ * inverse, kept on undo/redo stacks, and recorded in data.editLog so it is
+ * always clear which values were typed in by hand and which were extracted.
+ */
+class TableEditor {
+    /**
+     * @param {object} data - table data ({ headers, rows, columnTypes, ... }), edited in place.
+     * @param {function(object): void} onChange - called with the command after every change, undo and redo.
+     */
+    constructor(data, onChange) {
+        this.data = data;
+        this.onChange = onChange;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.maxHistory = 200;
+        if (!Array.isArray(this.data.editLog)) this.data.editLog = [];
+    }
+
+    get canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    setCell(row, column, value) {
+        const before = this.data.rows[row] ? this.data.rows[row][column] ?? '' : '';
+        if (before === value) return;
+        this.execute({ type: 'setCell', row, column, before, after: value });
+    }
+
+    setHeader(column, value) {
+        const before = this.data.headers[column] ?? '';
+        if (before === value) return;
+        this.execute({ type: 'setHeader', column, before, after: value });
+    }
+
+    insertRow(index) {
+        this.execute({ type: 'insertRow', row: index });
+    }
+
+    deleteRow(index) {
+        this.execute({ type: 'deleteRow', row: index, removed: this.data.rows[index].slice() });
+    }
+
+    insertColumn(index) {
+        this.execute({ type: 'insertColumn', column: index });
+    }
+
+    deleteColumn(index) {
+        this.execute({ type: 'deleteColumn', column: index });
+    }
+
+    execute(command) {
+        command.snapshot = this.takeColumnSnapshot();
+        this.apply(command);
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.maxHistory) this.undoStack.shift();
+        this.redoStack = [];
+        this.log(command, 'edit');
+        this.onChange(command);
+    }
+
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return;
+        this.revert(command);
+        this.redoStack.push(command);
+        this.log(command, 'undo');
+        this.onChange(command);
+    }
+
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return;
+        this.apply(command);
+        this.undoStack.push(command);
+        this.log(command, 'redo');
+        this.onChange(command);
+    }
+
+    getColumnCount() {
+        return this.data.rows.reduce((max, row) => Math.max(max, row.length), this.data.headers.length);
+    }
+
+    /**
+     * Column metadata is keyed by position, so structural edits save it whole
+     * and undo restores it rather than trying to shift it back.
+     */
+    takeColumnSnapshot() {
+        return {
+            columnTypes: (this.data.columnTypes || []).slice(),
+            typeOverrides: { ...(this.data.typeOverrides || {}) },
+            spans: this.data.spans ? this.data.spans.slice() : undefined
+        };
+    }
+
+    restoreColumnSnapshot(snapshot) {
+        this.data.columnTypes = snapshot.columnTypes.slice();
+        this.data.typeOverrides = { ...snapshot.typeOverrides };
+        if (snapshot.spans) this.data.spans = snapshot.spans.slice();
+    }
+
+    apply(command) {
+        const data = this.data;
+        switch (command.type) {
+            case 'setCell': {
+                const row = data.rows[command.row];
+                while (row.length <= command.column) row.push('');
+                row[command.column] = command.after;
+                break;
+            }
+            case 'setHeader':
+                while (data.headers.length <= command.column) data.headers.push('');
+                data.headers[command.column] = command.after;
+                break;
+            case 'insertRow':
+                data.rows.splice(command.row, 0, new Array(this.getColumnCount()).fill(''));
+                // Span positions refer to the extracted rows, so they no longer apply.
+                if (data.spans) data.spans = [];
+                break;
+            case 'deleteRow':
+                data.rows.splice(command.row, 1);
+                if (data.spans) data.spans = [];
+                break;
+            case 'insertColumn':
+                if (data.headers.length > 0) data.headers.splice(command.column, 0, '');
+                data.rows.forEach(row => row.splice(command.column, 0, ''));
+                this.shiftColumns(command.column, 1);
+                break;
+            case 'deleteColumn':
+                command.removedHeader = data.headers[command.column];
+                command.removedCells = data.rows.map(row => row[command.column]);
+                if (data.headers.length > command.column) data.headers.splice(command.column, 1);
+                data.rows.forEach(row => row.splice(command.column, 1));
+                this.shiftColumns(command.column, -1);
+                break;
+        }
+    }
+
+    revert(command) {
+        const data = this.data;
+        switch (command.type) {
+            case 'setCell':
+                data.rows[command.row][command.column] = command.before;
+                break;
+            case 'setHeader':
+                data.headers[command.column] = command.before;
+                break;
+            case 'insertRow':
+                data.rows.splice(command.row, 1);
+                break;
+            case 'deleteRow':
+                data.rows.splice(command.row, 0, command.removed.slice());
+                break;
+            case 'insertColumn':
+                if (data.headers.length > 0) data.headers.splice(command.column, 1);
+                data.rows.forEach(row => row.splice(command.column, 1));
+                break;
+            case 'deleteColumn':
+                if (command.removedHeader !== undefined) data.headers.splice(command.column, 0, command.removedHeader);
+                data.rows.forEach((row, index) => row.splice(command.column, 0, command.removedCells[index] ?? ''));
+                break;
+        }
+        this.restoreColumnSnapshot(command.snapshot);
+    }
+
+    /**
+     * Moves column types and overrides along with an inserted (delta 1) or
+     * deleted (delta -1) column.
+     */
+    shiftColumns(column, delta) {
+        const data = this.data;
+        if (data.columnTypes) {
+            if (delta > 0) data.columnTypes.splice(column, 0, { type: 'text', confidence: 0 });
+            else data.columnTypes.splice(column, 1);
+        }
+
+        const overrides = {};
+        Object.entries(data.typeOverrides || {}).forEach(([key, type]) => {
+            const index = parseInt(key, 10);
+            if (index < column) overrides[index] = type;
+            else if (delta > 0) overrides[index + 1] = type;
+            else if (index > column) overrides[index - 1] = type;
+        });
+        data.typeOverrides = overrides;
+        if (data.spans) data.spans = [];
+    }
+
+    log(command, kind) {
+        const entry = { timestamp: Date.now(), kind, type: command.type };
+        if ('row' in command) entry.row = command.row;
+        if ('column' in command) entry.column = command.column;
+        if (command.type === 'setCell' || command.type === 'setHeader') {
+            entry.before = kind === 'undo' ? command.after : command.before;
+            entry.after = kind === 'undo' ? command.before : command.after;
+        }
+        if (command.type === 'deleteRow' && kind !== 'undo') entry.removed = command.removed;
+        this.data.editLog.push(entry);
+    }
+
+    describe(entry) {
+        const row = entry.row + 1;
+        const column = entry.column + 1;
+        const prefix = entry.kind === 'edit' ? '' : `${entry.kind === 'undo' ? 'Undo' : 'Redo'}: `;
+        switch (entry.type) {
+            case 'setCell':
+                return `${prefix}row ${row}, column ${column}: "${entry.before}" → "${entry.after}"`;
+            case 'setHeader':
+                return `${prefix}header ${column}: "${entry.before}" → "${entry.after}"`;
+            case 'insertRow':
+                return `${prefix}insert row ${row}`;
+            case 'deleteRow':
+                return `${prefix}delete row ${row}`;
+            case 'insertColumn':
+                return `${prefix}insert column ${column}`;
+            case 'deleteColumn':
+                return `${prefix}delete column ${column}`;
+            default:
+                return prefix + entry.type;
+        }
+    }
+}
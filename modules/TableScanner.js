@@ -6,46 +6,96 @@ class TableScanner {
     constructor(domUtils, tableAnalyzer) {
         this.domUtils = domUtils;
         this.tableAnalyzer = tableAnalyzer; // Needed for some analysis
+        this.scoreWeights = { structuralSimilarity: 0.3, visualAlignment: 0.3, contentHomogeneity: 0.2, semanticClues: 0.2 };
+        this.confidenceThreshold = 0.6;
+        // Below-threshold containers scoring at least this much are reported as near misses.
+        this.nearMissFloor = 0.4;
+        this.maxImplicitTables = 10;
+        this.containerSelector = 'div, ul, section, [class*="table"], [class*="grid"]';
+        // ARIA grids with rows are read by AriaGridExtractor instead.
+        this.ariaGridSelector = '[role="grid"]:not(table), [role="treegrid"]:not(table), [role="table"]:not(table)';
     }
 
     findExplicitTables() {
-        return Array.from(document.querySelectorAll('table')).filter(table => this.domUtils.isVisibleElement(table));
+        return this.domUtils.querySelectorAllDeep('table').filter(table => this.domUtils.isVisibleElement(table));
+    }
+
+    /**
+     * Elements that may hold an implicit table, including those in open shadow
+     * roots but not those inside ARIA grids. The ScanPipeline walks the same list.
+     */
+    getCandidateContainers() {
+        const grids = new Map();
+        const isAriaGrid = grid => {
+            if (!grids.has(grid)) grids.set(grid, this.domUtils.queryComposed(grid, '[role="row"]').length > 0);
+            return grids.get(grid);
+        };
+        return this.domUtils.querySelectorAllDeep(this.containerSelector).filter(container => {
+            const grid = this.domUtils.closestDeep(container, this.ariaGridSelector);
+            return !grid || !isAriaGrid(grid);
+        });
     }
 
     async findImplicitTables() {
-        const candidates = [];
-        const containers = document.querySelectorAll('div, ul, section, [class*="table"], [class*="grid"], [role="table"]');
-        
-        for (const container of containers) {
+        return (await this.findImplicitTablesWithReport()).candidates;
+    }
+
+    /**
+     * Like findImplicitTables, but also returns the containers that were turned
+     * down, each with a reason: 'below-threshold', 'overlap' or 'limit'.
+     */
+    async findImplicitTablesWithReport() {
+        const scored = [];
+        for (const container of this.getCandidateContainers()) {
+            // Skip CognitoTable's own overlays.
+            if (this.domUtils.closestDeep(container, '[data-cognito-ignore]')) continue;
             if (!this.domUtils.isVisibleElement(container)) continue;
             
-            const children = Array.from(container.children);
+            const children = this.domUtils.getComposedChildren(container);
             if (children.length < 2) continue;
 
             const analysis = await this.analyzeContainerForTablePattern(container, children);
-            if (analysis.confidence > 0.6) {
-                candidates.push({ element: container, confidence: analysis.confidence, children });
-            }
+            scored.push({ element: container, confidence: analysis.confidence, breakdown: analysis.breakdown, children });
         }
-        
-        return this.filterOverlappingTables(candidates).slice(0, 10);
+        return this.selectCandidates(scored, (a, b) => this.domUtils.containsDeep(a.element, b.element));
+    }
+
+    /**
+     * Applies the threshold, overlap filter and table limit to scored containers.
+     * `contains(a, b)` tells whether candidate a encloses candidate b; the scan
+     * worker has no DOM, so it passes its own.
+     */
+    selectCandidates(scored, contains) {
+        const candidates = [];
+        const rejected = [];
+        scored.forEach(candidate => {
+            if (candidate.confidence > this.confidenceThreshold) {
+                candidates.push(candidate);
+            } else if (candidate.confidence >= this.nearMissFloor) {
+                rejected.push({ ...candidate, reason: 'below-threshold' });
+            }
+        });
+
+        const filtered = this.filterOverlappingTables(candidates, rejected, contains);
+        filtered.slice(this.maxImplicitTables).forEach(candidate => rejected.push({ ...candidate, reason: 'limit' }));
+        return { candidates: filtered.slice(0, this.maxImplicitTables), rejected };
     }
-    
-    filterOverlappingTables(candidates) {
+
+    /**
+     * Keeps the highest scoring of any nested candidates. The ones dropped are
+     * added to `rejected`, with the candidate that won over them.
+     */
+    filterOverlappingTables(candidates, rejected = [], contains = (a, b) => this.domUtils.containsDeep(a.element, b.element)) {
         if (candidates.length <= 1) return candidates;
         
         const sorted = candidates.sort((a, b) => b.confidence - a.confidence);
         const filtered = [];
         
         for (const candidate of sorted) {
-            let isOverlapping = false;
-            for (const processed of filtered) {
-                if (candidate.element.contains(processed.element) || processed.element.contains(candidate.element)) {
-                    isOverlapping = true;
-                    break;
-                }
-            }
-            if (!isOverlapping) {
+            const winner = filtered.find(processed => contains(candidate, processed) || contains(processed, candidate));
+            if (winner) {
+                rejected.push({ ...candidate, reason: 'overlap', overlappedBy: winner.element });
+            } else {
                 filtered.push(candidate);
             }
         }
@@ -53,32 +103,62 @@ class TableScanner {
     }
 
     async analyzeContainerForTablePattern(container, children) {
-        const structuralSimilarity = this.calculateStructuralSimilarity(children);
+        return this.scoreSnapshot(this.snapshotContainer(container, children));
+    }
+
+    /**
+     * Everything the scoring needs from the DOM, as plain data: the container's
+     * class and id, and for each child its tag signature, position and cell texts.
+     * `layoutRows` holds the measured cells for TableAnalyzer.projectColumns.
+     */
+    snapshotContainer(container, children) {
+        const gridTracks = this.tableAnalyzer.getGridTracks(container);
+        const childCells = gridTracks ? null : children.map(child => this.tableAnalyzer.measureRowCells(child));
+        return {
+            classAndId: `${(container.className || '')} ${(container.id || '')}`.toLowerCase(),
+            hasHeaderElement: container.querySelector('h1, h2, h3, th, .header, .title') !== null,
+            children: children.map((child, index) => {
+                const rect = child.getBoundingClientRect();
+                return {
+                    signature: `${child.tagName}:${Array.from(child.children).map(c => c.tagName).join(',')}`,
+                    left: rect.left,
+                    height: rect.height,
+                    cells: childCells ? childCells[index].map(cell => cell.text) : this.tableAnalyzer.extractCellsFromElement(child)
+                };
+            }),
+            layoutRows: childCells || this.tableAnalyzer.placeGridItems(children, gridTracks)
+        };
+    }
+
+    scoreSnapshot(snapshot) {
+        const children = snapshot.children;
+        const structuralSimilarity = this.calculateStructuralSimilarity(children.map(child => child.signature));
         const visualAlignment = this.assessVisualAlignment(children);
-        const contentHomogeneity = this.assessContentHomogeneity(children);
-        const semanticClues = this.findSemanticTableClues(container);
+        const contentHomogeneity = this.assessContentHomogeneity(children.map(child => child.cells));
+        const semanticClues = this.findSemanticTableClues(snapshot);
 
-        const confidence = (structuralSimilarity * 0.3) + (visualAlignment * 0.3) + (contentHomogeneity * 0.2) + (semanticClues * 0.2);
-        
-        return { confidence };
+        const breakdown = { structuralSimilarity, visualAlignment, contentHomogeneity, semanticClues };
+        const confidence = Object.entries(this.scoreWeights).reduce((sum, [name, weight]) => sum + breakdown[name] * weight, 0);
+
+        return { confidence, breakdown };
     }
 
-    calculateStructuralSimilarity(elements) {
-        if (elements.length < 2) return 0;
-        const getSignature = el => `${el.tagName}:${Array.from(el.children).map(c => c.tagName).join(',')}`;
-        const signatures = elements.map(getSignature);
+    calculateStructuralSimilarity(signatures) {
+        if (signatures.length < 2) return 0;
         const signatureGroups = {};
         signatures.forEach(sig => signatureGroups[sig] = (signatureGroups[sig] || 0) + 1);
-        return Math.max(...Object.values(signatureGroups)) / signatures.length;
+        return Object.values(signatureGroups).reduce((max, count) => Math.max(max, count), 0) / signatures.length;
     }
 
-    assessVisualAlignment(elements) {
-        if (elements.length < 2) return 0;
-        const rects = elements.map(el => el.getBoundingClientRect());
+    /**
+     * @param {Array<{left: number, height: number}>} rects - child positions.
+     */
+    assessVisualAlignment(rects) {
+        if (rects.length < 2) return 0;
         const calculateConsistency = values => {
             if (values.length < 2) return 1;
             const avg = values.reduce((sum, val) => sum + val, 0) / values.length;
-            const maxDeviation = Math.max(...values.map(val => Math.abs(val - avg)));
+            const maxDeviation = values.reduce((max, val) => Math.max(max, Math.abs(val - avg)), 0);
             return Math.max(0, 1 - (maxDeviation / Math.abs(avg)));
         };
         const leftAlignment = calculateConsistency(rects.map(r => r.left));
@@ -86,14 +166,13 @@ class TableScanner {
         return (leftAlignment + heightConsistency) / 2;
     }
 
-    assessContentHomogeneity(elements) {
-        if (elements.length < 2) return 0;
-        const cellPatterns = elements.map(el => {
-            const cells = this.tableAnalyzer.extractCellsFromElement(el);
-            return cells.map(cell => this.tableAnalyzer.classifyDataType(cell));
-        });
-        if (cellPatterns.length < 2) return 0;
-        const maxColumns = Math.max(...cellPatterns.map(row => row.length));
+    /**
+     * @param {string[][]} cellRows - the cells of each child.
+     */
+    assessContentHomogeneity(cellRows) {
+        if (cellRows.length < 2) return 0;
+        const cellPatterns = cellRows.map(cells => cells.map(cell => this.tableAnalyzer.classifyDataType(cell)));
+        const maxColumns = cellPatterns.reduce((max, row) => Math.max(max, row.length), 0);
         if (maxColumns === 0) return 0;
         let totalConsistency = 0;
         for (let col = 0; col < maxColumns; col++) {
@@ -105,16 +184,15 @@ class TableScanner {
         return totalConsistency / maxColumns;
     }
 
-    findSemanticTableClues(container) {
+    findSemanticTableClues(snapshot) {
         let score = 0;
         const keywords = ['table', 'grid', 'list', 'row', 'cell', 'data', 'item'];
-        const classAndId = `${(container.className || '')} ${(container.id || '')}`.toLowerCase();
-        if (keywords.some(kw => classAndId.includes(kw))) {
+        if (keywords.some(kw => snapshot.classAndId.includes(kw))) {
             score = 0.5;
         }
-        if (container.querySelector('h1, h2, h3, th, .header, .title')) {
+        if (snapshot.hasHeaderElement) {
             score += 0.2;
         }
         return Math.min(1, score);
     }
-}
\ No newline at end of file
+}
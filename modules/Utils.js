@@ -51,4 +51,435 @@ class Utils {
 
         return preview.trim();
     }
-}
\ No newline at end of file
+
+    /**
+     * Matches a URL against a pattern where "*" stands for any run of characters,
+     * e.g. "https://dash.example.com/reports/*".
+     */
+    static matchesUrlPattern(pattern, url) {
+        if (!pattern || !url) return false;
+        const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+        return new RegExp(`^${source}$`).test(url);
+    }
+
+    /**
+     * Parses "1, 3-5, -1" into [1, [3, 5], -1]. Numbers are 1-based; negative
+     * numbers count from the end. Ranges are kept as [first, last] pairs rather
+     * than expanded, since "1-99999999" is a reasonable way to say "all rows".
+     */
+    static parseRowList(text) {
+        const rows = [];
+        (text || '').split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+            const range = part.match(/^(\d+)\s*-\s*(\d+)$/);
+            if (range) {
+                const first = Math.max(parseInt(range[1], 10), 1);
+                const last = parseInt(range[2], 10);
+                if (first <= last) rows.push([first, last]);
+            } else if (/^-?\d+$/.test(part) && parseInt(part, 10) !== 0) {
+                rows.push(parseInt(part, 10));
+            }
+        });
+        return rows;
+    }
+
+    /**
+     * Applies a recipe's header overrides and row/column exclusions to extracted
+     * table data. Indices refer to the table as extracted, before any exclusion.
+     */
+    static applyRecipe(tableData, recipe) {
+        const rowCount = tableData.rows.length;
+        const excludedRanges = [];
+        const excludedRows = new Set();
+        (recipe.excludedRows || []).forEach(entry => {
+            if (Array.isArray(entry)) excludedRanges.push([entry[0] - 1, entry[1] - 1]);
+            else excludedRows.add(entry > 0 ? entry - 1 : rowCount + entry);
+        });
+        const keepRow = (_, index) => !excludedRows.has(index) && !excludedRanges.some(([first, last]) => index >= first && index <= last);
+        const excludedColumns = new Set(recipe.excludedColumns || []);
+        const overrides = recipe.headerOverrides || {};
+        const keepColumn = (_, index) => !excludedColumns.has(index);
+
+        return {
+            ...tableData,
+            headers: tableData.headers.map((header, index) => overrides[index] || header).filter(keepColumn),
+            rows: tableData.rows.filter(keepRow).map(row => row.filter(keepColumn)),
+            columnTypes: (tableData.columnTypes || []).filter(keepColumn),
+            spans: []
+        };
+    }
+
+    /**
+     * Compares two extractions of the same table. Rows are matched by the value in
+     * keyColumn (a header name); without a usable key column whole rows are
+     * compared, so only additions and removals can be reported.
+     */
+    static diffTables(previous, current, keyColumn) {
+        const previousKeyIndex = keyColumn ? previous.headers.indexOf(keyColumn) : -1;
+        const currentKeyIndex = keyColumn ? current.headers.indexOf(keyColumn) : -1;
+        const useKey = previousKeyIndex !== -1 && currentKeyIndex !== -1;
+        const keyOf = (row, keyIndex) => useKey ? String(row[keyIndex] ?? '') : row.join('\u241F');
+
+        const before = new Map(previous.rows.map(row => [keyOf(row, previousKeyIndex), row]));
+        const after = new Map(current.rows.map(row => [keyOf(row, currentKeyIndex), row]));
+
+        const added = current.rows.filter(row => !before.has(keyOf(row, currentKeyIndex)));
+        const removed = previous.rows.filter(row => !after.has(keyOf(row, previousKeyIndex)));
+        const changed = [];
+
+        if (useKey) {
+            after.forEach((row, key) => {
+                const oldRow = before.get(key);
+                if (!oldRow) return;
+                const columns = current.headers
+                    .map((header, index) => {
+                        const oldIndex = previous.headers.indexOf(header);
+                        const oldValue = oldIndex === -1 ? '' : (oldRow[oldIndex] ?? '');
+                        const newValue = row[index] ?? '';
+                        return oldValue === newValue ? null : { header, before: oldValue, after: newValue };
+                    })
+                    .filter(Boolean);
+                if (columns.length > 0) changed.push({ key, before: oldRow, after: row, columns });
+            });
+        }
+
+        return {
+            keyColumn: useKey ? keyColumn : null,
+            added,
+            removed,
+            changed,
+            hasChanges: added.length > 0 || removed.length > 0 || changed.length > 0
+        };
+    }
+
+    /**
+     * Builds a table from cognitive selection picks. Cell and column picks append
+     * their values down their target column; a row pick starts a new row and
+     * spreads its values across the columns from its target column on.
+     * @param {string[]} columnNames
+     * @param {Array<{kind: string, column: number, values: string[]}>} picks
+     */
+    static assembleCustomTable(columnNames, picks) {
+        const columnCount = Math.max(columnNames.length, ...picks.map(pick => pick.column + (pick.kind === 'row' ? pick.values.length : 1)));
+        const columns = Array.from({ length: columnCount }, () => []);
+        picks.forEach(pick => {
+            if (pick.kind === 'row') {
+                const targets = columns.slice(pick.column, pick.column + pick.values.length);
+                const rowIndex = targets.reduce((max, column) => Math.max(max, column.length), 0);
+                targets.forEach((column, index) => {
+                    while (column.length < rowIndex) column.push('');
+                    column.push(pick.values[index]);
+                });
+            } else {
+                pick.values.forEach(value => columns[pick.column].push(value));
+            }
+        });
+
+        const rowCount = columns.reduce((max, column) => Math.max(max, column.length), 0);
+        return {
+            headers: Array.from({ length: columnCount }, (_, index) => columnNames[index] || `Column ${index + 1}`),
+            rows: Array.from({ length: rowCount }, (_, rowIndex) => columns.map(column => column[rowIndex] ?? ''))
+        };
+    }
+
+    /**
+     * Appends the rows of a window read after scrolling to the rows collected so
+     * far and returns the number appended. Consecutive windows overlap, so the
+     * longest run at the start of the window that repeats the end of `collected`
+     * is skipped; identical rows elsewhere (two equal orders) are kept.
+     */
+    static appendWindow(collected, windowRows, getKey = row => row.join('|')) {
+        const tail = collected.slice(-windowRows.length).map(getKey);
+        const keys = windowRows.map(getKey);
+        let overlap = tail.length;
+        while (overlap > 0 && !keys.slice(0, overlap).every((key, index) => key === tail[tail.length - overlap + index])) overlap--;
+        const added = windowRows.slice(overlap);
+        added.forEach(row => collected.push(row));
+        return added.length;
+    }
+
+    // --- Teach & Refine: user corrections to the row and column layout ---
+    // A layout is { rows: [correction], columns: { [index]: 'key' | 'ignore' } }.
+    // Row labels are 'header', 'data', 'footer' (footer/summary), 'divider'
+    // (section divider) and 'ignore'. layout.repairs holds cell repair rules.
+
+    static getRowSignature(row) {
+        return row.map(cell => String(cell ?? '').trim()).join('|');
+    }
+
+    static getRowLead(row) {
+        const lead = row.find(cell => String(cell ?? '').trim());
+        return lead ? String(lead).trim().toLowerCase() : '';
+    }
+
+    /**
+     * The extraction as it was before any layout was applied: the detected
+     * header rows followed by the body rows.
+     */
+    static getLayoutSource(tableData) {
+        if (tableData.unrefined) return tableData.unrefined;
+        const isGeneric = tableData.headers.every((header, index) => header === `Column ${index + 1}`);
+        return {
+            headerRows: tableData.headerRows || (tableData.headers.length > 0 && !isGeneric ? [tableData.headers] : []),
+            rows: tableData.rows,
+            columnTypes: tableData.columnTypes || []
+        };
+    }
+
+    /**
+     * Remembers a row both by its content and by its position. Footers are
+     * positioned from the end of the table, so a "Total" row is still found
+     * when the number of rows above it changes.
+     */
+    static createRowCorrection(fullRows, index, label) {
+        return {
+            label,
+            index,
+            fromEnd: label === 'footer' ? fullRows.length - index : 0,
+            text: Utils.getRowSignature(fullRows[index]),
+            lead: Utils.getRowLead(fullRows[index])
+        };
+    }
+
+    static resolveRowLabels(fullRows, headerRowCount, layout) {
+        const labels = fullRows.map((_, index) => index < headerRowCount ? 'header' : 'data');
+        ((layout && layout.rows) || []).forEach(correction => {
+            // Footer and divider rows keep their label text ("Total", "Europe") while their values change.
+            const byLead = correction.label === 'footer' || correction.label === 'divider';
+            const matches = [];
+            fullRows.forEach((row, index) => {
+                const matched = byLead ? correction.lead && Utils.getRowLead(row) === correction.lead : Utils.getRowSignature(row) === correction.text;
+                if (matched) matches.push(index);
+            });
+            if (matches.length === 0) {
+                const index = correction.fromEnd ? fullRows.length - correction.fromEnd : correction.index;
+                if (index >= 0 && index < fullRows.length) matches.push(index);
+            }
+            matches.forEach(index => { labels[index] = correction.label; });
+        });
+        return labels;
+    }
+
+    /**
+     * Rebuilds table data from its unrefined rows under a layout. Header rows are
+     * merged into the headers, footer/summary rows move to footerRows, a section
+     * divider's text fills a "Section" column for the rows below it, and ignored
+     * rows and columns are dropped. inferColumnTypes, when given, re-infers the
+     * column types of the resulting rows.
+     */
+    static applyLayout(tableData, layout, inferColumnTypes) {
+        const source = Utils.getLayoutSource(tableData);
+        const labels = Utils.resolveRowLabels([...source.headerRows, ...source.rows], source.headerRows.length, layout);
+        const fullRows = Utils.repairRows([...source.headerRows, ...source.rows], labels, layout && layout.repairs);
+        const columnCount = fullRows.reduce((max, row) => Math.max(max, row.length), 0);
+        const ignoredColumns = new Set(Object.keys((layout && layout.columns) || {}).filter(index => layout.columns[index] === 'ignore').map(Number));
+        const keptColumns = Array.from({ length: columnCount }, (_, index) => index).filter(index => !ignoredColumns.has(index));
+        const keep = row => keptColumns.map(index => row[index] ?? '');
+        const hasSections = labels.includes('divider');
+
+        const headerRows = [];
+        const rows = [];
+        const sourceRows = [];
+        const footerRows = [];
+        let section = '';
+        fullRows.forEach((row, index) => {
+            switch (labels[index]) {
+                case 'header':
+                    headerRows.push(row);
+                    break;
+                case 'footer':
+                    footerRows.push(keep(row));
+                    break;
+                case 'divider':
+                    section = String(row.find(cell => String(cell ?? '').trim()) ?? '').trim();
+                    break;
+                case 'ignore':
+                    break;
+                default:
+                    rows.push(hasSections ? [...keep(row), section] : keep(row));
+                    sourceRows.push(index);
+            }
+        });
+
+        const headers = keep(Array.from({ length: columnCount }, (_, col) => {
+            const parts = [];
+            headerRows.forEach(row => {
+                const text = String(row[col] ?? '').trim();
+                if (text && !parts.includes(text)) parts.push(text);
+            });
+            return parts.join(' - ') || `Column ${col + 1}`;
+        }));
+        if (hasSections) headers.push('Section');
+
+        const keyIndex = Object.keys((layout && layout.columns) || {}).map(Number).find(index => layout.columns[index] === 'key');
+        let columnTypes = inferColumnTypes ? inferColumnTypes(rows) : keptColumns.map(index => source.columnTypes[index] || { type: 'text', confidence: 0 });
+        if (!inferColumnTypes && hasSections) columnTypes = [...columnTypes, { type: 'text', confidence: 1 }];
+
+        return {
+            ...tableData,
+            headers,
+            rows,
+            columnTypes,
+            spans: [],
+            headerRows,
+            footerRows,
+            keyColumn: keptColumns.includes(keyIndex) ? headers[keptColumns.indexOf(keyIndex)] : '',
+            // Where each row and column came from, so cell repairs can be made from the preview.
+            sourceRows,
+            sourceColumns: keptColumns,
+            layout,
+            unrefined: source
+        };
+    }
+
+    // --- Cell repairs ---
+    // A repair is { type: 'merge' | 'split' | 'insert', cells, column, pattern }.
+    // It applies to every row that has exactly `cells` cells at that point, so a
+    // fix made on one misaligned row is replayed on all rows of the same shape.
+
+    /**
+     * A delimiter, or a RegExp for "/.../flags". Throws when the expression is
+     * invalid or can match an empty string, which would split a cell into
+     * single characters.
+     */
+    static parseSplitPattern(pattern) {
+        const match = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+        if (!match) return pattern;
+        const regex = new RegExp(match[1], match[2].replace('g', ''));
+        if (regex.test('')) throw new Error('The regular expression must not match an empty string.');
+        return regex;
+    }
+
+    static repairRow(row, repairs) {
+        return (repairs || []).reduce((cells, repair) => {
+            if (cells.length !== repair.cells) return cells;
+            const result = cells.slice();
+            switch (repair.type) {
+                case 'merge': {
+                    if (repair.column + 1 >= cells.length) return cells;
+                    const merged = [cells[repair.column], cells[repair.column + 1]].map(cell => String(cell ?? '').trim()).filter(Boolean).join(' ');
+                    result.splice(repair.column, 2, merged);
+                    return result;
+                }
+                case 'split': {
+                    if (repair.column >= cells.length) return cells;
+                    let pattern;
+                    try {
+                        pattern = Utils.parseSplitPattern(repair.pattern);
+                    } catch (error) {
+                        return cells;
+                    }
+                    const parts = String(cells[repair.column] ?? '').split(pattern)
+                        .filter(part => part !== undefined && part.trim())
+                        .map(part => part.trim());
+                    if (parts.length < 2) return cells;
+                    result.splice(repair.column, 1, ...parts);
+                    return result;
+                }
+                case 'insert':
+                    if (repair.column > cells.length) return cells;
+                    result.splice(repair.column, 0, '');
+                    return result;
+                default:
+                    return cells;
+            }
+        }, row);
+    }
+
+    /**
+     * Header rows are left alone: repairs fix the alignment of body rows.
+     */
+    static repairRows(fullRows, labels, repairs) {
+        if (!repairs || repairs.length === 0) return fullRows;
+        return fullRows.map((row, index) => labels[index] === 'header' ? row : Utils.repairRow(row, repairs));
+    }
+
+    static describeRepair(repair) {
+        const column = repair.column + 1;
+        switch (repair.type) {
+            case 'merge':
+                return `In rows of ${repair.cells} cells, merge cells ${column}–${column + 1}`;
+            case 'split':
+                return `In rows of ${repair.cells} cells, split cell ${column} on ${repair.pattern}`;
+            case 'insert':
+                return `In rows of ${repair.cells} cells, insert a blank cell at ${column}`;
+            default:
+                return repair.type;
+        }
+    }
+
+    static getLayoutSignature(tableData) {
+        const source = Utils.getLayoutSource(tableData);
+        const firstRow = source.headerRows[0] || source.rows[0];
+        return firstRow ? Utils.getRowSignature(firstRow) : '';
+    }
+
+    /**
+     * Picks the saved layout or locked schema for a table: the one stored for the
+     * same locator, otherwise one whose table started with the same row.
+     */
+    static findSiteEntry(entries, selector, signature) {
+        return (entries || []).find(entry => entry.selector === selector) ||
+            (signature ? (entries || []).find(entry => entry.signature === signature) : null) || null;
+    }
+
+    // --- Locked schemas ---
+    // A schema is { columns: [{ name, type, nullable, ... }], onViolation: 'quarantine' | 'drop', lockedAt }.
+
+    /**
+     * Why a row does not fit the schema, one message per offending column.
+     * columnIndexes maps each schema column to the row's column.
+     */
+    static getSchemaViolations(row, schema, columnIndexes, matchesType) {
+        const violations = [];
+        schema.columns.forEach((column, index) => {
+            const value = String(row[columnIndexes[index]] ?? '').trim();
+            if (!value) {
+                if (!column.nullable) violations.push(`${column.name}: empty`);
+            } else if (!matchesType(value, column)) {
+                violations.push(`${column.name}: "${value}" is not a ${column.type}`);
+            }
+        });
+        return violations;
+    }
+
+    /**
+     * Keeps the rows that fit a locked schema, in the schema's column order.
+     * Columns are matched by header name and otherwise by position. Rows that
+     * do not fit are moved to data.quarantine, or only counted in
+     * data.droppedRows when the schema drops them.
+     * @param {function(string, object): boolean} matchesType - (value, schema column).
+     */
+    static enforceSchema(tableData, schema, matchesType) {
+        const columnIndexes = schema.columns.map((column, index) => {
+            const byName = tableData.headers.indexOf(column.name);
+            return byName !== -1 ? byName : index;
+        });
+
+        const rows = [];
+        const quarantine = [];
+        let droppedRows = 0;
+        tableData.rows.forEach((row, rowIndex) => {
+            const violations = Utils.getSchemaViolations(row, schema, columnIndexes, matchesType);
+            if (violations.length === 0) {
+                rows.push(columnIndexes.map(index => row[index] ?? ''));
+            } else if (schema.onViolation === 'drop') {
+                droppedRows++;
+            } else {
+                quarantine.push({ rowIndex, row: row.slice(), violations });
+            }
+        });
+
+        return {
+            ...tableData,
+            headers: schema.columns.map(column => column.name),
+            rows,
+            columnTypes: schema.columns.map(({ name, nullable, samples, ...type }) => type),
+            typeOverrides: {},
+            spans: [],
+            schema,
+            quarantine,
+            quarantineHeaders: tableData.headers.slice(),
+            droppedRows
+        };
+    }
+}
@@ -0,0 +1,291 @@
+/**
+ * @author : Zahir
+ * Desc : Turns raw cell strings into typed values: numbers, currency amounts
+ * with a currency code, percentages as fractions, ISO 8601 dates and booleans.
+ */
+class ValueNormalizer {
+    constructor(options = {}) {
+        this.now = options.now || new Date();
+        // Separators and date order are detected the same way as during type inference.
+        this.tableAnalyzer = options.tableAnalyzer || new TableAnalyzer(null);
+
+        this.currencySymbols = {
+            'US$': 'USD', 'C$': 'CAD', 'A$': 'AUD', 'NZ$': 'NZD', 'HK$': 'HKD', 'R$': 'BRL',
+            '$': 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY', '₹': 'INR', '₩': 'KRW', '₽': 'RUB',
+            '₺': 'TRY', '₪': 'ILS', '₫': 'VND', '₱': 'PHP', '฿': 'THB', 'zł': 'PLN', 'kr': 'SEK', 'Fr.': 'CHF'
+        };
+        this.currencyCodes = ['USD', 'EUR', 'GBP', 'JPY', 'INR', 'CNY', 'CAD', 'AUD', 'NZD', 'CHF', 'SEK', 'NOK', 'DKK',
+            'PLN', 'CZK', 'HUF', 'BRL', 'MXN', 'KRW', 'RUB', 'TRY', 'ZAR', 'SGD', 'HKD', 'ILS', 'AED', 'SAR', 'THB', 'PHP', 'VND'];
+
+        this.monthNames = {
+            jan: 1, january: 1, feb: 2, february: 2, mar: 3, march: 3, apr: 4, april: 4, may: 5, jun: 6, june: 6,
+            jul: 7, july: 7, aug: 8, august: 8, sep: 9, sept: 9, september: 9, oct: 10, october: 10,
+            nov: 11, november: 11, dec: 12, december: 12
+        };
+        this.relativeUnits = { second: 's', minute: 'm', hour: 'h', day: 'd', week: 'w', month: 'M', year: 'y' };
+        this.booleanValues = {
+            true: true, yes: true, y: true, on: true, '✓': true, '✔': true, enabled: true, active: true,
+            false: false, no: false, n: false, off: false, '✗': false, '✘': false, disabled: false, inactive: false
+        };
+    }
+
+    /**
+     * Normalizes a whole table. typeOverrides maps a column index to a type name
+     * and wins over the inferred columnTypes. Returns the typed rows and the
+     * type that was applied to each column.
+     */
+    normalizeTable(data, typeOverrides = {}) {
+        const columnCount = data.rows.reduce((max, row) => Math.max(max, row.length), data.headers.length);
+        const conventions = this.getConventions(data.locale);
+        const columns = Array.from({ length: columnCount }, (_, col) => {
+            const inferred = (data.columnTypes && data.columnTypes[col]) || { type: 'text' };
+            const type = typeOverrides[col] || inferred.type;
+            const values = data.rows.map(row => String(row[col] || '').trim());
+            return { ...inferred, type, ...this.detectFormats(values, inferred, conventions) };
+        });
+
+        return {
+            columns,
+            rows: data.rows.map(row => columns.map((column, col) => this.normalizeValue(row[col], column)))
+        };
+    }
+
+    /**
+     * Returns the typed value, null for empty cells, or the original string when
+     * the cell does not parse as the column's type.
+     */
+    normalizeValue(raw, column) {
+        const text = (raw == null ? '' : String(raw)).trim();
+        if (!text) return null;
+
+        let parsed = null;
+        switch (column.type) {
+            case 'number':
+                parsed = this.parseNumber(text, column.decimalSeparator);
+                break;
+            case 'currency':
+                parsed = this.parseCurrency(text, column.decimalSeparator);
+                break;
+            case 'percentage':
+                parsed = this.parsePercentage(text, column.decimalSeparator);
+                break;
+            case 'date':
+                parsed = this.parseDate(text, column.dateOrder);
+                break;
+            case 'boolean':
+                parsed = this.parseBoolean(text, true);
+                break;
+            default:
+                return text;
+        }
+        return parsed === null ? text : parsed;
+    }
+
+    getConventions(locale) {
+        return this.tableAnalyzer.getLocaleConventions(locale || this.tableAnalyzer.getPageLocale());
+    }
+
+    /**
+     * The decimal separator and date order for a column. Columns typed during
+     * extraction already carry them; otherwise, e.g. when the type is
+     * overridden, they are detected from the values.
+     */
+    detectFormats(values, inferred, conventions) {
+        return {
+            decimalSeparator: inferred.decimalSeparator || this.tableAnalyzer.detectNumberFormat(values, conventions).decimalSeparator,
+            dateOrder: inferred.dateOrder || this.tableAnalyzer.detectDateFormat(values, conventions).order
+        };
+    }
+
+    parseNumber(text, decimalSeparator = '.') {
+        let value = text.replace(/[  \s']/g, '').replace(/[−–]/g, '-');
+        let negative = false;
+        if (/^\(.*\)$/.test(value)) {
+            negative = true;
+            value = value.slice(1, -1);
+        }
+        if (value.startsWith('-')) {
+            negative = !negative;
+            value = value.substring(1);
+        } else if (value.startsWith('+')) {
+            value = value.substring(1);
+        }
+
+        const thousands = decimalSeparator === ',' ? /\./g : /,/g;
+        value = value.replace(thousands, '');
+        if (decimalSeparator === ',') value = value.replace(',', '.');
+        if (!/^\d*\.?\d+$/.test(value) && !/^\d+\.$/.test(value)) return null;
+
+        const number = parseFloat(value);
+        return negative ? -number : number;
+    }
+
+    parseCurrency(text, decimalSeparator) {
+        let rest = text.replace(/ /g, ' ').trim();
+        let currency = null;
+
+        const code = this.currencyCodes.find(c => new RegExp(`(^|[^A-Z])${c}([^A-Z]|$)`).test(rest.toUpperCase()));
+        if (code) {
+            currency = code;
+            rest = rest.replace(new RegExp(code, 'i'), '');
+        }
+        const symbol = Object.keys(this.currencySymbols).find(s => rest.includes(s));
+        if (symbol) {
+            currency = currency || this.currencySymbols[symbol];
+            rest = rest.replace(symbol, '');
+        }
+
+        const amount = this.parseNumber(rest.trim(), decimalSeparator || this.tableAnalyzer.detectNumberFormat([rest.trim()], this.getConventions()).decimalSeparator);
+        return amount === null ? null : { amount, currency };
+    }
+
+    parsePercentage(text, decimalSeparator) {
+        const match = text.match(/^(.*?)\s*%$/);
+        if (!match) return null;
+        const number = this.parseNumber(match[1], decimalSeparator);
+        return number === null ? null : Math.round(number * 1e10 / 100) / 1e10;
+    }
+
+    parseBoolean(text, allowNumeric = false) {
+        const key = text.trim().toLowerCase();
+        if (key in this.booleanValues) return this.booleanValues[key];
+        if (allowNumeric && (key === '1' || key === '0')) return key === '1';
+        return null;
+    }
+
+    /**
+     * Parses absolute dates in numeric and month-name formats as well as relative
+     * dates ("yesterday", "3 days ago", "in 2 weeks"). Day-level values become
+     * "YYYY-MM-DD"; values with a time become "YYYY-MM-DDTHH:MM:SS", followed by
+     * "Z" or the UTC offset when the value has one.
+     */
+    parseDate(text, dateOrder = 'MDY') {
+        const value = text.trim().toLowerCase().replace(/,/g, ' ').replace(/\s+/g, ' ');
+        return this.parseRelativeDate(value) || this.parseNumericDate(value, dateOrder) || this.parseNamedMonthDate(value);
+    }
+
+    parseRelativeDate(value) {
+        const dayOffsets = { today: 0, now: 0, yesterday: -1, tomorrow: 1 };
+        if (value in dayOffsets) return this.formatDate(this.shiftDate(this.now, 'd', dayOffsets[value]));
+
+        const match = value.match(/^(?:(in)\s+)?(\d+|an?|one)\s+(second|minute|hour|day|week|month|year)s?(?:\s+(ago))?$/);
+        if (!match || (!match[1] === !match[4])) return null;
+        const amount = /^\d+$/.test(match[2]) ? parseInt(match[2], 10) : 1;
+        const unit = this.relativeUnits[match[3]];
+        const date = this.shiftDate(this.now, unit, match[4] ? -amount : amount);
+        return 'smh'.includes(unit) ? this.formatDateTime(date) : this.formatDate(date);
+    }
+
+    parseNumericDate(value, dateOrder) {
+        let match = value.match(/^(\d{4})[./-](\d{1,2})[./-](\d{1,2})(?:[t ](\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?\s*(z|[+-]\d{2}:?\d{2})?)?/);
+        if (match) {
+            const date = this.buildDate(+match[1], +match[2], +match[3], match.slice(4, 7));
+            return date && match[7] ? date + this.formatOffset(match[7]) : date;
+        }
+
+        match = value.match(/^(\d{1,2})([./-])(\d{1,2})\2(\d{2}|\d{4})(?:\s+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(am|pm)?)?$/);
+        if (!match) return null;
+        const year = this.expandYear(+match[4]);
+        const [day, month] = dateOrder === 'DMY' ? [+match[1], +match[3]] : [+match[3], +match[1]];
+        return this.buildDate(year, month, day, match.slice(5, 8), match[8]);
+    }
+
+    parseNamedMonthDate(value) {
+        const cleaned = value.replace(/(\d)(st|nd|rd|th)\b/g, '$1').replace(/\./g, '');
+        const monthPattern = Object.keys(this.monthNames).sort((a, b) => b.length - a.length).join('|');
+        const timePart = '(?:\\s+(?:at\\s+)?(\\d{1,2}):(\\d{2})(?::(\\d{2}))?\\s*(am|pm)?)?';
+
+        // "January 5 2024", "Jan 5"
+        let match = cleaned.match(new RegExp(`^(?:[a-z]+\\s+)?(${monthPattern})\\s+(\\d{1,2})(?:\\s+(\\d{4}))?${timePart}$`));
+        if (match) {
+            const year = match[3] ? +match[3] : this.now.getFullYear();
+            return this.buildDate(year, this.monthNames[match[1]], +match[2], match.slice(4, 7), match[7]);
+        }
+
+        // "5 January 2024", "Mon 5 Jan 2024"
+        match = cleaned.match(new RegExp(`^(?:[a-z]+\\s+)?(\\d{1,2})\\s+(${monthPattern})(?:\\s+(\\d{4}))?${timePart}$`));
+        if (match) {
+            const year = match[3] ? +match[3] : this.now.getFullYear();
+            return this.buildDate(year, this.monthNames[match[2]], +match[1], match.slice(4, 7), match[7]);
+        }
+
+        // "January 2024"
+        match = cleaned.match(new RegExp(`^(${monthPattern})\\s+(\\d{4})$`));
+        if (match) return this.buildDate(+match[2], this.monthNames[match[1]], 1);
+        return null;
+    }
+
+    expandYear(year) {
+        if (year >= 100) return year;
+        return year + (year < 70 ? 2000 : 1900);
+    }
+
+    buildDate(year, month, day, timeParts = [], meridiem) {
+        if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+        const date = new Date(year, month - 1, day);
+        if (date.getMonth() !== month - 1) return null; // e.g. 31 February
+
+        const [hours, minutes, seconds] = (timeParts || []).map(part => part === undefined ? undefined : parseInt(part, 10));
+        if (hours === undefined) return this.formatDate(date);
+
+        let hour = hours;
+        if (meridiem === 'pm' && hour < 12) hour += 12;
+        if (meridiem === 'am' && hour === 12) hour = 0;
+        date.setHours(hour, minutes || 0, seconds || 0);
+        return this.formatDateTime(date);
+    }
+
+    shiftDate(base, unit, amount) {
+        const date = new Date(base.getTime());
+        switch (unit) {
+            case 's': date.setSeconds(date.getSeconds() + amount); break;
+            case 'm': date.setMinutes(date.getMinutes() + amount); break;
+            case 'h': date.setHours(date.getHours() + amount); break;
+            case 'd': date.setDate(date.getDate() + amount); break;
+            case 'w': date.setDate(date.getDate() + amount * 7); break;
+            case 'M': date.setMonth(date.getMonth() + amount); break;
+            case 'y': date.setFullYear(date.getFullYear() + amount); break;
+        }
+        return date;
+    }
+
+    formatDate(date) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * "z" becomes "Z" and "+0530" becomes "+05:30", so timestamps keep the zone
+     * they were written in.
+     */
+    formatOffset(zone) {
+        if (zone === 'z') return 'Z';
+        const digits = zone.replace(':', '');
+        return `${digits.slice(0, 3)}:${digits.slice(3)}`;
+    }
+
+    formatDateTime(date) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${this.formatDate(date)}T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+    }
+
+    /**
+     * The UTC "YYYY-MM-DDTHH:MM:SS" of a timestamp that ends in "Z" or an offset,
+     * for outputs that cannot hold a zone. Other values are returned unchanged.
+     */
+    toUtc(iso) {
+        const match = /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2})(Z|[+-]\d{2}:\d{2})$/.exec(iso);
+        if (!match) return iso;
+        const time = new Date(match[1] + match[2]).getTime();
+        return Number.isNaN(time) ? iso : new Date(time).toISOString().substring(0, 19);
+    }
+
+    /**
+     * Plain-text rendering of a normalized value for the preview.
+     */
+    formatForDisplay(value) {
+        if (value === null || value === undefined) return '';
+        if (typeof value === 'object' && 'amount' in value) return value.currency ? `${value.amount} ${value.currency}` : String(value.amount);
+        return String(value);
+    }
+}
@@ -0,0 +1,189 @@
+/**
+ * @author : Zahir
+ * Desc : Virtualized data grid. Only the rows inside the viewport (plus a
+ * small overscan) are in the DOM, so tables with many thousands of rows stay
+ * responsive. Columns can be resized by dragging their right edge and
+ * reordered by dragging their header. The grid owns no data: cell contents
+ * come from callbacks supplied by the page.
+ */
+class VirtualGrid {
+    /**
+     * @param {HTMLElement} viewport - scrolling container the grid is rendered into.
+     * @param {object} callbacks
+     * @param {function(number, object): {text: string, className: string}} callbacks.getCell - view row index and column.
+     * @param {function(HTMLElement, object): void} callbacks.renderHeaderCell
+     * @param {function(HTMLElement, object): void} callbacks.renderFilterCell
+     * @param {function(object, number): void} callbacks.onColumnResize
+     * @param {function(number, number): void} callbacks.onColumnMove - source and target column keys.
+     */
+    constructor(viewport, callbacks = {}) {
+        this.viewport = viewport;
+        this.callbacks = callbacks;
+        this.rowHeight = 28;
+        this.overscan = 8;
+        this.minColumnWidth = 48;
+        this.columns = [];
+        this.rowCount = 0;
+        this.renderedRange = null;
+
+        this.header = this.createElement('div', 'grid-header');
+        this.filterRow = this.createElement('div', 'grid-filters');
+        this.body = this.createElement('div', 'grid-body');
+        this.viewport.classList.add('grid-viewport');
+        this.viewport.append(this.header, this.filterRow, this.body);
+
+        this.viewport.addEventListener('scroll', () => this.renderRows());
+        window.addEventListener('resize', () => this.renderRows(true));
+    }
+
+    createElement(tagName, className) {
+        const element = document.createElement(tagName);
+        element.className = className;
+        return element;
+    }
+
+    /**
+     * @param {Array<{key: number, label: string, width: number}>} columns - visible columns in display order.
+     * @param {number} rowCount - rows in the current view.
+     */
+    setData(columns, rowCount) {
+        this.columns = columns;
+        this.rowCount = rowCount;
+        this.renderHeader();
+        this.refresh();
+    }
+
+    /**
+     * Re-renders the visible rows, e.g. after the cell contents changed.
+     */
+    refresh() {
+        const totalWidth = this.getTotalWidth();
+        [this.header, this.filterRow, this.body].forEach(element => { element.style.width = `${totalWidth}px`; });
+        this.body.style.height = `${this.rowCount * this.rowHeight}px`;
+        this.renderRows(true);
+    }
+
+    getTotalWidth() {
+        return this.columns.reduce((sum, column) => sum + column.width, 0);
+    }
+
+    renderHeader() {
+        this.header.innerHTML = '';
+        this.filterRow.innerHTML = '';
+
+        this.columns.forEach(column => {
+            const cell = this.createElement('div', 'grid-cell grid-header-cell');
+            cell.style.width = `${column.width}px`;
+            cell.draggable = true;
+            cell.dataset.key = column.key;
+            if (this.callbacks.renderHeaderCell) this.callbacks.renderHeaderCell(cell, column);
+            this.attachReordering(cell, column);
+
+            const resizer = this.createElement('div', 'grid-resizer');
+            this.attachResizing(resizer, cell, column);
+            cell.appendChild(resizer);
+            this.header.appendChild(cell);
+
+            const filterCell = this.createElement('div', 'grid-cell grid-filter-cell');
+            filterCell.style.width = `${column.width}px`;
+            if (this.callbacks.renderFilterCell) this.callbacks.renderFilterCell(filterCell, column);
+            this.filterRow.appendChild(filterCell);
+        });
+    }
+
+    attachReordering(cell, column) {
+        cell.addEventListener('dragstart', (event) => {
+            event.dataTransfer.setData('text/plain', String(column.key));
+            event.dataTransfer.effectAllowed = 'move';
+        });
+        cell.addEventListener('dragover', (event) => {
+            event.preventDefault();
+            cell.classList.add('drop-target');
+        });
+        cell.addEventListener('dragleave', () => cell.classList.remove('drop-target'));
+        cell.addEventListener('drop', (event) => {
+            event.preventDefault();
+            cell.classList.remove('drop-target');
+            const sourceKey = parseInt(event.dataTransfer.getData('text/plain'), 10);
+            if (!isNaN(sourceKey) && sourceKey !== column.key && this.callbacks.onColumnMove) {
+                this.callbacks.onColumnMove(sourceKey, column.key);
+            }
+        });
+    }
+
+    attachResizing(resizer, cell, column) {
+        resizer.addEventListener('mousedown', (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            // A draggable header would start a column move instead.
+            cell.draggable = false;
+            const startX = event.clientX;
+            const startWidth = column.width;
+            let frame = null;
+
+            const onMove = (moveEvent) => {
+                column.width = Math.max(this.minColumnWidth, startWidth + moveEvent.clientX - startX);
+                if (frame) return;
+                frame = requestAnimationFrame(() => {
+                    frame = null;
+                    this.applyColumnWidth(column);
+                });
+            };
+            const onUp = () => {
+                document.removeEventListener('mousemove', onMove);
+                document.removeEventListener('mouseup', onUp);
+                cell.draggable = true;
+                this.applyColumnWidth(column);
+                if (this.callbacks.onColumnResize) this.callbacks.onColumnResize(column, column.width);
+            };
+            document.addEventListener('mousemove', onMove);
+            document.addEventListener('mouseup', onUp);
+        });
+    }
+
+    applyColumnWidth(column) {
+        const position = this.columns.indexOf(column);
+        if (position === -1) return;
+        [this.header, this.filterRow, ...this.body.children].forEach(row => {
+            const cell = row.children[position];
+            if (cell) cell.style.width = `${column.width}px`;
+        });
+        const totalWidth = this.getTotalWidth();
+        [this.header, this.filterRow, this.body].forEach(element => { element.style.width = `${totalWidth}px`; });
+    }
+
+    renderRows(force = false) {
+        const headerHeight = this.header.offsetHeight + this.filterRow.offsetHeight;
+        const scrollTop = Math.max(0, this.viewport.scrollTop - headerHeight);
+        const visibleCount = Math.ceil((this.viewport.clientHeight || 600) / this.rowHeight);
+        const first = Math.max(0, Math.floor(scrollTop / this.rowHeight) - this.overscan);
+        const last = Math.min(this.rowCount, first + visibleCount + this.overscan * 2);
+
+        if (!force && this.renderedRange && this.renderedRange.first === first && this.renderedRange.last === last) return;
+        this.renderedRange = { first, last };
+
+        const fragment = document.createDocumentFragment();
+        for (let rowIndex = first; rowIndex < last; rowIndex++) {
+            const row = this.createElement('div', 'grid-row');
+            row.style.transform = `translateY(${rowIndex * this.rowHeight}px)`;
+            row.style.height = `${this.rowHeight}px`;
+            row.dataset.row = rowIndex;
+            if (rowIndex % 2 === 1) row.classList.add('odd');
+
+            this.columns.forEach(column => {
+                const { text, className } = this.callbacks.getCell(rowIndex, column);
+                const cell = this.createElement('div', 'grid-cell');
+                if (className) cell.classList.add(...className.split(' '));
+                cell.style.width = `${column.width}px`;
+                cell.textContent = text;
+                cell.title = text;
+                cell.dataset.key = column.key;
+                row.appendChild(cell);
+            });
+            fragment.appendChild(row);
+        }
+
+        this.body.innerHTML = '';
+        this.body.appendChild(fragment);
+    }
+}
@@ -3,9 +3,23 @@
  * Desc : Handles extraction from virtualized (infinite scroll) tables.
  */
 class VirtualizedTableHandler {
-    constructor(tableAnalyzer, domUtils) {
+    constructor(tableAnalyzer, domUtils, ariaGridExtractor) {
         this.tableAnalyzer = tableAnalyzer;
         this.domUtils = domUtils;
+        this.ariaGridExtractor = ariaGridExtractor;
+        this.maxScrollSteps = 500;
+        // Harvesting stops after this many scroll steps in a row bring no new rows.
+        this.maxIdleSteps = 3;
+        this.harvests = new Set();
+    }
+
+    /**
+     * Stops the running harvests, which then return the rows read so far.
+     * Returns false when none was running.
+     */
+    cancel() {
+        this.harvests.forEach(session => { session.cancelled = true; });
+        return this.harvests.size > 0;
     }
 
     /**
@@ -54,42 +68,175 @@ class VirtualizedTableHandler {
         return (strongSignals + weakSignals) >= 2;
     }
 
-    async extractVirtualizedTableData(container) {
-        const scrollTargets = this.findAllScrollableElements(container);
+    /**
+     * @param {object} options
+     * @param {function(): Promise} options.waitForSettle - resolves once the DOM is quiet after a scroll.
+     * @param {function(object)} options.onProgress - called with { rows, expected } after each
+     *        step and with { done: true } at the end.
+     */
+    async extractVirtualizedTableData(container, options = {}) {
+        const session = this.startHarvest(options);
         let bestResult = null;
+        try {
+            for (const scrollableElement of this.findAllScrollableElements(container)) {
+                if (session.cancelled) break;
+                try {
+                    const result = await this.performScrollExtraction(container, scrollableElement, session);
+                    const cleaned = this._normalizeData(result);
+                    if (cleaned && (!bestResult || cleaned.rows.length > bestResult.rows.length)) {
+                        bestResult = cleaned;
+                    }
+                } catch (error) {
+                    console.warn(`Error with scrollable element:`, error);
+                }
+            }
+
+            if (!session.cancelled && (!bestResult || bestResult.rows.length < 15)) {
+                const deepScanResult = await this.performDeepTableScan(container);
+                const deepClean = this._normalizeData(deepScanResult);
+                if (deepClean && (!bestResult || deepClean.rows.length > bestResult.rows.length)) {
+                    bestResult = deepClean;
+                }
+            }
+        } finally {
+            this.finishHarvest(session);
+        }
 
-        for (const scrollableElement of scrollTargets) {
-            const originalScrollTop = scrollableElement.scrollTop;
+        // Fallback: if nothing solid, return the implicit analysis (also normalized)
+        const fallback = bestResult || await this.tableAnalyzer.analyzeImplicitTable(container);
+        const data = this._normalizeData(fallback);
+        if (data && session.cancelled) {
+            data.completeness = { expectedRows: session.expectedRows, extractedRows: data.rows.length, complete: false };
+        }
+        return data;
+    }
+
+    /**
+     * Reads an ARIA grid, scrolling it when aria-rowcount promises more rows than
+     * the DOM holds. Rows of each window are merged by their aria-rowindex, and
+     * data.completeness tells whether every row was reached. Takes the options of
+     * extractVirtualizedTableData and those of AriaGridExtractor.buildTableData.
+     */
+    async extractAriaGrid(grid, options = {}) {
+        const extractor = this.ariaGridExtractor;
+        const merged = extractor.readGrid(grid);
+        if (extractor.describeCompleteness(merged).complete === false) {
+            const session = this.startHarvest(options);
+            const collect = async () => {
+                extractor.mergeRead(merged, extractor.readGrid(grid));
+                const { extractedRows, expectedRows } = extractor.describeCompleteness(merged);
+                return { rows: extractedRows, expected: expectedRows };
+            };
             try {
-                const result = await this.performScrollExtraction(container, scrollableElement);
-                const cleaned = this._normalizeData(result);
-                if (cleaned && (!bestResult || cleaned.rows.length > bestResult.rows.length)) {
-                    bestResult = cleaned;
+                // The grid's own scroller is the likeliest to drive its row window.
+                const scrollTargets = this.findAllScrollableElements(grid).sort((a, b) => (a === window) - (b === window));
+                for (const scrollableElement of scrollTargets) {
+                    if (session.cancelled) break;
+                    try {
+                        await this.harvest(grid, scrollableElement, collect, session);
+                    } catch (error) {
+                        console.warn(`Error with scrollable element:`, error);
+                    }
+                    if (extractor.describeCompleteness(merged).complete !== false) break;
                 }
-            } catch (error) {
-                console.warn(`Error with scrollable element:`, error);
             } finally {
-                if (scrollableElement !== window) scrollableElement.scrollTop = originalScrollTop;
+                this.finishHarvest(session);
             }
         }
+        return extractor.buildTableData(merged, options);
+    }
 
-        if (!bestResult || bestResult.rows.length < 15) {
-            const zoomResult = await this.simulateZoomExtraction(container);
-            const zoomClean = this._normalizeData(zoomResult);
-            if (zoomClean && (!bestResult || zoomClean.rows.length > bestResult.rows.length)) {
-                bestResult = zoomClean;
-            }
+    startHarvest(options) {
+        const session = {
+            cancelled: false,
+            expectedRows: null,
+            onProgress: options.onProgress || (() => {}),
+            waitForSettle: options.waitForSettle || (() => Utils.sleep(300))
+        };
+        this.harvests.add(session);
+        return session;
+    }
 
-            const deepScanResult = await this.performDeepTableScan(container);
-            const deepClean = this._normalizeData(deepScanResult);
-            if (deepClean && (!bestResult || deepClean.rows.length > bestResult.rows.length)) {
-                bestResult = deepClean;
+    finishHarvest(session) {
+        this.harvests.delete(session);
+        session.onProgress({ done: true, cancelled: session.cancelled });
+    }
+
+    /**
+     * Scrolls through a table from the top and reads it with `collect` each time
+     * the DOM has settled. Every step moves a screenful of rows minus two, so
+     * consecutive windows overlap. Stops at the end of the scroller, once the
+     * expected number of rows is read, after maxIdleSteps steps without new rows,
+     * or when cancelled. The scroll positions are always restored.
+     * @param {function(): Promise<{rows: number, expected: (number|null)}>} collect
+     */
+    async harvest(container, scrollableElement, collect, session) {
+        const view = this.getScrollView(scrollableElement);
+        const saved = { position: view.get(), windowX: window.scrollX, windowY: window.scrollY };
+        try {
+            view.set(0);
+            await session.waitForSettle();
+            let progress = await collect();
+            this.reportProgress(session, progress);
+
+            let idleSteps = 0;
+            for (let step = 0; step < this.maxScrollSteps && !session.cancelled; step++) {
+                if (progress.expected && progress.rows >= progress.expected) break;
+                const before = view.get();
+                if (before >= view.max() - 1) break;
+
+                view.set(before + this.getScrollStep(container, view));
+                await session.waitForSettle();
+                if (session.cancelled) break;
+
+                const next = await collect();
+                idleSteps = next.rows > progress.rows ? 0 : idleSteps + 1;
+                progress = next;
+                this.reportProgress(session, progress);
+                if (idleSteps >= this.maxIdleSteps) break;
             }
+        } finally {
+            view.set(saved.position);
+            window.scrollTo(saved.windowX, saved.windowY);
         }
+    }
 
-        // Fallback: if nothing solid, return the implicit analysis (also normalized)
-        const fallback = bestResult || await this.tableAnalyzer.analyzeImplicitTable(container);
-        return this._normalizeData(fallback);
+    reportProgress(session, progress) {
+        session.expectedRows = progress.expected;
+        session.onProgress({ rows: progress.rows, expected: progress.expected });
+    }
+
+    getScrollView(scrollableElement) {
+        const isWindow = scrollableElement === window;
+        return {
+            get: () => isWindow ? window.scrollY : scrollableElement.scrollTop,
+            set: position => isWindow ? window.scrollTo(window.scrollX, position) : (scrollableElement.scrollTop = position),
+            max: () => isWindow ? document.documentElement.scrollHeight - window.innerHeight : scrollableElement.scrollHeight - scrollableElement.clientHeight,
+            height: () => isWindow ? window.innerHeight : scrollableElement.clientHeight
+        };
+    }
+
+    /**
+     * A screenful of rows less two, measured from the rows currently rendered.
+     */
+    getScrollStep(container, view) {
+        const rowHeight = this.measureRowHeight(container);
+        const height = view.height();
+        if (!rowHeight) return Math.max(height * 0.8, 50);
+        return rowHeight * Math.max(1, Math.floor(height / rowHeight) - 2);
+    }
+
+    /**
+     * The median height of the table's rendered rows: its <tr> or role="row"
+     * elements, or else its children.
+     */
+    measureRowHeight(container) {
+        let rows = this.ariaGridExtractor.isGrid(container)
+            ? this.ariaGridExtractor.getRows(container)
+            : this.domUtils.querySelectorAllDeep('tr, [role="row"]', container);
+        if (rows.length === 0) rows = this.domUtils.getComposedChildren(container);
+        const heights = rows.map(row => row.getBoundingClientRect().height).filter(height => height > 0).sort((a, b) => a - b);
+        return heights.length > 0 ? heights[Math.floor(heights.length / 2)] : 0;
     }
 
     findScrollableParent(element) {
@@ -122,58 +269,29 @@ class VirtualizedTableHandler {
         return Array.from(scrollableElements);
     }
 
-    async performScrollExtraction(container, scrollableElement) {
-        const allRowsWithPositions = [];
-        const seenRows = new Set();
+    async performScrollExtraction(container, scrollableElement, session) {
+        const rows = [];
         let headers = [];
+        const rowCount = parseInt(container.getAttribute('aria-rowcount'), 10);
 
-        const isWindow = scrollableElement === window || scrollableElement === document.body;
-        const getMaxScroll = () => isWindow ? document.documentElement.scrollHeight - window.innerHeight : scrollableElement.scrollHeight - scrollableElement.clientHeight;
-
-        for (let step = 0; step <= 10; step++) {
-            const maxScroll = getMaxScroll();
-            if (maxScroll <= 0) break;
-
-            const scrollPosition = (maxScroll / 10) * step;
-            isWindow ? window.scrollTo(0, scrollPosition) : (scrollableElement.scrollTop = scrollPosition);
-            await Utils.sleep(300);
-
+        const collect = async () => {
             const stepData = await this.tableAnalyzer.analyzeImplicitTable(container);
+            let expected = null;
             if (stepData) {
                 if (stepData.headers.length > headers.length) headers = stepData.headers;
-                stepData.rows.forEach(row => {
-                    const rowKey = row.join('|');
-                    if (!seenRows.has(rowKey)) {
-                        seenRows.add(rowKey);
-                        allRowsWithPositions.push({ data: row, scroll: scrollPosition, order: allRowsWithPositions.length });
-                    }
-                });
+                // Rows repeated from the previous step are the overlap between the two.
+                Utils.appendWindow(rows, stepData.rows);
+                // aria-rowcount counts the header row too.
+                if (rowCount > 0) expected = rowCount - (stepData.headerRows ? stepData.headerRows.length : 0);
             }
-        }
+            return { rows: rows.length, expected };
+        };
 
-        allRowsWithPositions.sort((a, b) => a.scroll !== b.scroll ? a.scroll - b.scroll : a.order - b.order);
-        const rows = allRowsWithPositions.map(r => r.data);
+        // Rows are collected top to bottom, so they stay in page order.
+        await this.harvest(container, scrollableElement, collect, session);
         return { headers, rows, columnTypes: this.tableAnalyzer.inferColumnTypes(rows) };
     }
 
-    async simulateZoomExtraction(container) {
-        const originalStyles = { transform: document.body.style.transform, origin: document.body.style.transformOrigin, width: document.body.style.width, height: document.body.style.height };
-        try {
-            document.body.style.transform = 'scale(0.5)';
-            document.body.style.transformOrigin = '0 0';
-            document.body.style.width = '200%';
-            document.body.style.height = '200%';
-            await Utils.sleep(500);
-            return await this.tableAnalyzer.analyzeImplicitTable(container);
-        } finally {
-            document.body.style.transform = originalStyles.transform;
-            document.body.style.transformOrigin = originalStyles.origin;
-            document.body.style.width = originalStyles.width;
-            document.body.style.height = originalStyles.height;
-            await Utils.sleep(200);
-        }
-    }
-
     async performDeepTableScan(container) {
         const rowSelectors = ['[class*="row"]', '[class*="item"]', '[role="row"]', 'tr', 'li'];
         const searchRoot = container.closest('[class*="table"], [class*="grid"], [class*="list"]') || container;
@@ -202,7 +320,7 @@ class VirtualizedTableHandler {
         if (rowsWithPositions.length > 0) {
             const sortedRows = rowsWithPositions.sort((a, b) => a.domPosition - b.domPosition).map(row => row.data);
             return {
-                headers: headers.length > 0 ? headers : Array.from({ length: Math.max(...sortedRows.map(r => r.length)) }, (_, i) => `Column ${i + 1}`),
+                headers: headers.length > 0 ? headers : Array.from({ length: sortedRows.reduce((max, row) => Math.max(max, row.length), 0) }, (_, i) => `Column ${i + 1}`),
                 rows: sortedRows,
                 columnTypes: this.tableAnalyzer.inferColumnTypes(sortedRows)
             };
@@ -211,9 +329,8 @@ class VirtualizedTableHandler {
     }
 
     /**
-     * Normalize results to avoid header duplication:
-     * - If the first (or any) row equals the headers, drop it from `rows`.
-     * - Also de-duplicate identical rows to keep comparisons stable.
+     * Normalize results to avoid header duplication: if the first (or any) row
+     * equals the headers, drop it from `rows`. Identical body rows are kept.
      */
     _normalizeData(data) {
         if (!data || !Array.isArray(data.rows)) return data;
@@ -229,15 +346,6 @@ class VirtualizedTableHandler {
             );
         }
 
-        // Deduplicate row content
-        const seen = new Set();
-        rows = rows.filter(r => {
-            const key = r.join('|');
-            if (seen.has(key)) return false;
-            seen.add(key);
-            return true;
-        });
-
         return {
             headers: data.headers || [],
             rows,
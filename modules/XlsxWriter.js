@@ -0,0 +1,362 @@
+/**
+ * @author : Zahir
+ * Desc : Writes Office Open XML (.xlsx) workbooks in the browser, without any
+ * server or library. Each table becomes a sheet with typed number, date,
+ * percentage and currency cells, a bold frozen header row and column widths
+ * sized to the content. The workbook is packed into an uncompressed ZIP.
+ */
+class XlsxWriter {
+    constructor(valueNormalizer) {
+        this.valueNormalizer = valueNormalizer;
+        this.sheets = [];
+        this.numberFormats = [];
+        this.cellStyles = [];
+        this.mimeType = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+        this.crcTable = null;
+    }
+
+    /**
+     * Adds a table as a sheet. Column types come from data.columnTypes, with
+     * data.typeOverrides taking precedence, exactly as in the clean view.
+     */
+    addSheet(name, data) {
+        const normalized = this.valueNormalizer.normalizeTable(data, data.typeOverrides);
+        this.sheets.push({
+            name: this.getUniqueSheetName(name),
+            headers: data.headers,
+            columns: normalized.columns,
+            rows: normalized.rows
+        });
+    }
+
+    toBlob() {
+        return new Blob([this.build()], { type: this.mimeType });
+    }
+
+    build() {
+        if (this.sheets.length === 0) this.addSheet('Sheet1', { headers: [], rows: [] });
+        const sheetXml = this.sheets.map(sheet => this.buildSheet(sheet));
+
+        const encoder = new TextEncoder();
+        const files = [
+            ['[Content_Types].xml', this.buildContentTypes()],
+            ['_rels/.rels', this.buildRootRels()],
+            ['xl/workbook.xml', this.buildWorkbook()],
+            ['xl/_rels/workbook.xml.rels', this.buildWorkbookRels()],
+            // Built last, as writing the sheets registers the styles they use.
+            ['xl/styles.xml', this.buildStyles()],
+            ...sheetXml.map((xml, index) => [`xl/worksheets/sheet${index + 1}.xml`, xml])
+        ];
+        return this.buildZip(files.map(([path, xml]) => ({ path, data: encoder.encode(xml) })));
+    }
+
+    /**
+     * Excel sheet names are at most 31 characters, may not contain : \ / ? * [ ]
+     * and must be unique ignoring case.
+     */
+    getUniqueSheetName(name) {
+        const base = (String(name || '').replace(/[:\\/?*\[\]]/g, ' ').replace(/^'+|'+$/g, '').trim() || `Sheet${this.sheets.length + 1}`).substring(0, 31);
+        const taken = new Set(this.sheets.map(sheet => sheet.name.toLowerCase()));
+        let candidate = base;
+        for (let n = 2; taken.has(candidate.toLowerCase()); n++) {
+            const suffix = ` (${n})`;
+            candidate = base.substring(0, 31 - suffix.length) + suffix;
+        }
+        return candidate;
+    }
+
+    buildSheet(sheet) {
+        const columnCount = Math.max(sheet.headers.length, sheet.columns.length);
+        const widths = new Array(columnCount).fill(0);
+        const rowsXml = [];
+        let rowNumber = 0;
+
+        if (sheet.headers.length > 0) {
+            rowNumber++;
+            const headerStyle = this.getStyleId({ bold: true });
+            const cells = sheet.headers.map((header, col) => {
+                widths[col] = Math.max(widths[col], this.measure(header));
+                return this.buildStringCell(this.getCellRef(col, rowNumber), header, headerStyle);
+            });
+            rowsXml.push(`<row r="${rowNumber}">${cells.join('')}</row>`);
+        }
+
+        sheet.rows.forEach(row => {
+            rowNumber++;
+            const cells = [];
+            row.forEach((value, col) => {
+                const cell = this.buildCell(this.getCellRef(col, rowNumber), value, sheet.columns[col]);
+                if (!cell) return;
+                cells.push(cell.xml);
+                widths[col] = Math.max(widths[col], cell.width);
+            });
+            rowsXml.push(`<row r="${rowNumber}">${cells.join('')}</row>`);
+        });
+
+        const hasHeader = sheet.headers.length > 0;
+        const pane = hasHeader ? '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/><selection pane="bottomLeft" activeCell="A2" sqref="A2"/>' : '';
+        const cols = widths.map((width, index) => {
+            const chars = Math.min(60, Math.max(8, width + 2));
+            return `<col min="${index + 1}" max="${index + 1}" width="${chars}" customWidth="1"/>`;
+        }).join('');
+        const dimension = `A1:${this.getCellRef(Math.max(0, columnCount - 1), Math.max(1, rowNumber))}`;
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+            `<dimension ref="${dimension}"/>` +
+            `<sheetViews><sheetView workbookViewId="0">${pane}</sheetView></sheetViews>` +
+            '<sheetFormatPr defaultRowHeight="15"/>' +
+            (cols ? `<cols>${cols}</cols>` : '') +
+            `<sheetData>${rowsXml.join('')}</sheetData>` +
+            '</worksheet>';
+    }
+
+    /**
+     * Returns the cell XML and its display width in characters, or null for an
+     * empty cell. Values that did not parse stay strings.
+     */
+    buildCell(ref, value, column) {
+        if (value === null || value === undefined || value === '') return null;
+        const type = column ? column.type : 'text';
+
+        if (typeof value === 'number' && isFinite(value)) {
+            if (type === 'percentage') {
+                return { xml: this.buildNumberCell(ref, value, this.getStyleId({ numFmtId: 10 })), width: this.measure(`${(value * 100).toFixed(2)}%`) };
+            }
+            const isInteger = Number.isInteger(value);
+            const style = isInteger ? 0 : this.getStyleId({ numFmtId: 4 });
+            return { xml: this.buildNumberCell(ref, value, style), width: this.measure(isInteger ? String(value) : value.toFixed(2)) + 2 };
+        }
+
+        if (typeof value === 'object' && 'amount' in value) {
+            const format = value.currency ? `#,##0.00 "${value.currency}"` : '#,##0.00';
+            return { xml: this.buildNumberCell(ref, value.amount, this.getStyleId({ formatCode: format })), width: this.measure(`${value.amount.toFixed(2)} ${value.currency || ''}`) + 2 };
+        }
+
+        if (typeof value === 'boolean') {
+            return { xml: `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`, width: 5 };
+        }
+
+        if (type === 'date' && typeof value === 'string') {
+            const serial = this.toSerialDate(value);
+            if (serial !== null) {
+                const hasTime = value.includes('T');
+                const format = hasTime ? 'yyyy-mm-dd hh:mm:ss' : 'yyyy-mm-dd';
+                return { xml: this.buildNumberCell(ref, serial, this.getStyleId({ formatCode: format })), width: format.length };
+            }
+        }
+
+        return { xml: this.buildStringCell(ref, String(value), 0), width: this.measure(value) };
+    }
+
+    buildNumberCell(ref, number, style) {
+        return `<c r="${ref}"${style ? ` s="${style}"` : ''}><v>${number}</v></c>`;
+    }
+
+    buildStringCell(ref, text, style) {
+        return `<c r="${ref}" t="inlineStr"${style ? ` s="${style}"` : ''}><is><t xml:space="preserve">${this.escapeXml(text)}</t></is></c>`;
+    }
+
+    measure(text) {
+        return String(text == null ? '' : text).split('\n').reduce((max, line) => Math.max(max, line.length), 0);
+    }
+
+    /**
+     * Converts an ISO date or date-time from ValueNormalizer into an Excel
+     * serial number (days since 1899-12-30). Excel has no time zones, so
+     * timestamps with a zone are written in UTC.
+     */
+    toSerialDate(iso) {
+        const match = this.valueNormalizer.toUtc(iso).match(/^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+        if (!match) return null;
+        const [, year, month, day, hours = 0, minutes = 0, seconds = 0] = match.map(part => part === undefined ? undefined : Number(part));
+        const time = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+        return Math.round((time - Date.UTC(1899, 11, 30)) / 1000) / 86400;
+    }
+
+    getCellRef(col, row) {
+        let letters = '';
+        for (let n = col + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            letters = String.fromCharCode(65 + (n - 1) % 26) + letters;
+        }
+        return `${letters}${row}`;
+    }
+
+    /**
+     * Registers a cell style and returns its index in cellXfs. Style 0 is the
+     * default; custom number formats get ids from 164 up, as built-in ones stop there.
+     */
+    getStyleId({ bold = false, numFmtId = 0, formatCode = null }) {
+        if (formatCode) {
+            let format = this.numberFormats.find(f => f.code === formatCode);
+            if (!format) {
+                format = { id: 164 + this.numberFormats.length, code: formatCode };
+                this.numberFormats.push(format);
+            }
+            numFmtId = format.id;
+        }
+        const key = `${bold ? 1 : 0}:${numFmtId}`;
+        let index = this.cellStyles.findIndex(style => style.key === key);
+        if (index === -1) {
+            this.cellStyles.push({ key, bold, numFmtId });
+            index = this.cellStyles.length - 1;
+        }
+        return index + 1;
+    }
+
+    buildStyles() {
+        const numFmts = this.numberFormats.length > 0
+            ? `<numFmts count="${this.numberFormats.length}">${this.numberFormats.map(f => `<numFmt numFmtId="${f.id}" formatCode="${this.escapeXml(f.code)}"/>`).join('')}</numFmts>`
+            : '';
+        const xfs = ['<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>', ...this.cellStyles.map(style =>
+            `<xf numFmtId="${style.numFmtId}" fontId="${style.bold ? 1 : 0}" fillId="0" borderId="0" xfId="0"` +
+            `${style.numFmtId ? ' applyNumberFormat="1"' : ''}${style.bold ? ' applyFont="1"' : ''}/>`)];
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            numFmts +
+            '<fonts count="2"><font><sz val="11"/><name val="Calibri"/><family val="2"/></font><font><b/><sz val="11"/><name val="Calibri"/><family val="2"/></font></fonts>' +
+            '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+            '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+            '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+            `<cellXfs count="${xfs.length}">${xfs.join('')}</cellXfs>` +
+            '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+            '</styleSheet>';
+    }
+
+    buildContentTypes() {
+        const sheets = this.sheets.map((_, index) =>
+            `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('');
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+            '<Default Extension="xml" ContentType="application/xml"/>' +
+            '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+            '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+            sheets +
+            '</Types>';
+    }
+
+    buildRootRels() {
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+            '</Relationships>';
+    }
+
+    buildWorkbook() {
+        const sheets = this.sheets.map((sheet, index) =>
+            `<sheet name="${this.escapeXml(sheet.name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('');
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+            '<bookViews><workbookView/></bookViews>' +
+            `<sheets>${sheets}</sheets>` +
+            '</workbook>';
+    }
+
+    buildWorkbookRels() {
+        const sheets = this.sheets.map((_, index) =>
+            `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`).join('');
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            sheets +
+            `<Relationship Id="rId${this.sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+            '</Relationships>';
+    }
+
+    escapeXml(value) {
+        return String(value)
+            // Control characters are not allowed in XML 1.0 at all.
+            .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\uFFFE\uFFFF]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Packs the files into a ZIP archive using the "stored" method (no
+     * compression), which every spreadsheet application accepts.
+     */
+    buildZip(files) {
+        const encoder = new TextEncoder();
+        const { time, date } = this.getDosDateTime(new Date());
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = encoder.encode(file.path);
+            const crc = this.crc32(file.data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true); // UTF-8 file names
+            local.setUint16(8, 0, true);
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, file.data.length, true);
+            local.setUint32(22, file.data.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true);
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, time, true);
+            central.setUint16(14, date, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, file.data.length, true);
+            central.setUint32(24, file.data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);
+
+            localParts.push(new Uint8Array(local.buffer), name, file.data);
+            centralParts.push(new Uint8Array(central.buffer), name);
+            offset += 30 + name.length + file.data.length;
+        });
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+        const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let position = 0;
+        parts.forEach(part => {
+            output.set(part, position);
+            position += part.length;
+        });
+        return output;
+    }
+
+    getDosDateTime(now) {
+        return {
+            time: (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2),
+            date: ((Math.max(1980, now.getFullYear()) - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate()
+        };
+    }
+
+    crc32(bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) crc = this.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+}
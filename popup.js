@@ -5,6 +5,35 @@ class CognitoTablePopup {
     constructor() {
         this.detectedTables = [];
         this.currentTable = null;
+        this.tableEditor = null;
+        this.selectedCell = null;
+        // Teach & Refine: the preview shows every extracted row with its label.
+        this.refineMode = false;
+        this.tableAnalyzer = new TableAnalyzer(null);
+        this.rowLabels = { header: 'Header', data: 'Data', footer: 'Footer / Summary', divider: 'Section Divider', ignore: 'Ignore' };
+        this.columnLabels = { data: 'Column', key: 'Key', ignore: 'Ignore' };
+        this.viewMode = 'raw';
+        this.showSchema = true;
+        this.valueNormalizer = new ValueNormalizer();
+        this.exportRegistry = new ExportRegistry(this.valueNormalizer);
+        // Options chosen per export format during this popup session.
+        this.exportOptions = {};
+        this.columnTypeOptions = ['text', 'number', 'currency', 'percentage', 'date', 'time', 'boolean', 'email', 'url', 'phone'];
+        // Manual selections and multi-page results, which a page rescan cannot reproduce.
+        this.persistentTables = [];
+        this.tabId = null;
+        this.macros = [];
+        this.recipes = [];
+        this.customSelections = [];
+        this.nearMisses = [];
+        this.scoreSignals = {
+            structuralSimilarity: 'Structural similarity',
+            visualAlignment: 'Visual alignment',
+            contentHomogeneity: 'Content homogeneity',
+            semanticClues: 'Semantic clues'
+        };
+        this.tabUrl = '';
+        this.tabTitle = '';
         this.scanInProgress = false;
         this.init();
     }
@@ -17,22 +46,75 @@ class CognitoTablePopup {
 
     setupEventListeners() {
         document.getElementById('rescanPage').addEventListener('click', () => this.rescanPage());
+        document.getElementById('stopScan').addEventListener('click', () => this.cancelScan());
+        document.getElementById('cancelHarvest').addEventListener('click', () => this.cancelHarvest());
         document.getElementById('manualSelect').addEventListener('click', () => this.activateManualSelection());
+        document.getElementById('cognitiveSelect').addEventListener('click', () => this.activateCognitiveSelection());
+        document.getElementById('debugOverlay').addEventListener('click', () => this.toggleDebugOverlay());
+        document.getElementById('openHistory').addEventListener('click', () => this.openHistory());
         document.getElementById('multiPage').addEventListener('click', () => this.startMultiPageExtraction());
         document.getElementById('backBtn').addEventListener('click', () => this.showMainView());
-        document.getElementById('exportCsv').addEventListener('click', () => this.exportData('csv'));
-        document.getElementById('exportJson').addEventListener('click', () => this.exportData('json'));
+        this.populateExportFormats();
+        document.getElementById('exportFormat').addEventListener('change', (e) => this.renderExportOptions(e.target.value));
+        document.getElementById('exportBtn').addEventListener('click', () => this.exportData(document.getElementById('exportFormat').value));
+        document.getElementById('exportAllXlsx').addEventListener('click', () => this.exportAllTables());
+        document.getElementById('spanMode').addEventListener('change', (e) => this.reextractCurrentTable(e.target.value));
+        document.getElementById('viewMode').addEventListener('change', (e) => this.setViewMode(e.target.value));
+        document.getElementById('showSchema').addEventListener('change', (e) => {
+            this.showSchema = e.target.checked;
+            if (this.currentTable) this.renderTablePreview(this.currentTable);
+        });
+        document.getElementById('lockSchema').addEventListener('click', () => this.toggleSchemaLock());
+        document.getElementById('exportQuarantine').addEventListener('click', () => this.exportQuarantine());
+        document.getElementById('saveRecipeBtn').addEventListener('click', () => this.openRecipeEditor());
+        document.getElementById('openWorkspace').addEventListener('click', () => this.openWorkspace());
+        document.getElementById('undoEdit').addEventListener('click', () => this.tableEditor && this.tableEditor.undo());
+        document.getElementById('redoEdit').addEventListener('click', () => this.tableEditor && this.tableEditor.redo());
+        document.getElementById('insertRow').addEventListener('click', () => this.editStructure('insertRow'));
+        document.getElementById('deleteRow').addEventListener('click', () => this.editStructure('deleteRow'));
+        document.getElementById('insertColumn').addEventListener('click', () => this.editStructure('insertColumn'));
+        document.getElementById('deleteColumn').addEventListener('click', () => this.editStructure('deleteColumn'));
+        document.addEventListener('keydown', (e) => this.handleEditShortcut(e));
+        document.getElementById('refineLayout').addEventListener('click', () => this.toggleRefineMode());
+        document.getElementById('resetLayout').addEventListener('click', () => this.applyRefinedLayout({ rows: [], columns: {}, repairs: [] }));
+        document.getElementById('mergeCells').addEventListener('click', () => this.addRepair('merge'));
+        document.getElementById('splitCell').addEventListener('click', () => this.addRepair('split'));
+        document.getElementById('insertBlankCell').addEventListener('click', () => this.addRepair('insert'));
+        document.getElementById('recipeBack').addEventListener('click', () => this.closeRecipeEditor());
+        document.getElementById('recipeSave').addEventListener('click', () => this.saveRecipe());
+        document.getElementById('exportRecipes').addEventListener('click', () => this.exportRecipes());
+        document.getElementById('importRecipes').addEventListener('click', () => this.openRecipeImport());
+        document.getElementById('recipeImportBack').addEventListener('click', () => this.closeOverlay('recipeImportView'));
+        document.getElementById('recipeImportSave').addEventListener('click', () => this.importRecipes());
+        document.getElementById('scheduleBack').addEventListener('click', () => this.closeOverlay('scheduleView'));
+        document.getElementById('scheduleSave').addEventListener('click', () => this.createScheduledJob());
+        document.getElementById('jobHistoryBack').addEventListener('click', () => this.closeOverlay('jobHistoryView'));
+        document.getElementById('recordMacro').addEventListener('click', () => this.startMacroRecording());
+        document.getElementById('multiPageBack').addEventListener('click', () => this.showMainView());
+        document.getElementById('multiPageTable').addEventListener('change', () => this.detectPagination());
+        document.getElementById('multiPageStart').addEventListener('click', () => this.runMultiPageJob());
+        document.getElementById('multiPageStop').addEventListener('click', () => this.stopMultiPageJob());
     }
 
     setupMessageListener() {
         chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-            // No need to check sender, popup only receives messages intended for it
+            // Frames report their tables to the background, which tags them with the
+            // frame and relays them here; the frames' own messages are ignored.
             switch (request.action) {
                 case 'tableFound':
-                    this.handleTableFound(request.table);
+                    if (!sender.tab) this.handleTableFound(request.table);
                     break;
                 case 'scanComplete':
-                    this.handleScanComplete(request);
+                    if (!sender.tab) this.handleScanComplete(request);
+                    break;
+                case 'macroProgress':
+                    this.renderMacroProgress(request);
+                    break;
+                case 'harvestProgress':
+                    if (sender.tab && sender.tab.id === this.tabId) this.renderHarvestProgress(request);
+                    break;
+                case 'multiPageProgress':
+                    if (request.tabId === this.tabId) this.renderMultiPageProgress(request);
                     break;
             }
         });
@@ -41,16 +123,27 @@ class CognitoTablePopup {
     async loadInitialState() {
         try {
             const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            this.tabId = tab.id;
+            this.tabUrl = tab.url;
+            this.tabTitle = tab.title || '';
             
             if (this.isRestrictedUrl(tab.url)) {
                 this.showError('Cannot scan this page (restricted URL)');
                 return;
             }
 
+            this.loadMacros(tab.url);
+            this.loadCustomSelections();
+            this.loadRecipes();
+            this.loadScheduledJobs();
+
             const cachedTables = await chrome.runtime.sendMessage({ 
                 action: 'getCachedTableData',
                 tabId: tab.id 
             });
+            this.persistentTables = await chrome.runtime.sendMessage({ action: 'getManualTables', tabId: tab.id }) || [];
+            const multiPageJob = await chrome.runtime.sendMessage({ action: 'getMultiPageJob', tabId: tab.id });
+            if (multiPageJob && multiPageJob.table) this.persistentTables.push(multiPageJob.table);
 
             if (cachedTables && Array.isArray(cachedTables)) {
                 // A valid cache exists, so we display it without showing any loaders.
@@ -58,15 +151,18 @@ class CognitoTablePopup {
                 document.getElementById('content').style.display = 'block';
                 document.getElementById('scanIndicator').style.display = 'none'; // Ensure it's hidden
 
-                if (cachedTables.length > 0) {
-                    this.detectedTables = cachedTables;
+                const tables = [...cachedTables, ...this.persistentTables];
+                if (tables.length > 0) {
+                    this.detectedTables = tables;
                     document.getElementById('tableCount').textContent = this.detectedTables.length;
                     document.getElementById('tableList').innerHTML = ''; // Clear placeholder
                     this.detectedTables.forEach(table => this.addTableToView(table));
                 } else {
                     // Cache is empty, meaning a previous scan found nothing.
-                    this.handleScanComplete({ iframes: [] });
+                    this.handleScanComplete({ failedFrames: [] });
                 }
+                this.loadNearMisses();
+                this.loadScanMetrics();
             } else {
                 // No valid cache, so we need to start a live scan.
                 this.scanCurrentPage();
@@ -100,11 +196,15 @@ class CognitoTablePopup {
 
     handleScanComplete(response) {
         this.scanInProgress = false;
+        // Areas picked with "Manually Select Area" survive rescans of the page.
+        this.persistentTables.forEach(table => this.handleTableFound(table));
         // Hide the "scanning for more" indicator now that the scan is finished.
         document.getElementById('scanIndicator').style.display = 'none';
+        if (response.nearMisses) this.renderNearMisses(response.nearMisses);
+        if (response.metrics) this.renderScanMetrics(response.metrics);
         
         if (this.detectedTables.length === 0) {
-            this.showNoTablesMessage(response.iframes || []);
+            this.showNoTablesMessage(response.failedFrames || [], response.cancelled);
         }
     }
 
@@ -116,12 +216,19 @@ class CognitoTablePopup {
             const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
             
             this.showStatus('Scanning page for tables...');
+            const stopButton = document.createElement('button');
+            stopButton.className = 'btn btn-secondary btn-small status-stop';
+            stopButton.textContent = 'Stop';
+            stopButton.addEventListener('click', () => this.cancelScan());
+            document.getElementById('status').appendChild(stopButton);
             
-            chrome.tabs.sendMessage(tab.id, { action: 'getTables' }).catch(error => {
-                 console.error('Error initiating scan:', error);
-                 this.showError('Could not start scan. Please refresh the page and try again.');
-                 this.scanInProgress = false;
-            });
+            // The background starts the scan in every frame of the page.
+            const response = await chrome.runtime.sendMessage({ action: 'scanFrames', tabId: tab.id });
+            if (!response || !response.success) {
+                console.error('Error initiating scan:', response && response.error);
+                this.showError('Could not start scan. Please refresh the page and try again.');
+                this.scanInProgress = false;
+            }
             
         } catch (error) {
             console.error('Error in scanCurrentPage:', error);
@@ -136,16 +243,87 @@ class CognitoTablePopup {
         document.getElementById('tableList').innerHTML = '';
         document.getElementById('tableCount').textContent = '0';
         document.getElementById('scanIndicator').style.display = 'none';
+        document.getElementById('scanMetrics').textContent = '';
         this.scanCurrentPage(); // Re-trigger the scan process
     }
 
+    /**
+     * Sends a message to one frame of the page. Tables remember the frame they
+     * were found in; everything else goes to the top frame.
+     */
+    sendToFrame(message, frameId = 0) {
+        return chrome.tabs.sendMessage(this.tabId, message, { frameId });
+    }
+
+    async cancelScan() {
+        try {
+            // Without a frame id the message reaches every frame.
+            await chrome.tabs.sendMessage(this.tabId, { action: 'cancelScan' });
+        } catch (error) {
+            console.error('Error stopping scan:', error);
+        }
+    }
+
+    /**
+     * Rows collected so far while a virtualized table is scrolled through.
+     */
+    renderHarvestProgress(progress) {
+        const bar = document.getElementById('harvestProgress');
+        if (progress.done) {
+            bar.style.display = 'none';
+            return;
+        }
+        const rows = progress.rows.toLocaleString();
+        document.getElementById('harvestText').textContent = progress.expected
+            ? `Scrolling through a table: ${rows}/${progress.expected.toLocaleString()} rows`
+            : `Scrolling through a table: ${rows} rows`;
+        document.getElementById('cancelHarvest').disabled = false;
+        bar.style.display = 'flex';
+    }
+
+    async cancelHarvest() {
+        document.getElementById('cancelHarvest').disabled = true;
+        try {
+            // Without a frame id the message reaches every frame.
+            await chrome.tabs.sendMessage(this.tabId, { action: 'cancelHarvest' });
+        } catch (error) {
+            console.error('Error cancelling harvest:', error);
+        }
+    }
+
+    async loadScanMetrics() {
+        try {
+            const report = await chrome.runtime.sendMessage({ action: 'getScanReport', tabId: this.tabId });
+            if (report && report.metrics) this.renderScanMetrics(report.metrics);
+        } catch (error) {
+            // The page may have been reloaded since the cached scan.
+        }
+    }
+
+    renderScanMetrics(metrics) {
+        const ms = value => `${Math.round(value || 0)} ms`;
+        const element = document.getElementById('scanMetrics');
+        if (metrics.cancelled) {
+            element.textContent = `Scan stopped after ${ms(metrics.totalMs)}.`;
+            return;
+        }
+        const where = metrics.mode === 'worker' ? 'worker' : 'main thread';
+        const frames = metrics.frames > 1 ? ` in ${metrics.frames} frames` : '';
+        element.textContent = `Scanned ${metrics.containers} containers${frames} in ${ms(metrics.totalMs)}: ` +
+            `<table> ${ms(metrics.explicitMs)}, snapshot ${ms(metrics.snapshotBusyMs)} over ${metrics.slices} idle slices, ` +
+            `analysis ${ms(metrics.workerMs)} on the ${where}.`;
+        element.title = `Scored ${ms(metrics.scoreMs)}, extracted ${ms(metrics.extractMs)}, ` +
+            `${metrics.snapshotted} of ${metrics.containers} containers snapshotted, ` +
+            `${metrics.candidates} candidates, ${metrics.rejected} rejected`;
+    }
+
     isRestrictedUrl(url) {
         if (!url) return true;
         const restrictedSchemes = ['chrome://', 'chrome-extension://', 'about:', 'data:', 'file:'];
         return restrictedSchemes.some(scheme => url.startsWith(scheme));
     }
 
-    showNoTablesMessage(iframes) {
+    showNoTablesMessage(failedFrames, stopped = false) {
         const statusEl = document.getElementById('status');
         const contentEl = document.getElementById('content');
         const tableList = document.getElementById('tableList');
@@ -155,32 +333,30 @@ class CognitoTablePopup {
 
         let noTablesHTML = `
             <div class="no-tables">
-                <h4>No tables detected</h4>
-                <p>Try using "Rescan Page" or "Manual Selection" to find hidden tabular data.</p>
+                <h4>${stopped ? 'Scan stopped' : 'No tables detected'}</h4>
+                <p>${stopped ? 'Use "Rescan Page" to scan again.' : 'Try using "Rescan Page" or "Manual Selection" to find hidden tabular data.'}</p>
         `;
         
-        if (iframes.length > 0) {
+        if (failedFrames.length > 0) {
             noTablesHTML += `
                 <div class="iframe-notice">
-                    <h5 class="iframe-title">🔍 Tables might be in embedded content:</h5>
+                    <h5 class="iframe-title">⚠️ The scan failed in ${failedFrames.length === 1 ? 'one frame' : `${failedFrames.length} frames`} of the page:</h5>
             `;
-            iframes.forEach((iframe, index) => {
-                const domain = iframe.src ? new URL(iframe.src).hostname : 'unknown domain';
+            failedFrames.forEach(frame => {
+                let host = frame.frameId === 0 ? 'Main page' : 'Unknown frame';
+                try {
+                    if (frame.frameId !== 0) host = new URL(frame.url).hostname || frame.url;
+                } catch (e) {}
                 noTablesHTML += `
                     <div class="iframe-item">
-                        <strong>Iframe ${index + 1}:</strong>
-                        <a href="${iframe.src}" target="_blank" title="${iframe.src}">
-                            ${domain}
-                        </a>
-                        <span class="iframe-origin ${iframe.sameOrigin ? 'same' : 'different'}">
-                            ${iframe.sameOrigin ? '(Readable)' : '(Cross-domain)'}
-                        </span>
+                        <strong title="${frame.url}">${host}</strong>
+                        <span class="iframe-error">${frame.error || ''}</span>
                     </div>
                 `;
             });
             noTablesHTML += `
                     <p class="iframe-tip">
-                        💡 Tip: Try opening the iframe content in a new tab to extract tables.
+                        💡 Tables in these frames were not searched. Use "Rescan Page" to try again.
                     </p>
                 </div>
             `;
@@ -206,11 +382,14 @@ class CognitoTablePopup {
 
         item.innerHTML = `
             <div class="table-info">
-                <span class="table-title">${table.type === 'explicit' ? 'HTML Table' : 'Implicit Table'} #${table.id}</span>
+                <span class="table-title">${this.getTableTypeLabel(table)} #${table.id}</span>
+                ${table.frameId ? `<span class="frame-tag" title="${table.frameUrl || ''}">${this.getFrameLabel(table)}</span>` : ''}
                 <span class="confidence-score ${confidenceClass}">${Math.round(table.confidence * 100)}%</span>
             </div>
             <pre class="table-preview-text">${table.preview}</pre>
+            ${this.describeCompleteness(table.data)}
         `;
+        item.querySelector('.table-info').insertBefore(this.createScoreToggle(item, () => this.renderScorePanel(table.score, table.confidence, table.type)), item.querySelector('.confidence-score'));
 
         item.addEventListener('click', () => this.viewTable(table));
         item.addEventListener('mouseenter', () => this.highlightTable(table));
@@ -219,13 +398,201 @@ class CognitoTablePopup {
         return item;
     }
 
+    /**
+     * A note for tables that announce more rows (aria-rowcount) than could be
+     * read, or whose scrolling was cancelled.
+     */
+    describeCompleteness(data) {
+        const completeness = data && data.completeness;
+        if (!completeness || completeness.complete !== false) return '';
+        const text = completeness.expectedRows
+            ? `${completeness.extractedRows} of ${completeness.expectedRows} rows extracted`
+            : `Stopped after ${completeness.extractedRows} rows`;
+        return `<div class="table-incomplete">${text}</div>`;
+    }
+
+    getFrameLabel(table) {
+        try {
+            return `in ${new URL(table.frameUrl).hostname || 'frame'}`;
+        } catch (e) {
+            return 'in frame';
+        }
+    }
+
+    // --- Detection scores and near misses ---
+
+    /**
+     * A "Why?" button that shows or hides the score breakdown at the end of the item.
+     */
+    createScoreToggle(item, renderPanel) {
+        const button = document.createElement('button');
+        button.className = 'why-score';
+        button.textContent = 'Why?';
+        button.title = 'Why this score?';
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const open = item.querySelector('.score-panel');
+            if (open) {
+                open.remove();
+            } else {
+                item.appendChild(renderPanel());
+            }
+        });
+        return button;
+    }
+
+    renderScorePanel(score, confidence, type) {
+        const panel = document.createElement('div');
+        panel.className = 'score-panel';
+        panel.addEventListener('click', (e) => e.stopPropagation());
+        const percent = value => `${Math.round((Number.isFinite(value) ? value : 0) * 100)}%`;
+
+        if (!score || !score.breakdown) {
+            const note = document.createElement('div');
+            note.textContent = score
+                ? (type === 'aria' ? 'ARIA grids (role="grid" with rows and cells) are always accepted, with 95% confidence.' : 'HTML <table> elements are always accepted, with 95% confidence.')
+                : type === 'multipage' ? 'Collected across pages from a detected table.' : 'Picked by hand, so the scanner did not score it.';
+            panel.appendChild(note);
+            return panel;
+        }
+
+        Object.entries(score.weights).forEach(([signal, weight]) => {
+            const value = score.breakdown[signal];
+            const row = document.createElement('div');
+            row.className = 'score-signal';
+            const label = document.createElement('span');
+            label.className = 'score-label';
+            label.textContent = this.scoreSignals[signal] || signal;
+            const bar = document.createElement('span');
+            bar.className = 'score-bar';
+            const fill = document.createElement('span');
+            fill.style.width = percent(Math.min(1, Math.max(0, value)));
+            bar.appendChild(fill);
+            const math = document.createElement('span');
+            math.className = 'score-math';
+            math.textContent = `${percent(value)} × ${weight}`;
+            row.append(label, bar, math);
+            panel.appendChild(row);
+        });
+
+        const total = document.createElement('div');
+        total.className = 'score-total';
+        total.textContent = `Total ${percent(confidence)}, accepted above ${percent(score.threshold)}`;
+        panel.appendChild(total);
+        return panel;
+    }
+
+    async loadNearMisses() {
+        try {
+            const report = await chrome.runtime.sendMessage({ action: 'getScanReport', tabId: this.tabId });
+            this.renderNearMisses(report && report.nearMisses ? report.nearMisses : []);
+        } catch (error) {
+            this.renderNearMisses([]);
+        }
+    }
+
+    getNearMissReason(nearMiss) {
+        const percent = value => `${Math.round(value * 100)}%`;
+        switch (nearMiss.reason) {
+            case 'below-threshold':
+                return `Scored ${percent(nearMiss.confidence)}, below the ${percent(nearMiss.score.threshold)} threshold`;
+            case 'overlap':
+                return `Overlaps a higher-scoring table (${nearMiss.detail})`;
+            case 'too-few-rows':
+                return `Fewer than two rows (${nearMiss.detail})`;
+            case 'duplicate':
+                return `Same content as ${nearMiss.detail}`;
+            case 'limit':
+                return `Cut off by the ${nearMiss.maxTables}-table limit`;
+            default:
+                return nearMiss.reason;
+        }
+    }
+
+    renderNearMisses(nearMisses) {
+        this.nearMisses = nearMisses;
+        document.getElementById('nearMissSection').style.display = nearMisses.length > 0 ? 'block' : 'none';
+        const list = document.getElementById('nearMissList');
+        list.innerHTML = '';
+        nearMisses.forEach(nearMiss => {
+            const item = document.createElement('div');
+            item.className = 'table-item near-miss';
+
+            const info = document.createElement('div');
+            info.className = 'table-info';
+            const title = document.createElement('span');
+            title.className = 'table-title';
+            title.textContent = nearMiss.element;
+            title.title = nearMiss.element;
+            const confidence = document.createElement('span');
+            confidence.className = 'confidence-score low';
+            confidence.textContent = `${Math.round(nearMiss.confidence * 100)}%`;
+            const promote = document.createElement('button');
+            promote.className = 'btn btn-primary btn-small';
+            promote.textContent = 'Promote';
+            promote.title = 'Extract this container as a table';
+            promote.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.promoteNearMiss(nearMiss, promote);
+            });
+            info.append(title, this.createScoreToggle(item, () => this.renderScorePanel(nearMiss.score, nearMiss.confidence)), confidence, promote);
+
+            const reason = document.createElement('div');
+            reason.className = 'near-miss-reason';
+            reason.textContent = this.getNearMissReason(nearMiss);
+            const sample = document.createElement('pre');
+            sample.className = 'table-preview-text';
+            sample.textContent = nearMiss.sample;
+
+            item.append(info, reason, sample);
+            item.addEventListener('mouseenter', () => this.highlightTable(nearMiss));
+            item.addEventListener('mouseleave', () => this.unhighlightTable(nearMiss));
+            list.appendChild(item);
+        });
+    }
+
+    async promoteNearMiss(nearMiss, button) {
+        button.disabled = true;
+        try {
+            const response = await this.sendToFrame({ action: 'promoteNearMiss', selector: nearMiss.element, confidence: nearMiss.confidence }, nearMiss.frameId);
+            if (!response || !response.success) {
+                button.textContent = 'No rows';
+                return;
+            }
+            this.unhighlightTable(nearMiss);
+            this.renderNearMisses(this.nearMisses.filter(other => other !== nearMiss));
+            await chrome.runtime.sendMessage({ action: 'removeNearMiss', tabId: this.tabId, nearMissId: nearMiss.id });
+            // Promoted tables are stored like manual selections and survive rescans.
+            this.persistentTables = await chrome.runtime.sendMessage({ action: 'getManualTables', tabId: this.tabId }) || this.persistentTables;
+        } catch (error) {
+            console.error('Error promoting near miss:', error);
+            button.disabled = false;
+        }
+    }
+
+    getTableTypeLabel(table) {
+        switch (table.type) {
+            case 'explicit':
+                return 'HTML Table';
+            case 'aria':
+                return 'ARIA Grid';
+            case 'manual':
+                return 'Manual Selection';
+            case 'custom':
+                return 'Custom Table';
+            case 'multipage':
+                return 'Multi-Page Table';
+            default:
+                return 'Implicit Table';
+        }
+    }
+
     async highlightTable(table) {
         try {
-            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-            await chrome.tabs.sendMessage(tab.id, { 
+            await this.sendToFrame({ 
                 action: 'highlightTable', 
                 selector: table.element 
-            });
+            }, table.frameId);
         } catch (error) {
             console.error('Error highlighting table:', error);
         }
@@ -233,11 +600,10 @@ class CognitoTablePopup {
 
     async unhighlightTable(table) {
         try {
-            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-            await chrome.tabs.sendMessage(tab.id, { 
+            await this.sendToFrame({ 
                 action: 'unhighlightTable', 
                 selector: table.element 
-            });
+            }, table.frameId);
         } catch (error) {
             console.error('Error unhighlighting table:', error);
         }
@@ -245,23 +611,558 @@ class CognitoTablePopup {
 
     viewTable(table) {
         this.currentTable = table;
+        this.selectedCell = null;
+        this.refineMode = false;
+        this.tableEditor = new TableEditor(table.data, () => this.handleTableEdited());
         this.renderTablePreview(table);
+        this.updateEditControls();
+        document.getElementById('spanOptions').style.display = table.data.spanMode ? 'flex' : 'none';
+        document.getElementById('viewMode').value = this.viewMode;
+        document.getElementById('spanMode').value = table.data.spanMode || 'repeat';
         document.getElementById('content').style.display = 'none';
         document.getElementById('tablePreview').style.display = 'block';
     }
 
+    async reextractCurrentTable(spanMode) {
+        if (!this.currentTable) return;
+        try {
+            const response = await this.sendToFrame({
+                action: 'extractTable',
+                selector: this.currentTable.element,
+                spanMode
+            }, this.currentTable.frameId);
+            if (response && response.data) {
+                response.data.typeOverrides = this.currentTable.data.typeOverrides;
+                this.currentTable.data = response.data;
+                this.tableEditor = new TableEditor(response.data, () => this.handleTableEdited());
+                this.renderTablePreview(this.currentTable);
+                this.updateEditControls();
+            }
+        } catch (error) {
+            console.error('Error re-extracting table:', error);
+        }
+    }
+
+    getSpannedCellMap(spans) {
+        const map = new Map();
+        (spans || []).forEach(span => {
+            for (let r = 0; r < span.rowspan; r++) {
+                for (let c = 0; c < span.colspan; c++) {
+                    map.set(`${span.row + r}:${span.col + c}`, r === 0 && c === 0 ? 'span-origin' : 'spanned-cell');
+                }
+            }
+        });
+        return map;
+    }
+
+    setViewMode(mode) {
+        this.viewMode = mode;
+        if (this.currentTable) {
+            this.renderTablePreview(this.currentTable);
+            this.updateEditControls();
+        }
+    }
+
+    setColumnTypeOverride(columnIndex, type) {
+        const data = this.currentTable.data;
+        data.typeOverrides = { ...(data.typeOverrides || {}) };
+        const inferred = data.columnTypes[columnIndex] ? data.columnTypes[columnIndex].type : 'text';
+        if (type === inferred) {
+            delete data.typeOverrides[columnIndex];
+        } else {
+            data.typeOverrides[columnIndex] = type;
+        }
+        this.renderTablePreview(this.currentTable);
+    }
+
+    // --- Hand edits ---
+
+    handleTableEdited() {
+        const columnCount = this.tableEditor.getColumnCount();
+        if (this.selectedCell) {
+            this.selectedCell.row = Math.min(this.selectedCell.row, this.currentTable.data.rows.length - 1);
+            this.selectedCell.column = Math.min(this.selectedCell.column, columnCount - 1);
+            if (this.selectedCell.row < 0 || this.selectedCell.column < 0) this.selectedCell = null;
+        }
+        this.currentTable.preview = Utils.generatePreview(this.currentTable.data);
+        this.renderTablePreview(this.currentTable);
+        this.updateEditControls();
+        this.saveEditedTable();
+    }
+
+    /**
+     * Stores the edited table wherever it came from (scan cache, manual
+     * selections or a multi-page job), so exports and reopening the popup
+     * both see the edits.
+     */
+    async saveEditedTable() {
+        try {
+            await chrome.runtime.sendMessage({ action: 'updateTable', tabId: this.tabId, table: this.currentTable });
+        } catch (error) {
+            console.error('Error saving edited table:', error);
+        }
+    }
+
+    updateEditControls() {
+        const editor = this.tableEditor;
+        const isRaw = this.viewMode === 'raw' && !this.refineMode;
+        document.getElementById('undoEdit').disabled = !editor || !editor.canUndo || this.refineMode;
+        document.getElementById('redoEdit').disabled = !editor || !editor.canRedo || this.refineMode;
+        ['insertRow', 'deleteRow', 'insertColumn', 'deleteColumn'].forEach(id => {
+            document.getElementById(id).disabled = !isRaw || (id !== 'insertRow' && id !== 'insertColumn' && !this.selectedCell);
+        });
+
+        // Re-extracting would silently throw the edits away.
+        const log = this.currentTable ? this.currentTable.data.editLog || [] : [];
+        const spanMode = document.getElementById('spanMode');
+        spanMode.disabled = log.length > 0;
+        spanMode.title = log.length > 0 ? 'Unavailable after hand edits' : '';
+
+        // Relabelling rebuilds the table from the extracted rows, which would drop hand edits.
+        const refineButton = document.getElementById('refineLayout');
+        refineButton.disabled = log.length > 0;
+        refineButton.title = log.length > 0 ? 'Unavailable after hand edits' : refineButton.title;
+        refineButton.classList.toggle('active', this.refineMode);
+        const layout = this.currentTable && this.currentTable.data.layout;
+        document.getElementById('resetLayout').style.display = this.refineMode && layout && !this.isEmptyLayout(layout) ? 'inline-block' : 'none';
+        ['mergeCells', 'splitCell', 'insertBlankCell'].forEach(id => {
+            const button = document.getElementById(id);
+            button.disabled = !isRaw || !this.selectedCell || log.length > 0;
+            if (log.length > 0) button.title = 'Unavailable after hand edits';
+        });
+        this.renderRepairRules(layout ? layout.repairs || [] : []);
+        this.updateSchemaControls();
+        document.getElementById('editHint').textContent = this.refineMode
+            ? 'Pick a label for each row and column. Applied now and remembered for this site.'
+            : 'Double-click a cell or header to edit';
+
+        const details = document.getElementById('editLogDetails');
+        details.style.display = log.length > 0 ? 'block' : 'none';
+        document.getElementById('editLogSummary').textContent = `Edit log (${log.length})`;
+        const list = document.getElementById('editLog');
+        list.innerHTML = '';
+        log.slice().reverse().forEach(entry => {
+            const item = document.createElement('li');
+            item.textContent = `${new Date(entry.timestamp).toLocaleTimeString()} – ${editor.describe(entry)}`;
+            list.appendChild(item);
+        });
+    }
+
+    handleEditShortcut(event) {
+        if (!this.tableEditor || document.getElementById('tablePreview').style.display === 'none') return;
+        if (event.target.matches('input, textarea, select')) return;
+        if (!(event.ctrlKey || event.metaKey)) return;
+
+        const key = event.key.toLowerCase();
+        if (key === 'z' && !event.shiftKey) {
+            event.preventDefault();
+            this.tableEditor.undo();
+        } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+            event.preventDefault();
+            this.tableEditor.redo();
+        }
+    }
+
+    editStructure(type) {
+        const editor = this.tableEditor;
+        if (!editor) return;
+        const cell = this.selectedCell;
+        switch (type) {
+            case 'insertRow':
+                editor.insertRow(cell ? cell.row + 1 : this.currentTable.data.rows.length);
+                break;
+            case 'deleteRow':
+                if (cell) editor.deleteRow(cell.row);
+                break;
+            case 'insertColumn':
+                editor.insertColumn(cell ? cell.column + 1 : editor.getColumnCount());
+                break;
+            case 'deleteColumn':
+                if (cell) editor.deleteColumn(cell.column);
+                break;
+        }
+    }
+
+    selectCell(row, column) {
+        this.selectedCell = { row, column };
+        document.querySelectorAll('#tableContainer td.selected-cell').forEach(td => td.classList.remove('selected-cell'));
+        const td = document.querySelector(`#tableContainer td[data-row="${row}"][data-column="${column}"]`);
+        if (td) td.classList.add('selected-cell');
+        this.updateEditControls();
+    }
+
+    /**
+     * Swaps the cell's text for an input. Enter or leaving the field commits,
+     * Escape cancels.
+     */
+    startCellEdit(element, value, commit) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'cell-editor';
+        input.value = value;
+        let finished = false;
+        const finish = (save) => {
+            if (finished) return;
+            finished = true;
+            if (save && input.value !== value) {
+                commit(input.value);
+            } else {
+                this.renderTablePreview(this.currentTable);
+            }
+        };
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') finish(true);
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                finish(false);
+            }
+        });
+        input.addEventListener('blur', () => finish(true));
+        element.textContent = '';
+        element.appendChild(input);
+        input.focus();
+        input.select();
+    }
+
+    // --- Teach & Refine ---
+
+    toggleRefineMode() {
+        if (!this.currentTable) return;
+        this.refineMode = !this.refineMode;
+        this.selectedCell = null;
+        this.renderTablePreview(this.currentTable);
+        this.updateEditControls();
+    }
+
+    getCurrentLayout() {
+        const layout = this.currentTable.data.layout;
+        return layout
+            ? { rows: layout.rows.slice(), columns: { ...layout.columns }, repairs: (layout.repairs || []).slice() }
+            : { rows: [], columns: {}, repairs: [] };
+    }
+
+    isEmptyLayout(layout) {
+        return layout.rows.length === 0 && Object.keys(layout.columns).length === 0 && !(layout.repairs && layout.repairs.length > 0);
+    }
+
+    /**
+     * Turns a merge, split or blank-cell insert on the selected cell into a
+     * repair rule for every row of the same shape.
+     */
+    addRepair(type) {
+        const data = this.currentTable.data;
+        const cell = this.selectedCell;
+        if (!cell) return;
+
+        const source = Utils.getLayoutSource(data);
+        const layout = this.getCurrentLayout();
+        const rowIndex = data.sourceRows ? data.sourceRows[cell.row] : source.headerRows.length + cell.row;
+        const column = data.sourceColumns ? data.sourceColumns[cell.column] : cell.column;
+        // The "Section" column added for dividers has no source column to repair.
+        if (rowIndex === undefined || column === undefined) return;
+
+        const row = Utils.repairRow([...source.headerRows, ...source.rows][rowIndex], layout.repairs);
+        const repair = { type, cells: row.length, column };
+        if (type === 'split') {
+            const input = document.getElementById('splitPattern');
+            if (!input.value) {
+                input.focus();
+                return;
+            }
+            try {
+                Utils.parseSplitPattern(input.value);
+            } catch (error) {
+                document.getElementById('editHint').textContent = error.message;
+                input.focus();
+                return;
+            }
+            repair.pattern = input.value;
+        }
+        if (JSON.stringify(Utils.repairRow(row, [repair])) === JSON.stringify(row)) {
+            document.getElementById('editHint').textContent = type === 'split' ? 'The delimiter does not occur in that cell.' : 'That repair does not change the row.';
+            return;
+        }
+
+        layout.repairs.push(repair);
+        this.selectedCell = null;
+        this.applyRefinedLayout(layout);
+    }
+
+    removeRepair(index) {
+        const layout = this.getCurrentLayout();
+        layout.repairs.splice(index, 1);
+        this.applyRefinedLayout(layout);
+    }
+
+    renderRepairRules(repairs) {
+        document.getElementById('repairRulesDetails').style.display = repairs.length > 0 ? 'block' : 'none';
+        document.getElementById('repairRulesSummary').textContent = `Repair rules (${repairs.length})`;
+        const list = document.getElementById('repairRules');
+        list.innerHTML = '';
+        repairs.forEach((repair, index) => {
+            const item = document.createElement('li');
+            item.textContent = Utils.describeRepair(repair);
+            const remove = document.createElement('button');
+            remove.className = 'btn btn-back btn-small';
+            remove.textContent = 'Remove';
+            remove.disabled = (this.currentTable.data.editLog || []).length > 0;
+            remove.addEventListener('click', () => this.removeRepair(index));
+            item.appendChild(remove);
+            list.appendChild(item);
+        });
+    }
+
+    setRowLabel(index, label) {
+        const source = Utils.getLayoutSource(this.currentTable.data);
+        const fullRows = [...source.headerRows, ...source.rows];
+        const signature = Utils.getRowSignature(fullRows[index]);
+        const layout = this.getCurrentLayout();
+        layout.rows = layout.rows.filter(correction => correction.index !== index && correction.text !== signature);
+        const defaultLabel = index < source.headerRows.length ? 'header' : 'data';
+        if (label !== defaultLabel) layout.rows.push(Utils.createRowCorrection(fullRows, index, label));
+        this.applyRefinedLayout(layout);
+    }
+
+    setColumnLabel(index, label) {
+        const layout = this.getCurrentLayout();
+        if (label === 'key') {
+            Object.keys(layout.columns).forEach(key => {
+                if (layout.columns[key] === 'key') delete layout.columns[key];
+            });
+        }
+        if (label === 'data') delete layout.columns[index];
+        else layout.columns[index] = label;
+        this.applyRefinedLayout(layout);
+    }
+
+    /**
+     * Rebuilds the current table under the layout, re-inferring column types,
+     * and remembers the layout for this table on this site.
+     */
+    async applyRefinedLayout(layout) {
+        const table = this.currentTable;
+        const locale = table.data.locale || 'en-US';
+        const data = Utils.applyLayout(table.data, layout, rows => this.tableAnalyzer.inferColumnTypes(rows, locale));
+        // Type overrides are keyed by column position, which the layout may have changed.
+        delete data.typeOverrides;
+        table.data = data;
+        table.preview = Utils.generatePreview(data);
+        this.tableEditor = new TableEditor(data, () => this.handleTableEdited());
+        this.renderTablePreview(table);
+        this.updateEditControls();
+        this.saveEditedTable();
+
+        const isEmpty = this.isEmptyLayout(layout);
+        try {
+            const domain = new URL(this.tabUrl).hostname;
+            if (isEmpty) {
+                await chrome.runtime.sendMessage({ action: 'deleteLayout', tabId: this.tabId, domain, selector: table.element });
+            } else {
+                await chrome.runtime.sendMessage({
+                    action: 'saveLayout',
+                    tabId: this.tabId,
+                    entry: { domain, selector: table.element, signature: Utils.getLayoutSignature(data), layout }
+                });
+            }
+        } catch (error) {
+            console.error('Error saving table layout:', error);
+        }
+    }
+
+    // --- Schema ---
+
+    getSchemaColumns(data) {
+        return data.schema ? data.schema.columns : this.tableAnalyzer.describeSchema(data);
+    }
+
+    createSchemaRow(columns) {
+        const row = document.createElement('tr');
+        row.className = 'schema-row';
+        columns.forEach(column => {
+            const th = document.createElement('th');
+            const type = document.createElement('span');
+            type.className = 'schema-type';
+            type.textContent = column.type;
+            const details = document.createElement('span');
+            details.className = 'schema-details';
+            // Text is the fallback when no type fits, so it has no confidence of its own.
+            const confidence = column.overridden ? 'set by you' : column.confidence ? `${Math.round(column.confidence * 100)}%` : '';
+            details.textContent = ` ${[confidence, column.nullable ? 'nullable' : 'required'].filter(Boolean).join(' · ')}`;
+            const samples = document.createElement('div');
+            samples.className = 'schema-samples';
+            samples.textContent = column.samples.length > 0 ? `e.g. ${column.samples.join(', ')}` : 'no values';
+            samples.title = column.samples.join('\n');
+            th.append(type, details, samples);
+            row.appendChild(th);
+        });
+        return row;
+    }
+
+    updateSchemaControls() {
+        const data = this.currentTable ? this.currentTable.data : null;
+        const locked = Boolean(data && data.schema);
+        const lockButton = document.getElementById('lockSchema');
+        lockButton.textContent = locked ? '🔒 Unlock Schema' : 'Lock Schema';
+        lockButton.classList.toggle('active', locked);
+        lockButton.disabled = !data || this.refineMode;
+        const modeSelect = document.getElementById('schemaViolationMode');
+        modeSelect.disabled = locked;
+        if (locked) modeSelect.value = data.schema.onViolation;
+
+        const quarantine = data && data.quarantine ? data.quarantine : [];
+        const dropped = data && data.droppedRows ? data.droppedRows : 0;
+        const details = document.getElementById('quarantineDetails');
+        details.style.display = quarantine.length > 0 || dropped > 0 ? 'block' : 'none';
+        document.getElementById('quarantineSummary').textContent = dropped > 0
+            ? `${dropped} row(s) dropped by the locked schema`
+            : `Quarantined rows (${quarantine.length})`;
+        document.getElementById('exportQuarantine').style.display = quarantine.length > 0 ? 'inline-block' : 'none';
+        const list = document.getElementById('quarantineList');
+        list.innerHTML = '';
+        quarantine.forEach(entry => {
+            const item = document.createElement('li');
+            item.textContent = `Row ${entry.rowIndex + 1}: ${entry.row.join(' | ')} — ${entry.violations.join('; ')}`;
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Locking enforces the schema shown in the preview on this table now and on
+     * every later extraction of it. Unlocking stops enforcement; rows already
+     * quarantined come back with the next extraction.
+     */
+    async toggleSchemaLock() {
+        const table = this.currentTable;
+        if (!table) return;
+        const locale = table.data.locale || 'en-US';
+        let domain = '';
+        try {
+            domain = new URL(this.tabUrl).hostname;
+        } catch (error) {
+            // Restricted pages never reach the table view.
+        }
+
+        if (table.data.schema) {
+            delete table.data.schema;
+            await chrome.runtime.sendMessage({ action: 'deleteSchema', tabId: this.tabId, domain, selector: table.element }).catch(() => {});
+        } else {
+            const schema = {
+                columns: this.tableAnalyzer.describeSchema(table.data),
+                onViolation: document.getElementById('schemaViolationMode').value,
+                lockedAt: Date.now()
+            };
+            const signature = Utils.getLayoutSignature(table.data);
+            table.data = Utils.enforceSchema(table.data, schema, (value, column) => this.tableAnalyzer.valueMatchesType(value, column, locale));
+            await chrome.runtime.sendMessage({
+                action: 'saveSchema',
+                tabId: this.tabId,
+                entry: { domain, selector: table.element, signature, schema }
+            }).catch(() => {});
+        }
+
+        table.preview = Utils.generatePreview(table.data);
+        this.tableEditor = new TableEditor(table.data, () => this.handleTableEdited());
+        this.renderTablePreview(table);
+        this.updateEditControls();
+        this.saveEditedTable();
+    }
+
+    exportQuarantine() {
+        const data = this.currentTable.data;
+        if (!data.quarantine || data.quarantine.length === 0) return;
+        const headers = data.quarantineHeaders || data.headers;
+        const errors = {
+            headers: [...headers, 'Source Row', 'Errors'],
+            rows: data.quarantine.map(entry => [...headers.map((_, index) => entry.row[index] ?? ''), String(entry.rowIndex + 1), entry.violations.join('; ')])
+        };
+        this.downloadTable(errors, document.getElementById('exportFormat').value, `table_${this.currentTable.id}_errors`);
+    }
+
+    createLabelSelect(labels, value, onChange) {
+        const select = document.createElement('select');
+        select.className = 'layout-label-select';
+        Object.entries(labels).forEach(([label, text]) => select.add(new Option(text, label)));
+        select.value = value;
+        select.addEventListener('change', (e) => onChange(e.target.value));
+        return select;
+    }
+
+    /**
+     * Every extracted row, header rows included, with a label picker per row
+     * and per column.
+     */
+    renderRefineView(table) {
+        const source = Utils.getLayoutSource(table.data);
+        const layout = table.data.layout || { rows: [], columns: {} };
+        const labels = Utils.resolveRowLabels([...source.headerRows, ...source.rows], source.headerRows.length, layout);
+        // Column labels refer to the columns after cell repairs.
+        const fullRows = Utils.repairRows([...source.headerRows, ...source.rows], labels, layout.repairs);
+        const columnCount = fullRows.reduce((max, row) => Math.max(max, row.length), 0);
+
+        const tableElement = document.createElement('table');
+        tableElement.className = 'preview-table refine-table';
+        const thead = document.createElement('thead');
+        const headerRow = document.createElement('tr');
+        headerRow.appendChild(document.createElement('th'));
+        for (let col = 0; col < columnCount; col++) {
+            const th = document.createElement('th');
+            const label = layout.columns[col] || 'data';
+            th.appendChild(this.createLabelSelect(this.columnLabels, label, value => this.setColumnLabel(col, value)));
+            th.classList.add(`column-label-${label}`);
+            headerRow.appendChild(th);
+        }
+        thead.appendChild(headerRow);
+        tableElement.appendChild(thead);
+
+        const tbody = document.createElement('tbody');
+        fullRows.forEach((row, index) => {
+            const tr = document.createElement('tr');
+            tr.className = `row-label-${labels[index]}`;
+            const labelCell = document.createElement('td');
+            labelCell.appendChild(this.createLabelSelect(this.rowLabels, labels[index], value => this.setRowLabel(index, value)));
+            tr.appendChild(labelCell);
+            for (let col = 0; col < columnCount; col++) {
+                const td = document.createElement('td');
+                td.textContent = row[col] ?? '';
+                if (layout.columns[col] === 'ignore') td.classList.add('column-label-ignore');
+                tr.appendChild(td);
+            }
+            tbody.appendChild(tr);
+        });
+        tableElement.appendChild(tbody);
+        return tableElement;
+    }
+
     renderTablePreview(table) {
         const container = document.getElementById('tableContainer');
+        if (this.refineMode) {
+            container.innerHTML = '';
+            container.appendChild(this.renderRefineView(table));
+            return;
+        }
         const tableElement = document.createElement('table');
         tableElement.className = 'preview-table';
+        const isClean = this.viewMode === 'clean';
+        const normalized = isClean ? this.valueNormalizer.normalizeTable(table.data, table.data.typeOverrides) : null;
+        const schemaColumns = this.getSchemaColumns(table.data);
+        const locale = table.data.locale || 'en-US';
 
         if (table.data.headers.length > 0) {
             const thead = document.createElement('thead');
+            if (this.showSchema) thead.appendChild(this.createSchemaRow(schemaColumns));
             const headerRow = document.createElement('tr');
             
-            table.data.headers.forEach(header => {
+            table.data.headers.forEach((header, columnIndex) => {
                 const th = document.createElement('th');
                 th.textContent = header;
+                if (table.data.keyColumn && header === table.data.keyColumn) {
+                    th.classList.add('key-column');
+                    th.title = 'Key column';
+                }
+                if (isClean) th.appendChild(this.createColumnTypeSelect(normalized.columns[columnIndex], columnIndex));
+                if (!isClean) {
+                    th.addEventListener('dblclick', () => this.startCellEdit(th, header, value => this.tableEditor.setHeader(columnIndex, value)));
+                }
                 headerRow.appendChild(th);
             });
             
@@ -270,79 +1171,148 @@ class CognitoTablePopup {
         }
 
         const tbody = document.createElement('tbody');
-        table.data.rows.forEach(row => {
+        const spannedCells = this.getSpannedCellMap(table.data.spans);
+        table.data.rows.forEach((row, rowIndex) => {
             const tr = document.createElement('tr');
-            row.forEach(cell => {
+            const cells = isClean ? normalized.rows[rowIndex] : row;
+            cells.forEach((cell, colIndex) => {
                 const td = document.createElement('td');
-                td.textContent = cell;
+                td.textContent = isClean ? this.valueNormalizer.formatForDisplay(cell) : cell;
+                if (isClean && (typeof cell === 'number' || (cell && typeof cell.amount === 'number'))) td.classList.add('typed-number');
+                const column = schemaColumns[colIndex];
+                if (column && !this.tableAnalyzer.valueMatchesType(row[colIndex], column, locale)) {
+                    td.classList.add('invalid-cell');
+                    td.title = `Does not look like a ${column.type}`;
+                }
+                const spanClass = spannedCells.get(`${rowIndex}:${colIndex}`);
+                if (spanClass) td.classList.add(spanClass);
+                td.dataset.row = rowIndex;
+                td.dataset.column = colIndex;
+                if (this.selectedCell && this.selectedCell.row === rowIndex && this.selectedCell.column === colIndex) td.classList.add('selected-cell');
+                td.addEventListener('click', () => this.selectCell(rowIndex, colIndex));
+                if (!isClean) {
+                    td.addEventListener('dblclick', () => this.startCellEdit(td, cell == null ? '' : String(cell), value => this.tableEditor.setCell(rowIndex, colIndex, value)));
+                }
                 tr.appendChild(td);
             });
             tbody.appendChild(tr);
         });
 
         tableElement.appendChild(tbody);
+
+        // Footer rows taught in Teach & Refine are shown but never exported.
+        if (table.data.footerRows && table.data.footerRows.length > 0) {
+            const tfoot = document.createElement('tfoot');
+            table.data.footerRows.forEach(row => {
+                const tr = document.createElement('tr');
+                tr.className = 'footer-row';
+                row.forEach(cell => {
+                    const td = document.createElement('td');
+                    td.textContent = cell;
+                    tr.appendChild(td);
+                });
+                tfoot.appendChild(tr);
+            });
+            tableElement.appendChild(tfoot);
+        }
         container.innerHTML = '';
         container.appendChild(tableElement);
     }
 
+    createColumnTypeSelect(column, columnIndex) {
+        const select = document.createElement('select');
+        select.className = 'column-type-select';
+        this.columnTypeOptions.forEach(type => select.add(new Option(type, type)));
+        select.value = column && this.columnTypeOptions.includes(column.type) ? column.type : 'text';
+        select.title = 'Column type used for the clean view and JSON export';
+        select.addEventListener('change', (e) => this.setColumnTypeOverride(columnIndex, e.target.value));
+        return select;
+    }
+
     showMainView() {
         document.getElementById('tablePreview').style.display = 'none';
+        document.getElementById('multiPageView').style.display = 'none';
         document.getElementById('content').style.display = 'block';
     }
 
-    exportData(format) {
-        if (!this.currentTable) return;
+    populateExportFormats() {
+        ['exportFormat', 'recipeFormat'].forEach(id => {
+            const select = document.getElementById(id);
+            this.exportRegistry.list().forEach(exporter => select.add(new Option(exporter.label, exporter.id)));
+        });
+        this.renderExportOptions(document.getElementById('exportFormat').value);
+    }
 
-        const data = this.currentTable.data;
-        let content = '';
-        let filename = `table_${this.currentTable.id}.${format}`;
+    getExportOptions(format) {
+        if (!this.exportOptions[format]) this.exportOptions[format] = this.exportRegistry.getDefaultOptions(format);
+        return this.exportOptions[format];
+    }
 
-        if (format === 'csv') {
-            content = this.convertToCSV(data);
-        } else if (format === 'json') {
-            content = this.convertToJSON(data);
-        }
+    renderExportOptions(format) {
+        const container = document.getElementById('exportOptions');
+        const exporter = this.exportRegistry.get(format);
+        const options = this.getExportOptions(format);
+        container.innerHTML = '';
+        container.style.display = exporter && exporter.options.length > 0 ? 'flex' : 'none';
+        if (!exporter) return;
 
-        this.downloadFile(content, filename);
-    }
+        exporter.options.forEach(option => {
+            const label = document.createElement('label');
+            label.className = 'preview-option';
+            label.append(option.label);
 
-    convertToCSV(data) {
-        const rows = [];
-        
-        if (data.headers.length > 0) {
-            rows.push(data.headers.map(header => this.escapeCSV(header)).join(','));
-        }
-        
-        data.rows.forEach(row => {
-            rows.push(row.map(cell => this.escapeCSV(cell)).join(','));
+            let input;
+            if (option.type === 'select') {
+                input = document.createElement('select');
+                option.choices.forEach(([value, text]) => input.add(new Option(text, value)));
+                input.value = options[option.name];
+            } else {
+                input = document.createElement('input');
+                input.type = option.type;
+                if (option.type === 'checkbox') input.checked = options[option.name];
+                else input.value = options[option.name];
+            }
+            input.addEventListener('change', () => {
+                options[option.name] = option.type === 'checkbox' ? input.checked : option.type === 'number' ? Number(input.value) : input.value;
+            });
+
+            label.appendChild(input);
+            container.appendChild(label);
         });
+    }
 
-        return rows.join('\n');
+    async openWorkspace() {
+        if (!this.currentTable) return;
+        await chrome.runtime.sendMessage({
+            action: 'openWorkspace',
+            tabId: this.tabId,
+            table: this.currentTable,
+            source: { url: this.tabUrl, title: this.tabTitle }
+        });
     }
 
-    escapeCSV(field) {
-        const stringField = String(field == null ? '' : field);
-        const escapedField = stringField.replace(/"/g, '""');
-        return `"${escapedField}"`;
+    exportData(format) {
+        if (!this.currentTable) return;
+        this.downloadTable(this.currentTable.data, format, `table_${this.currentTable.id}`);
     }
 
-    convertToJSON(data) {
-        const result = [];
-        
-        data.rows.forEach(row => {
-            const obj = {};
-            row.forEach((cell, index) => {
-                const key = data.headers[index] || `column_${index + 1}`;
-                obj[key] = cell;
-            });
-            result.push(obj);
-        });
+    downloadTable(data, format, basename, options = this.getExportOptions(format)) {
+        const { content, mimeType, extension } = this.exportRegistry.export(format, data, options);
+        this.downloadFile(content, `${basename}.${extension}`, mimeType);
+    }
 
-        return JSON.stringify(result, null, 2);
+    /**
+     * Writes every detected table to its own sheet of one workbook.
+     */
+    exportAllTables() {
+        if (this.detectedTables.length === 0) return;
+        const writer = new XlsxWriter(this.valueNormalizer);
+        this.detectedTables.forEach(table => writer.addSheet(`${this.getTableTypeLabel(table)} ${table.id}`, table.data));
+        this.downloadFile(writer.toBlob(), 'tables.xlsx');
     }
 
-    downloadFile(content, filename) {
-        const blob = new Blob([content], { type: 'text/plain;charset=utf-8' });
+    downloadFile(content, filename, mimeType = 'text/plain;charset=utf-8') {
+        const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
@@ -353,12 +1323,662 @@ class CognitoTablePopup {
         URL.revokeObjectURL(url);
     }
 
-    activateManualSelection() {
-        window.close();
+    async activateManualSelection() {
+        try {
+            await this.sendToFrame({ action: 'startManualSelection' });
+            // The popup would cover the page, so close it while the user selects.
+            window.close();
+        } catch (error) {
+            console.error('Error starting manual selection:', error);
+            this.showError('Could not start manual selection. Please refresh the page and try again.');
+        }
+    }
+
+    async activateCognitiveSelection() {
+        try {
+            await this.sendToFrame({ action: 'startCognitiveSelection' });
+            window.close();
+        } catch (error) {
+            console.error('Error starting cognitive selection:', error);
+            this.showError('Could not start cell picking. Please refresh the page and try again.');
+        }
+    }
+
+    async toggleDebugOverlay() {
+        try {
+            const response = await this.sendToFrame({ action: 'toggleDebugOverlay' });
+            // Close the popup so the overlay can be inspected.
+            if (response && response.active) window.close();
+        } catch (error) {
+            console.error('Error toggling debug overlay:', error);
+            this.showError('Could not start the debug overlay. Please refresh the page and try again.');
+        }
+    }
+
+    openHistory() {
+        let origin = '';
+        try {
+            origin = new URL(this.tabUrl).origin;
+        } catch (e) {
+            // Not a regular page; show the history of all sites.
+        }
+        chrome.tabs.create({ url: chrome.runtime.getURL(`history.html?origin=${encodeURIComponent(origin)}`) });
+    }
+
+    async loadCustomSelections() {
+        this.customSelections = await chrome.runtime.sendMessage({ action: 'getCustomSelections', tabId: this.tabId, url: this.tabUrl }) || [];
+        this.renderCustomSelectionList();
+    }
+
+    renderCustomSelectionList() {
+        const list = document.getElementById('customSelectionList');
+        list.innerHTML = '';
+        if (this.customSelections.length === 0) {
+            list.innerHTML = '<div class="macro-empty">No custom tables for this site. Use "Pick Cells" to build one.</div>';
+            return;
+        }
+
+        this.customSelections.forEach(selection => {
+            const item = document.createElement('div');
+            item.className = 'macro-item';
+            const name = document.createElement('span');
+            name.className = 'macro-name';
+            name.textContent = selection.name;
+            name.title = `${selection.picks.length} pick(s) into ${selection.columns.join(', ')}`;
+
+            const runBtn = document.createElement('button');
+            runBtn.className = 'btn btn-primary btn-small';
+            runBtn.textContent = '↻ Rebuild';
+            runBtn.title = 'Re-read the picked cells from the page as it is now';
+            runBtn.addEventListener('click', () => this.runCustomSelection(selection));
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'btn btn-back btn-small';
+            deleteBtn.textContent = '✕';
+            deleteBtn.title = 'Delete custom table';
+            deleteBtn.addEventListener('click', () => this.deleteCustomSelection(selection));
+
+            item.append(name, runBtn, deleteBtn);
+            list.appendChild(item);
+        });
+    }
+
+    async runCustomSelection(selection) {
+        try {
+            const result = await this.sendToFrame({ action: 'runCustomSelection', selection });
+            if (!result || !result.table) {
+                this.setRecipeMessage('customSelectionMessage', `"${selection.name}": none of the picked cells are on this page.`, true);
+                return;
+            }
+            await chrome.runtime.sendMessage({ action: 'manualTableSelected', tabId: this.tabId, table: result.table });
+            this.persistentTables.push(result.table);
+            this.handleTableFound(result.table);
+            const missing = result.missing > 0 ? ` ${result.missing} pick(s) were not found.` : '';
+            this.setRecipeMessage('customSelectionMessage', `"${selection.name}": ${result.table.data.rows.length} row(s).${missing}`, result.missing > 0);
+            this.viewTable(result.table);
+        } catch (error) {
+            console.error('Error rebuilding custom table:', error);
+            this.setRecipeMessage('customSelectionMessage', 'Could not reach the page. Please refresh and try again.', true);
+        }
+    }
+
+    async deleteCustomSelection(selection) {
+        await chrome.runtime.sendMessage({ action: 'deleteCustomSelection', tabId: this.tabId, selectionId: selection.id });
+        this.customSelections = this.customSelections.filter(s => s.id !== selection.id);
+        this.renderCustomSelectionList();
+    }
+
+    async loadMacros(url) {
+        this.macros = await chrome.runtime.sendMessage({ action: 'getMacros', tabId: this.tabId, url }) || [];
+        this.renderMacroList();
+    }
+
+    renderMacroList() {
+        const list = document.getElementById('macroList');
+        list.innerHTML = '';
+        if (this.macros.length === 0) {
+            list.innerHTML = '<div class="macro-empty">No macros recorded for this site yet.</div>';
+            return;
+        }
+
+        this.macros.forEach(macro => {
+            const item = document.createElement('div');
+            item.className = 'macro-item';
+            const name = document.createElement('span');
+            name.className = 'macro-name';
+            name.textContent = macro.name;
+            name.title = `${macro.steps.length} step(s), recorded ${new Date(macro.createdAt).toLocaleString()}`;
+
+            const replayBtn = document.createElement('button');
+            replayBtn.className = 'btn btn-primary btn-small';
+            replayBtn.textContent = '▶ Replay';
+            replayBtn.addEventListener('click', () => this.replayMacro(macro));
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'btn btn-back btn-small';
+            deleteBtn.textContent = '✕';
+            deleteBtn.title = 'Delete macro';
+            deleteBtn.addEventListener('click', () => this.deleteMacro(macro));
+
+            item.append(name, replayBtn, deleteBtn);
+            list.appendChild(item);
+        });
+    }
+
+    async loadRecipes() {
+        this.recipes = await chrome.runtime.sendMessage({ action: 'getRecipes', tabId: this.tabId, url: this.tabUrl }) || [];
+        this.renderRecipeList();
+    }
+
+    renderRecipeList() {
+        const list = document.getElementById('recipeList');
+        list.innerHTML = '';
+        if (this.recipes.length === 0) {
+            list.innerHTML = '<div class="macro-empty">No recipes match this page. Open a table and use "Save as Recipe".</div>';
+            return;
+        }
+
+        this.recipes.forEach(recipe => {
+            const item = document.createElement('div');
+            item.className = 'macro-item';
+            const name = document.createElement('span');
+            name.className = 'macro-name';
+            name.textContent = recipe.name;
+            name.title = `${recipe.urlPattern} → ${recipe.exportFormat.toUpperCase()}`;
+
+            const runBtn = document.createElement('button');
+            runBtn.className = 'btn btn-primary btn-small';
+            runBtn.textContent = `Extract ${recipe.exportFormat.toUpperCase()}`;
+            runBtn.addEventListener('click', () => this.runRecipe(recipe));
+
+            const scheduleBtn = document.createElement('button');
+            scheduleBtn.className = 'btn btn-secondary btn-small';
+            scheduleBtn.textContent = '⏱';
+            scheduleBtn.title = 'Re-extract on a schedule and watch for changes';
+            scheduleBtn.addEventListener('click', () => this.openScheduleEditor(recipe));
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'btn btn-back btn-small';
+            deleteBtn.textContent = '✕';
+            deleteBtn.title = 'Delete recipe';
+            deleteBtn.addEventListener('click', () => this.deleteRecipe(recipe));
+
+            item.append(name, runBtn, scheduleBtn, deleteBtn);
+            list.appendChild(item);
+        });
+    }
+
+    setRecipeMessage(elementId, message, isError = false) {
+        const messageEl = document.getElementById(elementId);
+        messageEl.textContent = message;
+        messageEl.classList.toggle('error', isError);
+    }
+
+    openRecipeEditor() {
+        if (!this.currentTable) return;
+        const url = new URL(this.tabUrl);
+        document.getElementById('recipeName').value = `${url.hostname} – ${this.getTableTypeLabel(this.currentTable)} #${this.currentTable.id}`;
+        document.getElementById('recipeUrlPattern').value = `${url.origin}${url.pathname}*`;
+        document.getElementById('recipeFormat').value = document.getElementById('exportFormat').value;
+        document.getElementById('recipeExcludedRows').value = '';
+        this.setRecipeMessage('recipeEditorMessage', '');
+
+        const columns = document.getElementById('recipeColumns');
+        columns.innerHTML = '';
+        this.currentTable.data.headers.forEach((header, index) => {
+            const row = document.createElement('label');
+            row.className = 'recipe-column';
+            row.dataset.column = index;
+            const include = document.createElement('input');
+            include.type = 'checkbox';
+            include.checked = true;
+            const name = document.createElement('input');
+            name.type = 'text';
+            name.value = header;
+            name.dataset.original = header;
+            row.append(include, name);
+            columns.appendChild(row);
+        });
+
+        document.getElementById('recipeView').style.display = 'block';
+    }
+
+    closeRecipeEditor() {
+        document.getElementById('recipeView').style.display = 'none';
+    }
+
+    async saveRecipe() {
+        const name = document.getElementById('recipeName').value.trim();
+        const urlPattern = document.getElementById('recipeUrlPattern').value.trim();
+        if (!name || !urlPattern) {
+            this.setRecipeMessage('recipeEditorMessage', 'A name and a URL pattern are required.', true);
+            return;
+        }
+
+        const response = await this.sendToFrame({ action: 'describeTable', selector: this.currentTable.element }, this.currentTable.frameId).catch(() => null);
+        if (!response || !response.locator) {
+            this.setRecipeMessage('recipeEditorMessage', 'The table is no longer on the page. Rescan and try again.', true);
+            return;
+        }
+
+        const headerOverrides = {};
+        const excludedColumns = [];
+        document.querySelectorAll('#recipeColumns .recipe-column').forEach(row => {
+            const index = parseInt(row.dataset.column, 10);
+            const [include, nameInput] = row.querySelectorAll('input');
+            if (!include.checked) excludedColumns.push(index);
+            if (nameInput.value.trim() && nameInput.value.trim() !== nameInput.dataset.original) {
+                headerOverrides[index] = nameInput.value.trim();
+            }
+        });
+
+        await chrome.runtime.sendMessage({
+            action: 'saveRecipe',
+            tabId: this.tabId,
+            recipe: {
+                name,
+                urlPattern,
+                locator: { ...response.locator, headers: this.currentTable.data.headers },
+                // Tables in subframes are looked up in the frame with this URL first.
+                frameUrl: this.currentTable.frameId ? this.currentTable.frameUrl : '',
+                headerOverrides,
+                excludedColumns,
+                excludedRows: Utils.parseRowList(document.getElementById('recipeExcludedRows').value),
+                exportFormat: document.getElementById('recipeFormat').value,
+                exportOptions: { ...this.getExportOptions(document.getElementById('recipeFormat').value) },
+                keyColumn: this.currentTable.data.keyColumn || '',
+                createdAt: Date.now()
+            }
+        });
+
+        this.closeRecipeEditor();
+        this.loadRecipes();
+    }
+
+    async runRecipe(recipe) {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'extractLocatedTable',
+                tabId: this.tabId,
+                locator: recipe.locator,
+                frameUrl: recipe.frameUrl || ''
+            });
+            if (!response || !response.data) {
+                this.setRecipeMessage('recipeMessage', `"${recipe.name}": the table was not found on this page.`, true);
+                return;
+            }
+            const data = Utils.applyRecipe(response.data, recipe);
+            const basename = recipe.name.replace(/[^\w\-]+/g, '_').replace(/^_+|_+$/g, '') || 'table';
+            this.downloadTable(data, recipe.exportFormat, basename, recipe.exportOptions || {});
+            this.setRecipeMessage('recipeMessage', `"${recipe.name}": exported ${data.rows.length} row(s).`);
+        } catch (error) {
+            console.error('Error running recipe:', error);
+            this.setRecipeMessage('recipeMessage', 'Could not reach the page. Please refresh and try again.', true);
+        }
+    }
+
+    async deleteRecipe(recipe) {
+        await chrome.runtime.sendMessage({ action: 'deleteRecipe', tabId: this.tabId, recipeId: recipe.id });
+        this.recipes = this.recipes.filter(r => r.id !== recipe.id);
+        this.renderRecipeList();
+    }
+
+    async exportRecipes() {
+        const recipes = await chrome.runtime.sendMessage({ action: 'getRecipes', tabId: this.tabId }) || [];
+        this.downloadFile(JSON.stringify({ version: 1, recipes }, null, 2), 'cognitotable-recipes.json');
+    }
+
+    /**
+     * Recipes are imported by pasting the exported JSON: opening a file chooser
+     * from the popup closes the popup before the file arrives.
+     */
+    openRecipeImport() {
+        document.getElementById('recipeImportText').value = '';
+        this.setRecipeMessage('recipeImportMessage', '');
+        document.getElementById('recipeImportView').style.display = 'block';
+        document.getElementById('recipeImportText').focus();
+    }
+
+    async importRecipes() {
+        const text = document.getElementById('recipeImportText').value.trim();
+        if (!text) {
+            this.setRecipeMessage('recipeImportMessage', 'Paste the exported recipes first.', true);
+            return;
+        }
+        try {
+            const parsed = JSON.parse(text);
+            const recipes = Array.isArray(parsed) ? parsed : parsed && parsed.recipes;
+            const result = await chrome.runtime.sendMessage({ action: 'importRecipes', tabId: this.tabId, recipes });
+            if (!result.success) throw new Error(result.error);
+            const skipped = result.skipped > 0 ? `, ${result.skipped} invalid entr${result.skipped === 1 ? 'y' : 'ies'} skipped` : '';
+            this.closeOverlay('recipeImportView');
+            this.setRecipeMessage('recipeMessage', `Imported ${result.count} recipe(s)${skipped}.`);
+            this.loadRecipes();
+            this.loadScheduledJobs();
+        } catch (error) {
+            this.setRecipeMessage('recipeImportMessage', `Import failed: ${error.message}`, true);
+        }
+    }
+
+    closeOverlay(viewId) {
+        document.getElementById(viewId).style.display = 'none';
+    }
+
+    openScheduleEditor(recipe) {
+        this.scheduleRecipe = recipe;
+        document.getElementById('scheduleName').value = recipe.name;
+        document.getElementById('scheduleUrl').value = this.tabUrl;
+        document.getElementById('scheduleInterval').value = 60;
+        this.setRecipeMessage('scheduleMessage', '');
+
+        // Offer the columns as they look after the recipe is applied.
+        const headers = Utils.applyRecipe({ headers: recipe.locator.headers || [], rows: [] }, recipe).headers;
+        const keySelect = document.getElementById('scheduleKeyColumn');
+        keySelect.innerHTML = '';
+        keySelect.add(new Option('(none: compare whole rows)', ''));
+        headers.forEach(header => keySelect.add(new Option(header, header)));
+        // Prefer the key column taught in Teach & Refine.
+        if (recipe.keyColumn && headers.includes(recipe.keyColumn)) keySelect.value = recipe.keyColumn;
+        else if (headers.length > 0) keySelect.value = headers[0];
+
+        document.getElementById('scheduleView').style.display = 'block';
+    }
+
+    async createScheduledJob() {
+        const url = document.getElementById('scheduleUrl').value.trim();
+        if (!/^https?:\/\//.test(url)) {
+            this.setRecipeMessage('scheduleMessage', 'Enter the full http(s) URL of the page to watch.', true);
+            return;
+        }
+
+        await chrome.runtime.sendMessage({
+            action: 'createScheduledJob',
+            tabId: this.tabId,
+            job: {
+                name: document.getElementById('scheduleName').value.trim() || this.scheduleRecipe.name,
+                url,
+                recipe: this.scheduleRecipe,
+                keyColumn: document.getElementById('scheduleKeyColumn').value,
+                intervalMinutes: document.getElementById('scheduleInterval').value
+            }
+        });
+        this.closeOverlay('scheduleView');
+        this.loadScheduledJobs();
+    }
+
+    async loadScheduledJobs() {
+        const jobs = await chrome.runtime.sendMessage({ action: 'getScheduledJobs', tabId: this.tabId }) || [];
+        const list = document.getElementById('jobList');
+        list.innerHTML = '';
+        if (jobs.length === 0) {
+            list.innerHTML = '<div class="macro-empty">No scheduled jobs. Use ⏱ on a saved recipe to create one.</div>';
+            return;
+        }
+
+        jobs.forEach(job => {
+            const item = document.createElement('div');
+            item.className = 'macro-item';
+            const name = document.createElement('span');
+            name.className = 'macro-name';
+            name.textContent = `${job.enabled ? '' : '⏸ '}${job.name}`;
+            name.title = `${job.url}\nEvery ${job.intervalMinutes} min, key column: ${job.keyColumn || 'none'}`;
+            const status = document.createElement('span');
+            status.className = 'job-status';
+            status.textContent = job.lastRun ? `${new Date(job.lastRun).toLocaleString()}: ${job.lastStatus}` : job.lastStatus;
+            name.appendChild(status);
+
+            const buttons = [
+                ['▶', 'Run now', () => this.runScheduledJob(job)],
+                ['☰', 'Snapshot history', () => this.showJobHistory(job)],
+                [job.enabled ? '⏸' : '⏵', job.enabled ? 'Pause' : 'Resume', () => this.updateScheduledJob(job, { enabled: !job.enabled })],
+                ['✕', 'Delete job', () => this.deleteScheduledJob(job)]
+            ].map(([text, title, onClick]) => {
+                const button = document.createElement('button');
+                button.className = 'btn btn-secondary btn-small';
+                button.textContent = text;
+                button.title = title;
+                button.addEventListener('click', onClick);
+                return button;
+            });
+
+            item.append(name, ...buttons);
+            list.appendChild(item);
+        });
+    }
+
+    async runScheduledJob(job) {
+        await chrome.runtime.sendMessage({ action: 'runScheduledJob', tabId: this.tabId, jobId: job.id });
+        this.loadScheduledJobs();
+    }
+
+    async updateScheduledJob(job, changes) {
+        await chrome.runtime.sendMessage({ action: 'updateScheduledJob', tabId: this.tabId, jobId: job.id, changes });
+        this.loadScheduledJobs();
+    }
+
+    async deleteScheduledJob(job) {
+        await chrome.runtime.sendMessage({ action: 'deleteScheduledJob', tabId: this.tabId, jobId: job.id });
+        this.loadScheduledJobs();
+    }
+
+    async showJobHistory(job) {
+        const snapshots = await chrome.runtime.sendMessage({ action: 'getJobSnapshots', tabId: this.tabId, jobId: job.id }) || [];
+        document.getElementById('jobHistoryTitle').textContent = job.name;
+        const list = document.getElementById('jobHistoryList');
+        list.innerHTML = '';
+        if (snapshots.length === 0) {
+            list.innerHTML = '<div class="macro-empty">No snapshots yet.</div>';
+        }
+
+        snapshots.slice().reverse().forEach(snapshot => {
+            const item = document.createElement('div');
+            item.className = 'snapshot-item';
+            const changes = snapshot.changes;
+            const summary = changes
+                ? `${changes.added.length} added, ${changes.removed.length} removed, ${changes.changed.length} changed`
+                : 'First snapshot';
+
+            const header = document.createElement('div');
+            header.className = 'snapshot-summary';
+            const label = document.createElement('span');
+            label.textContent = `${new Date(snapshot.timestamp).toLocaleString()} · ${snapshot.rows.length} rows · ${summary}`;
+            const exportBtn = document.createElement('button');
+            exportBtn.className = 'btn btn-secondary btn-small';
+            exportBtn.textContent = 'CSV';
+            exportBtn.addEventListener('click', (event) => {
+                event.stopPropagation();
+                this.downloadTable(snapshot, 'csv', `${job.name.replace(/[^\w\-]+/g, '_')}_${snapshot.timestamp}`);
+            });
+            header.append(label, exportBtn);
+
+            const details = document.createElement('div');
+            details.className = 'snapshot-details';
+            details.style.display = 'none';
+            if (changes) {
+                changes.added.forEach(row => this.appendDiffLine(details, 'added', `+ ${row.join(' | ')}`));
+                changes.removed.forEach(row => this.appendDiffLine(details, 'removed', `- ${row.join(' | ')}`));
+                changes.changed.forEach(change => {
+                    const cells = change.columns.map(col => `${col.header}: ${col.before} → ${col.after}`).join('; ');
+                    this.appendDiffLine(details, 'changed', `~ ${change.key}: ${cells}`);
+                });
+            }
+            header.addEventListener('click', () => {
+                details.style.display = details.style.display === 'none' ? 'block' : 'none';
+            });
+
+            item.append(header, details);
+            list.appendChild(item);
+        });
+
+        document.getElementById('jobHistoryView').style.display = 'block';
+    }
+
+    appendDiffLine(container, className, text) {
+        const line = document.createElement('div');
+        line.className = className;
+        line.textContent = text;
+        container.appendChild(line);
+    }
+
+    async startMacroRecording() {
+        try {
+            await this.sendToFrame({ action: 'startMacroRecording' });
+            // Recording happens on the page; the on-page panel's "Stop & Save" saves the macro.
+            window.close();
+        } catch (error) {
+            console.error('Error starting macro recording:', error);
+            this.showError('Could not start recording. Please refresh the page and try again.');
+        }
+    }
+
+    async replayMacro(macro) {
+        document.getElementById('macroProgress').innerHTML = '';
+        const options = {
+            settleMs: parseInt(document.getElementById('macroSettle').value, 10) || 0,
+            timeoutMs: parseInt(document.getElementById('macroTimeout').value, 10) || 10000
+        };
+
+        try {
+            const result = await this.sendToFrame({ action: 'replayMacro', macro, options });
+            // Re-scan so the tables revealed by the macro are listed.
+            if (result && result.success) this.rescanPage();
+        } catch (error) {
+            // The page navigated during a step; its next content script continues the replay.
+            this.renderMacroProgress({ status: 'navigating' });
+        }
+    }
+
+    async deleteMacro(macro) {
+        await chrome.runtime.sendMessage({ action: 'deleteMacro', tabId: this.tabId, macroId: macro.id });
+        this.macros = this.macros.filter(m => m.id !== macro.id);
+        this.renderMacroList();
+    }
+
+    renderMacroProgress(progress) {
+        const list = document.getElementById('macroProgress');
+        const setLine = (index, text, className) => {
+            let line = list.querySelector(`li[data-step="${index}"]`);
+            if (!line) {
+                line = document.createElement('li');
+                line.dataset.step = index;
+                list.appendChild(line);
+            }
+            line.textContent = text;
+            line.className = className;
+        };
+
+        switch (progress.status) {
+            case 'running':
+                setLine(progress.index, `${progress.description}...`, 'running');
+                break;
+            case 'done':
+                setLine(progress.index, `${progress.description} ✓`, 'done');
+                break;
+            case 'failed':
+                setLine(progress.index ?? 'error', progress.error, 'failed');
+                break;
+            case 'complete':
+                setLine('complete', `Replay finished (${progress.total} steps).`, 'done');
+                break;
+            case 'navigating':
+                setLine('navigating', 'The page is loading; the replay continues on the new page.', 'running');
+                break;
+        }
+    }
+
+    async startMultiPageExtraction() {
+        const tableSelect = document.getElementById('multiPageTable');
+        const strategySelect = document.getElementById('multiPageStrategy');
+        tableSelect.innerHTML = '';
+        strategySelect.innerHTML = '';
+        document.getElementById('content').style.display = 'none';
+        document.getElementById('multiPageView').style.display = 'block';
+
+        this.detectedTables.filter(table => table.type !== 'multipage').forEach(table => {
+            tableSelect.add(new Option(`${this.getTableTypeLabel(table)} #${table.id} (${table.data.rows.length} rows)`, table.id));
+        });
+
+        await this.detectPagination();
+
+        const job = await chrome.runtime.sendMessage({ action: 'getMultiPageJob', tabId: this.tabId });
+        if (job) {
+            this.renderMultiPageProgress({ ...job, rowCount: job.rows.length });
+        } else if (tableSelect.options.length === 0) {
+            this.setMultiPageMessage('No tables detected on this page yet.', true);
+        } else if (strategySelect.options.length === 0) {
+            this.setMultiPageMessage('No pagination controls ("Next", page numbers, "Load more") were found on this page.', true);
+        } else {
+            this.setMultiPageMessage('');
+        }
+    }
+
+    /**
+     * Pagination controls are looked for in the frame of the chosen table, which
+     * is also where the job pages through.
+     */
+    async detectPagination() {
+        const strategySelect = document.getElementById('multiPageStrategy');
+        strategySelect.innerHTML = '';
+        const tableId = document.getElementById('multiPageTable').value;
+        const table = this.detectedTables.find(t => String(t.id) === tableId);
+        try {
+            const response = await this.sendToFrame({ action: 'detectPagination' }, table ? table.frameId : 0);
+            (response.strategies || []).forEach(strategy => {
+                strategySelect.add(new Option(strategy.label, strategy.type));
+            });
+        } catch (error) {
+            console.error('Error detecting pagination:', error);
+        }
+    }
+
+    async runMultiPageJob() {
+        const tableId = document.getElementById('multiPageTable').value;
+        const strategy = document.getElementById('multiPageStrategy').value;
+        const table = this.detectedTables.find(t => String(t.id) === tableId);
+        if (!table || !strategy) {
+            this.setMultiPageMessage('Choose a table and a pagination method first.', true);
+            return;
+        }
+
+        await chrome.runtime.sendMessage({
+            action: 'startMultiPageJob',
+            tabId: this.tabId,
+            job: {
+                frameId: table.frameId || 0,
+                locator: { selector: table.element, headers: table.data.headers },
+                strategy,
+                maxPages: document.getElementById('multiPageMax').value,
+                delay: document.getElementById('multiPageDelay').value
+            }
+        });
+    }
+
+    async stopMultiPageJob() {
+        await chrome.runtime.sendMessage({ action: 'stopMultiPageJob', tabId: this.tabId });
+    }
+
+    renderMultiPageProgress(progress) {
+        const isActive = progress.status === 'running' || progress.status === 'navigating';
+        document.getElementById('multiPageStart').style.display = isActive ? 'none' : 'block';
+        document.getElementById('multiPageStop').style.display = isActive ? 'block' : 'none';
+
+        const summary = `${progress.pagesDone} page(s), ${progress.rowCount} row(s). ${progress.message || ''}`;
+        this.setMultiPageMessage(summary, progress.status === 'error');
+
+        if (!isActive && progress.table) {
+            this.persistentTables = this.persistentTables.filter(t => t.id !== progress.table.id);
+            this.persistentTables.push(progress.table);
+            this.detectedTables = this.detectedTables.filter(t => t.id !== progress.table.id);
+            document.querySelectorAll(`.table-item[data-table-id="${progress.table.id}"]`).forEach(el => el.remove());
+            this.handleTableFound(progress.table);
+            document.getElementById('scanIndicator').style.display = 'none';
+        }
     }
 
-    startMultiPageExtraction() {
-        alert('Multi-page extraction feature coming soon!');
+    setMultiPageMessage(message, isError = false) {
+        const progressEl = document.getElementById('multiPageProgress');
+        progressEl.textContent = message;
+        progressEl.classList.toggle('error', isError);
     }
 
     showStatus(message) {
@@ -0,0 +1,407 @@
+/*
+@author: Zahir
+*/
+class CognitoTableWorkspace {
+    constructor() {
+        this.workspace = null;
+        this.data = null;
+        this.normalized = null;
+        this.viewMode = 'raw';
+        this.valueNormalizer = new ValueNormalizer();
+        this.exportRegistry = new ExportRegistry(this.valueNormalizer);
+        this.grid = null;
+
+        // View state. Columns are identified by their index in the extracted table.
+        this.columnOrder = [];
+        this.hiddenColumns = new Set();
+        this.columnWidths = new Map();
+        this.sortKeys = [];
+        this.filters = new Map();
+        this.viewRows = [];
+
+        this.rangeTypes = ['number', 'currency', 'percentage'];
+        this.init();
+    }
+
+    async init() {
+        this.setupEventListeners();
+        const workspaceId = new URLSearchParams(location.search).get('id');
+        this.workspace = await chrome.runtime.sendMessage({ action: 'getWorkspace', workspaceId });
+        if (!this.workspace || !this.workspace.table) {
+            this.setStatus('This workspace is no longer available. Open the table again from the popup.', true);
+            return;
+        }
+
+        this.data = this.workspace.table.data;
+        const label = `Table #${this.workspace.table.id}`;
+        document.getElementById('workspaceTitle').textContent = this.workspace.sourceTitle ? `${label} · ${this.workspace.sourceTitle}` : label;
+        document.title = `${label} – CognitoTable Workspace`;
+
+        this.normalized = this.valueNormalizer.normalizeTable(this.data, this.data.typeOverrides);
+        this.grid = new VirtualGrid(document.getElementById('gridContainer'), {
+            getCell: (rowIndex, column) => this.getCell(rowIndex, column),
+            renderHeaderCell: (cell, column) => this.renderHeaderCell(cell, column),
+            renderFilterCell: (cell, column) => this.renderFilterCell(cell, column),
+            onColumnResize: (column, width) => this.columnWidths.set(column.key, width),
+            onColumnMove: (sourceKey, targetKey) => this.moveColumn(sourceKey, targetKey)
+        });
+        this.resetView();
+    }
+
+    setupEventListeners() {
+        document.getElementById('viewMode').addEventListener('change', (e) => this.setViewMode(e.target.value));
+        document.getElementById('columnsBtn').addEventListener('click', () => this.toggleColumnsPanel());
+        document.getElementById('resetView').addEventListener('click', () => this.resetView());
+        document.getElementById('exportBtn').addEventListener('click', () => this.exportView());
+
+        const formatSelect = document.getElementById('exportFormat');
+        this.exportRegistry.list().forEach(exporter => formatSelect.add(new Option(exporter.label, exporter.id)));
+
+        document.addEventListener('click', (event) => {
+            if (!event.target.closest('.columns-menu')) document.getElementById('columnsPanel').style.display = 'none';
+        });
+    }
+
+    getColumnCount() {
+        return this.data.rows.reduce((max, row) => Math.max(max, row.length), this.data.headers.length);
+    }
+
+    getColumnLabel(key) {
+        return this.data.headers[key] || `Column ${key + 1}`;
+    }
+
+    getColumnType(key) {
+        const column = this.normalized.columns[key];
+        return column ? column.type : 'text';
+    }
+
+    resetView() {
+        this.columnOrder = Array.from({ length: this.getColumnCount() }, (_, index) => index);
+        this.hiddenColumns.clear();
+        this.columnWidths.clear();
+        this.sortKeys = [];
+        this.filters.clear();
+        this.renderColumnsPanel();
+        this.updateView(true);
+    }
+
+    getVisibleColumns() {
+        return this.columnOrder
+            .filter(key => !this.hiddenColumns.has(key))
+            .map(key => ({ key, label: this.getColumnLabel(key), type: this.getColumnType(key), width: this.getColumnWidth(key) }));
+    }
+
+    getColumnWidth(key) {
+        if (!this.columnWidths.has(key)) {
+            const sample = this.data.rows.slice(0, 200).map(row => String(row[key] || '').length);
+            const chars = Math.max(this.getColumnLabel(key).length + 3, ...sample, 4);
+            this.columnWidths.set(key, Math.min(320, Math.max(80, chars * 7 + 20)));
+        }
+        return this.columnWidths.get(key);
+    }
+
+    /**
+     * Recomputes the filtered and sorted row order, then redraws. The header
+     * and filter row only need rebuilding when the columns changed.
+     */
+    updateView(columnsChanged = false) {
+        this.viewRows = this.computeViewRows();
+        if (columnsChanged) {
+            this.grid.setData(this.getVisibleColumns(), this.viewRows.length);
+        } else {
+            this.grid.rowCount = this.viewRows.length;
+            this.grid.columns.forEach(column => this.updateSortIndicator(column));
+            this.grid.refresh();
+        }
+        this.updateStatus();
+    }
+
+    computeViewRows() {
+        const rows = [];
+        for (let index = 0; index < this.data.rows.length; index++) {
+            if (this.matchesFilters(index)) rows.push(index);
+        }
+        if (this.sortKeys.length > 0) rows.sort((a, b) => this.compareRows(a, b));
+        return rows;
+    }
+
+    // --- Filtering ---
+
+    matchesFilters(rowIndex) {
+        for (const [key, filter] of this.filters) {
+            if (!this.matchesFilter(rowIndex, key, filter)) return false;
+        }
+        return true;
+    }
+
+    matchesFilter(rowIndex, key, filter) {
+        if (filter.kind === 'text') {
+            return String(this.data.rows[rowIndex][key] || '').toLowerCase().includes(filter.text.toLowerCase());
+        }
+
+        const value = this.getComparableValue(rowIndex, key);
+        if (filter.kind === 'range') {
+            if (typeof value !== 'number') return false;
+            // Percentages are stored as fractions but typed as percents.
+            const number = this.getColumnType(key) === 'percentage' ? value * 100 : value;
+            return (filter.min === null || number >= filter.min) && (filter.max === null || number <= filter.max);
+        }
+        if (filter.kind === 'date') {
+            if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}/.test(value)) return false;
+            const day = value.substring(0, 10);
+            return (!filter.from || day >= filter.from) && (!filter.to || day <= filter.to);
+        }
+        return true;
+    }
+
+    getFilterKind(key) {
+        const type = this.getColumnType(key);
+        if (this.rangeTypes.includes(type)) return 'range';
+        if (type === 'date') return 'date';
+        return 'text';
+    }
+
+    renderFilterCell(cell, column) {
+        const kind = this.getFilterKind(column.key);
+        const current = this.filters.get(column.key) || {};
+        const update = (filter) => {
+            const isEmpty = filter.kind === 'text' ? !filter.text :
+                filter.kind === 'range' ? filter.min === null && filter.max === null : !filter.from && !filter.to;
+            if (isEmpty) this.filters.delete(column.key);
+            else this.filters.set(column.key, filter);
+            this.updateView();
+        };
+
+        if (kind === 'text') {
+            const input = this.createFilterInput('text', 'Contains…', current.text || '');
+            input.addEventListener('input', () => update({ kind, text: input.value }));
+            cell.appendChild(input);
+            return;
+        }
+
+        const inputType = kind === 'date' ? 'date' : 'number';
+        const isPercentage = column.type === 'percentage';
+        const low = this.createFilterInput(inputType, isPercentage ? 'Min %' : 'Min', kind === 'date' ? current.from || '' : current.min ?? '');
+        const high = this.createFilterInput(inputType, isPercentage ? 'Max %' : 'Max', kind === 'date' ? current.to || '' : current.max ?? '');
+        const onChange = () => {
+            if (kind === 'date') {
+                update({ kind, from: low.value, to: high.value });
+            } else {
+                update({ kind, min: low.value === '' ? null : Number(low.value), max: high.value === '' ? null : Number(high.value) });
+            }
+        };
+        low.addEventListener('input', onChange);
+        high.addEventListener('input', onChange);
+        cell.append(low, high);
+    }
+
+    createFilterInput(type, placeholder, value) {
+        const input = document.createElement('input');
+        input.type = type;
+        input.placeholder = placeholder;
+        input.value = value;
+        input.title = placeholder;
+        return input;
+    }
+
+    // --- Sorting ---
+
+    /**
+     * Value used for sorting and range filters: numbers for numeric types and
+     * currency amounts, ISO strings for dates (in UTC when they have a zone),
+     * 0/1 for booleans, otherwise the raw text.
+     */
+    getComparableValue(rowIndex, key) {
+        const value = this.normalized.rows[rowIndex][key];
+        if (value === null || value === undefined) return null;
+        if (typeof value === 'object' && 'amount' in value) return value.amount;
+        if (typeof value === 'boolean') return value ? 1 : 0;
+        if (typeof value === 'string' && this.getColumnType(key) === 'date') return this.valueNormalizer.toUtc(value);
+        return value;
+    }
+
+    compareRows(a, b) {
+        for (const { key, direction } of this.sortKeys) {
+            const left = this.getComparableValue(a, key);
+            const right = this.getComparableValue(b, key);
+            // Empty cells always go last, whatever the direction.
+            if (left === null || right === null) {
+                if (left === right) continue;
+                return left === null ? 1 : -1;
+            }
+
+            let result;
+            if (typeof left === 'number' && typeof right === 'number') {
+                result = left - right;
+            } else if (typeof left === 'number' || typeof right === 'number') {
+                // Cells that did not parse sort after the typed ones.
+                result = typeof left === 'number' ? -1 : 1;
+            } else {
+                result = String(left).localeCompare(String(right), undefined, { numeric: true, sensitivity: 'base' });
+            }
+            if (result !== 0) return direction === 'asc' ? result : -result;
+        }
+        return a - b;
+    }
+
+    /**
+     * Click sorts by a column alone; shift-click adds it as a further sort key.
+     * Each click cycles ascending → descending → unsorted.
+     */
+    toggleSort(key, additive) {
+        const existing = this.sortKeys.find(sortKey => sortKey.key === key);
+        const next = !existing ? 'asc' : existing.direction === 'asc' ? 'desc' : null;
+
+        if (!additive) {
+            this.sortKeys = next ? [{ key, direction: next }] : [];
+        } else if (!existing) {
+            this.sortKeys.push({ key, direction: next });
+        } else if (next) {
+            existing.direction = next;
+        } else {
+            this.sortKeys = this.sortKeys.filter(sortKey => sortKey.key !== key);
+        }
+        this.updateView();
+    }
+
+    renderHeaderCell(cell, column) {
+        const label = document.createElement('span');
+        label.className = 'header-label';
+        label.textContent = column.label;
+        const indicator = document.createElement('span');
+        indicator.className = 'sort-indicator';
+        cell.title = `${column.label} (${column.type}) – click to sort, shift-click to add a sort level, drag to reorder`;
+        cell.append(label, indicator);
+        cell.addEventListener('click', (event) => {
+            if (event.target.classList.contains('grid-resizer')) return;
+            this.toggleSort(column.key, event.shiftKey);
+        });
+        this.updateSortIndicator(column, cell);
+    }
+
+    updateSortIndicator(column, cell = this.grid.header.querySelector(`[data-key="${column.key}"]`)) {
+        const indicator = cell && cell.querySelector('.sort-indicator');
+        if (!indicator) return;
+        const position = this.sortKeys.findIndex(sortKey => sortKey.key === column.key);
+        if (position === -1) {
+            indicator.textContent = '';
+            return;
+        }
+        const arrow = this.sortKeys[position].direction === 'asc' ? '▲' : '▼';
+        indicator.textContent = this.sortKeys.length > 1 ? `${arrow}${position + 1}` : arrow;
+    }
+
+    // --- Columns ---
+
+    moveColumn(sourceKey, targetKey) {
+        const order = this.columnOrder.filter(key => key !== sourceKey);
+        order.splice(order.indexOf(targetKey), 0, sourceKey);
+        this.columnOrder = order;
+        this.renderColumnsPanel();
+        this.updateView(true);
+    }
+
+    setColumnHidden(key, hidden) {
+        if (hidden) this.hiddenColumns.add(key);
+        else this.hiddenColumns.delete(key);
+        this.updateView(true);
+    }
+
+    toggleColumnsPanel() {
+        const panel = document.getElementById('columnsPanel');
+        panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+    }
+
+    renderColumnsPanel() {
+        const panel = document.getElementById('columnsPanel');
+        panel.innerHTML = '';
+        this.columnOrder.forEach(key => {
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = !this.hiddenColumns.has(key);
+            checkbox.addEventListener('change', () => this.setColumnHidden(key, !checkbox.checked));
+            label.append(checkbox, this.getColumnLabel(key));
+            panel.appendChild(label);
+        });
+    }
+
+    // --- Rendering ---
+
+    setViewMode(mode) {
+        this.viewMode = mode;
+        this.grid.refresh();
+    }
+
+    getCell(viewIndex, column) {
+        const rowIndex = this.viewRows[viewIndex];
+        if (this.viewMode === 'clean') {
+            const value = this.normalized.rows[rowIndex][column.key];
+            const isNumber = typeof value === 'number' || (value && typeof value.amount === 'number');
+            return { text: this.valueNormalizer.formatForDisplay(value), className: isNumber ? 'typed-number' : '' };
+        }
+        const raw = this.data.rows[rowIndex][column.key];
+        return { text: raw == null ? '' : String(raw), className: '' };
+    }
+
+    updateStatus() {
+        const total = this.data.rows.length;
+        const parts = [this.viewRows.length === total ? `${total} rows` : `${this.viewRows.length} of ${total} rows`];
+        const columnCount = this.columnOrder.length;
+        parts.push(this.hiddenColumns.size > 0 ? `${columnCount - this.hiddenColumns.size} of ${columnCount} columns` : `${columnCount} columns`);
+        if (this.filters.size > 0) parts.push(`${this.filters.size} filter(s)`);
+        if (this.sortKeys.length > 0) {
+            parts.push(`sorted by ${this.sortKeys.map(({ key, direction }) => `${this.getColumnLabel(key)} ${direction === 'asc' ? '▲' : '▼'}`).join(', ')}`);
+        }
+        this.setStatus(parts.join(' · '));
+    }
+
+    setStatus(message, isError = false) {
+        const statusBar = document.getElementById('statusBar');
+        statusBar.textContent = message;
+        statusBar.classList.toggle('error', isError);
+    }
+
+    // --- Export ---
+
+    /**
+     * The table as currently shown: visible columns in display order, filtered
+     * and sorted rows.
+     */
+    getViewData() {
+        const keys = this.getVisibleColumns().map(column => column.key);
+        const typeOverrides = {};
+        keys.forEach((key, index) => {
+            if (this.data.typeOverrides && this.data.typeOverrides[key]) typeOverrides[index] = this.data.typeOverrides[key];
+        });
+        return {
+            headers: this.data.headers.length > 0 ? keys.map(key => this.data.headers[key] || '') : [],
+            rows: this.viewRows.map(rowIndex => keys.map(key => this.data.rows[rowIndex][key] ?? '')),
+            columnTypes: keys.map(key => (this.data.columnTypes && this.data.columnTypes[key]) || { type: 'text' }),
+            typeOverrides
+        };
+    }
+
+    exportView() {
+        if (!this.data) return;
+        const format = document.getElementById('exportFormat').value;
+        const { content, mimeType, extension } = this.exportRegistry.export(format, this.getViewData());
+        this.downloadFile(content, `table_${this.workspace.table.id}.${extension}`, mimeType);
+    }
+
+    downloadFile(content, filename, mimeType) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    new CognitoTableWorkspace();
+});